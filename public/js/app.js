@@ -6,17 +6,26 @@ class RedditResearchApp {
     constructor() {
         this.selectedSubreddits = new Set();
         this.currentJobId = null;
-        this.pollInterval = null;
+        this.eventSource = null;
+        this.resultsEventSource = null; // deep-dive and variant updates for the job shown in the results view
+        this.deepDives = [];
+        this.variants = [];
         this.discoveredSubreddits = [];
         this.apiKeyConfigured = false;
+        this.providers = [];
+        this.frameworks = [];
+        this.promptTemplates = [];
+        this.editingPrompt = null; // template open in the prompt editor
 
         this.init();
     }
 
     init() {
         this.bindEvents();
-        this.loadJobs();
+        // Job list shows framework labels, so load those first
+        this.loadFrameworks().finally(() => this.loadJobs());
         this.checkSettings();
+        this.loadPrompts();
     }
 
     async checkSettings() {
@@ -25,12 +34,64 @@ class RedditResearchApp {
             const settings = await response.json();
             this.apiKeyConfigured = settings.claudeApiConfigured;
             this.apiKeyFromEnv = settings.apiKeyFromEnv;
+            this.providers = settings.providers || [];
             this.updateApiKeyStatus();
+            this.renderProviderOptions(settings.defaultProvider);
         } catch (err) {
             console.error('Error checking settings:', err);
         }
     }
 
+    /**
+     * Fill the AI provider select (unconfigured providers are listed but disabled)
+     */
+    renderProviderOptions(defaultProvider) {
+        const select = document.getElementById('llm-provider');
+        if (!select) return;
+
+        select.innerHTML = this.providers.map(p =>
+            `<option value="${p.name}" ${p.configured ? '' : 'disabled'}>${this.escapeHtml(p.label)}${p.configured ? '' : ' (not configured)'}</option>`
+        ).join('');
+        select.value = defaultProvider;
+        this.renderModelOptions();
+    }
+
+    /**
+     * Fill the analysis framework select (the niche template a new job is analyzed with)
+     */
+    async loadFrameworks() {
+        try {
+            const response = await fetch('/api/frameworks');
+            const data = await response.json();
+            this.frameworks = data.frameworks || [];
+
+            const select = document.getElementById('analysis-framework');
+            select.innerHTML = this.frameworks.map(f =>
+                `<option value="${f.name}" title="${this.escapeHtml(f.description)}">${this.escapeHtml(f.label)}</option>`
+            ).join('');
+            select.value = data.defaultFramework;
+            document.getElementById('prompt-editor-framework').innerHTML = select.innerHTML;
+        } catch (err) {
+            console.error('Error loading frameworks:', err);
+        }
+    }
+
+    renderModelOptions() {
+        const provider = this.providers.find(p => p.name === document.getElementById('llm-provider').value);
+        const select = document.getElementById('llm-model');
+        if (!provider || !select) return;
+
+        select.innerHTML = provider.models.map(m => `<option value="${this.escapeHtml(m)}">${this.escapeHtml(m)}</option>`).join('');
+        select.value = provider.defaultModel;
+    }
+
+    getSelectedProvider() {
+        return {
+            provider: document.getElementById('llm-provider').value,
+            model: document.getElementById('llm-model').value
+        };
+    }
+
     updateApiKeyStatus() {
         const apiKeySection = document.getElementById('api-key-section');
         const apiKeyStatus = document.getElementById('api-key-status');
@@ -69,15 +130,36 @@ class RedditResearchApp {
         document.getElementById('start-scrape-btn').addEventListener('click', () => this.startScraping());
         document.getElementById('preview-matches-btn').addEventListener('click', () => this.previewKeywordMatches());
 
+        // AI provider / model (re-estimate cost when they change)
+        document.getElementById('llm-provider').addEventListener('change', () => {
+            this.renderModelOptions();
+            this.loadAnalysisEstimate();
+        });
+        document.getElementById('llm-model').addEventListener('change', () => this.loadAnalysisEstimate());
+        document.getElementById('prompt-template').addEventListener('change', () => this.loadAnalysisEstimate());
+
         // Analysis
         document.getElementById('start-analysis-btn').addEventListener('click', () => this.startAnalysis());
         document.getElementById('export-scraped-data-btn').addEventListener('click', () => this.exportScrapedData());
+        document.getElementById('preview-prompt-btn').addEventListener('click', () => this.previewPrompt());
 
         // Export
         document.getElementById('export-json-btn').addEventListener('click', () => this.exportResults('json'));
         document.getElementById('export-md-btn').addEventListener('click', () => this.exportResults('markdown'));
         document.getElementById('export-csv-btn').addEventListener('click', () => this.exportResults('csv'));
 
+        // Follow-up chat
+        document.getElementById('chat-send-btn').addEventListener('click', () => this.sendChatMessage());
+        document.getElementById('chat-input').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') this.sendChatMessage();
+        });
+        document.getElementById('chat-clear-btn').addEventListener('click', () => this.clearChat());
+
+        // Deep dives
+        document.getElementById('deep-dive-btn').addEventListener('click', () => this.startDeepDive());
+        document.getElementById('variant-btn').addEventListener('click', () => this.startVariant());
+        document.getElementById('compare-btn').addEventListener('click', () => this.loadComparison());
+
         // Tabs
         document.querySelectorAll('.tab').forEach(tab => {
             tab.addEventListener('click', (e) => this.switchTab(e.target.dataset.tab));
@@ -86,6 +168,13 @@ class RedditResearchApp {
         // Job history
         document.getElementById('refresh-jobs-btn').addEventListener('click', () => this.loadJobs());
 
+        // Prompt templates
+        document.getElementById('refresh-prompts-btn').addEventListener('click', () => this.loadPrompts());
+        document.getElementById('prompt-editor-select').addEventListener('change', (e) => this.openPromptTemplate(e.target.value));
+        document.getElementById('prompt-built-in-btn').addEventListener('click', () => this.loadBuiltInPrompt());
+        document.getElementById('prompt-save-btn').addEventListener('click', () => this.savePromptTemplate());
+        document.getElementById('prompt-delete-btn').addEventListener('click', () => this.deletePromptTemplate());
+
         // API Key
         const saveApiKeyBtn = document.getElementById('save-api-key-btn');
         if (saveApiKeyBtn) {
@@ -117,6 +206,7 @@ class RedditResearchApp {
 
             this.apiKeyConfigured = true;
             this.updateApiKeyStatus();
+            this.checkSettings(); // Refresh provider availability
             input.value = '';
             alert('API key saved successfully!');
         } catch (err) {
@@ -283,14 +373,60 @@ class RedditResearchApp {
         return matchAllCheckbox ? matchAllCheckbox.checked : false;
     }
 
-    async previewKeywordMatches() {
-        const keywords = this.getKeywords();
+    getQuery() {
+        const queryInput = document.getElementById('keyword-query');
+        return queryInput ? queryInput.value.trim() : '';
+    }
+
+    /**
+     * Keyword filter fields for the API - an advanced query overrides the keyword list
+     */
+    getKeywordFilter() {
+        const query = this.getQuery();
+        if (query) return { query };
+        return { keywords: this.getKeywords(), matchAll: this.getMatchAll() };
+    }
+
+    /**
+     * Show (or clear) a query validation error with a caret under the problem
+     */
+    showQueryError(result = null) {
+        const errorEl = document.getElementById('query-error');
+        if (!errorEl) return;
 
-        if (keywords.length === 0) {
-            alert('Please enter at least one keyword to preview matches');
+        if (!result) {
+            errorEl.classList.add('hidden');
+            errorEl.textContent = '';
             return;
         }
 
+        errorEl.textContent = `${result.error}\n${result.query}\n${' '.repeat(result.position)}^`;
+        errorEl.classList.remove('hidden');
+    }
+
+    /**
+     * Date-range and engagement filters - blank fields are left out
+     */
+    getPostFilters() {
+        const filters = {};
+        const value = id => document.getElementById(id)?.value.trim() || '';
+
+        if (value('start-date')) filters.startDate = value('start-date');
+        if (value('end-date')) filters.endDate = value('end-date');
+        if (value('min-score')) filters.minScore = parseInt(value('min-score'));
+        if (value('min-comments')) filters.minComments = parseInt(value('min-comments'));
+        if (value('min-upvote-ratio')) filters.minUpvoteRatio = parseFloat(value('min-upvote-ratio'));
+
+        return filters;
+    }
+
+    async previewKeywordMatches() {
+        if (!this.getQuery() && this.getKeywords().length === 0) {
+            alert('Please enter at least one keyword or a query to preview matches');
+            return;
+        }
+        this.showQueryError();
+
         const previewResults = document.getElementById('preview-results');
         const previewLoading = previewResults.querySelector('.preview-loading');
         const previewContent = previewResults.querySelector('.preview-content');
@@ -308,8 +444,8 @@ class RedditResearchApp {
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
                     subreddits: Array.from(this.selectedSubreddits),
-                    keywords,
-                    matchAll: this.getMatchAll(),
+                    ...this.getKeywordFilter(),
+                    ...this.getPostFilters(),
                     sort: document.getElementById('sort-method').value,
                     timeFilter: document.getElementById('time-filter').value
                 })
@@ -317,6 +453,12 @@ class RedditResearchApp {
 
             const result = await response.json();
 
+            if (result.position !== undefined) {
+                this.showQueryError(result);
+                previewResults.classList.add('hidden');
+                return;
+            }
+
             if (result.error) {
                 throw new Error(result.error);
             }
@@ -339,8 +481,11 @@ class RedditResearchApp {
         const summaryEl = document.getElementById('preview-summary');
         const tbody = document.querySelector('#preview-table tbody');
 
-        const matchMode = result.matchAll ? 'ALL keywords (AND)' : 'ANY keyword (OR)';
-        summaryEl.innerHTML = `Found <strong>${result.totalMatches}</strong> matching posts across ${result.subredditResults.length} subreddits using ${matchMode}`;
+        const capped = result.subredditResults.some(sub => sub.moreAvailable);
+        const filtered = result.subredditResults.reduce((sum, sub) =>
+            sum + Object.values(sub.excluded || {}).reduce((a, b) => a + b, 0), 0);
+        summaryEl.innerHTML = `Found <strong>${result.totalMatches}${capped ? '+' : ''}</strong> matching posts across ${result.subredditResults.length} subreddits for <code>${this.escapeHtml(result.query)}</code>` +
+            (filtered > 0 ? ` (${filtered} excluded by date/engagement filters)` : '');
 
         tbody.innerHTML = '';
 
@@ -348,8 +493,8 @@ class RedditResearchApp {
             const tr = document.createElement('tr');
             tr.innerHTML = `
                 <td><strong>r/${this.escapeHtml(sub.subreddit)}</strong></td>
-                <td><span class="score-badge ${sub.matchingPosts > 5 ? 'score-high' : sub.matchingPosts > 0 ? 'score-medium' : 'score-low'}">${sub.matchingPosts}</span> / ${sub.totalScanned}</td>
-                <td class="text-muted">${sub.sampleTitles.map(t => this.escapeHtml(t)).join('<br>') || 'No matches'}</td>
+                <td><span class="score-badge ${sub.matchingPosts > 5 ? 'score-high' : sub.matchingPosts > 0 ? 'score-medium' : 'score-low'}">${sub.matchingPosts}${sub.moreAvailable ? '+' : ''}</span></td>
+                <td class="text-muted">${sub.error ? `<span class="text-danger">${this.escapeHtml(sub.error)}</span>` : (sub.sampleTitles.map(t => this.escapeHtml(t)).join('<br>') || 'No matches')}</td>
             `;
             tbody.appendChild(tr);
         });
@@ -359,18 +504,45 @@ class RedditResearchApp {
     // Scraping
     // ====================
 
+    /**
+     * Redaction options for the API, from the privacy checkboxes
+     */
+    getRedaction() {
+        const redaction = {};
+        for (const option of ['authors', 'emails', 'phones', 'urls', 'addresses']) {
+            redaction[option] = document.getElementById(`redact-${option}`).checked;
+        }
+        return redaction;
+    }
+
+    /**
+     * One-line summary of what was redacted ({ options, counts } from the API)
+     */
+    formatRedaction(redaction) {
+        if (!redaction) return '';
+        const counts = redaction.counts || {};
+        const parts = Object.keys(redaction.options).filter(option => redaction.options[option])
+            .map(option => `${counts[option] ?? 0} ${option === 'authors' ? 'usernames' : option}`);
+        return `Redacted before sending: ${parts.join(', ')}.`;
+    }
+
     async startScraping() {
-        const keywords = this.getKeywords();
+        this.showQueryError();
 
         const config = {
             subreddits: Array.from(this.selectedSubreddits),
             topic: document.getElementById('topic-input').value.trim(),
             postLimit: parseInt(document.getElementById('post-limit').value),
             commentLimit: parseInt(document.getElementById('comment-limit').value),
+            commentDepth: parseInt(document.getElementById('comment-depth').value),
+            replyLimit: parseInt(document.getElementById('reply-limit').value),
             sort: document.getElementById('sort-method').value,
             timeFilter: document.getElementById('time-filter').value,
-            keywords,
-            matchAll: this.getMatchAll()
+            ...this.getKeywordFilter(),
+            ...this.getPostFilters(),
+            framework: document.getElementById('analysis-framework').value || undefined,
+            redaction: this.getRedaction(),
+            priority: parseInt(document.getElementById('job-priority').value)
         };
 
         try {
@@ -382,6 +554,11 @@ class RedditResearchApp {
 
             const job = await response.json();
 
+            if (job.position !== undefined) {
+                this.showQueryError(job);
+                return;
+            }
+
             if (job.error) {
                 throw new Error(job.error);
             }
@@ -392,49 +569,117 @@ class RedditResearchApp {
             document.getElementById('section-config').classList.add('hidden');
             document.getElementById('section-scraping').classList.remove('hidden');
 
-            this.pollJobProgress();
+            this.watchScrapeProgress();
 
         } catch (err) {
             alert('Error starting scrape: ' + err.message);
         }
     }
 
-    pollJobProgress() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-        }
+    /**
+     * Stream job events over SSE and update a progress bar from them
+     */
+    watchJob(jobId, { progressBarId, progressTextId, onStatus }) {
+        this.closeEventStream();
+        this.closeResultsStream();
 
-        this.pollInterval = setInterval(async () => {
-            try {
-                const response = await fetch(`/api/jobs/${this.currentJobId}`);
-                const job = await response.json();
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+        this.eventSource = source;
 
-                if (job.error) {
-                    throw new Error(job.error);
-                }
+        source.onmessage = (e) => {
+            const event = JSON.parse(e.data);
 
-                // Update progress UI
-                const progressBar = document.getElementById('scrape-progress-bar');
-                const progressText = document.getElementById('scrape-progress-text');
+            if (event.progress) {
+                document.getElementById(progressBarId).style.width = `${event.progress.percent}%`;
+                document.getElementById(progressTextId).textContent = event.progress.message;
+            }
 
-                progressBar.style.width = `${job.progress.percent}%`;
-                progressText.textContent = job.progress.message;
+            // Progress ticks don't change the Jobs list; everything else does
+            if (event.type !== 'progress') {
+                onStatus(event);
+                this.loadJobs();
+            }
+        };
 
-                // Check if completed
-                if (job.status === 'scraped') {
-                    clearInterval(this.pollInterval);
-                    this.onScrapingComplete(job);
-                } else if (job.status === 'failed') {
-                    clearInterval(this.pollInterval);
-                    alert('Scraping failed: ' + job.error);
-                }
+        source.onerror = () => {
+            // EventSource reconnects on its own; nothing to do unless the job is gone
+            if (source.readyState === EventSource.CLOSED) {
+                console.error('Job event stream closed');
+            }
+        };
+    }
 
-                this.loadJobs();
+    closeEventStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
 
-            } catch (err) {
-                console.error('Poll error:', err);
+    /**
+     * Stream the results view's job events to keep its deep dives and variants up to date
+     */
+    watchResults(jobId) {
+        this.closeResultsStream();
+
+        const source = new EventSource(`/api/jobs/${jobId}/events`);
+        this.resultsEventSource = source;
+
+        source.onmessage = (e) => {
+            const event = JSON.parse(e.data);
+
+            if (event.type === 'snapshot') {
+                // Also sent on every reconnect, so nothing missed in between is lost
+                this.deepDives = event.job.subAnalyses || [];
+                this.renderDeepDives(this.deepDives);
+                this.variants = event.job.variants || [];
+                this.renderVariants(this.variants);
+            } else if (event.type === 'subAnalysis') {
+                this.deepDives = this.upsertById(this.deepDives, event.subAnalysis);
+                this.renderDeepDives(this.deepDives);
+            } else if (event.type === 'variant') {
+                this.variants = this.upsertById(this.variants, event.variant);
+                this.renderVariants(this.variants);
+            } else if (event.type === 'deleted') {
+                this.closeResultsStream();
             }
-        }, 2000);
+        };
+    }
+
+    closeResultsStream() {
+        if (this.resultsEventSource) {
+            this.resultsEventSource.close();
+            this.resultsEventSource = null;
+        }
+    }
+
+    /**
+     * Replace the record with the same id in a list, or append it
+     */
+    upsertById(records, record) {
+        return records.some(r => r.id === record.id)
+            ? records.map(r => r.id === record.id ? record : r)
+            : [...records, record];
+    }
+
+    watchScrapeProgress() {
+        this.watchJob(this.currentJobId, {
+            progressBarId: 'scrape-progress-bar',
+            progressTextId: 'scrape-progress-text',
+            onStatus: async (event) => {
+                if (event.status === 'scraped') {
+                    this.closeEventStream();
+                    const response = await fetch(`/api/jobs/${this.currentJobId}`);
+                    this.onScrapingComplete(await response.json());
+                } else if (event.status === 'failed') {
+                    this.closeEventStream();
+                    alert('Scraping failed: ' + event.error);
+                } else if (['cancelled', 'paused'].includes(event.status) || event.type === 'deleted') {
+                    // Progress text already shows the cancel/pause message
+                    this.closeEventStream();
+                }
+            }
+        });
     }
 
     onScrapingComplete(job) {
@@ -447,6 +692,279 @@ class RedditResearchApp {
 
         document.getElementById('scrape-summary').textContent =
             `Scraped ${job.result.totalPosts} posts and ${job.result.totalComments} comments from ${job.result.subreddits.length} subreddits.`;
+
+        this.loadAnalysisEstimate();
+    }
+
+    /**
+     * Query string with the provider, model and prompt template picked for the analysis
+     */
+    analysisQueryParams() {
+        return new URLSearchParams({
+            ...this.getSelectedProvider(),
+            promptTemplateId: document.getElementById('prompt-template').value
+        });
+    }
+
+    /**
+     * Show the estimated tokens and cost of analysis before it is started
+     */
+    async loadAnalysisEstimate() {
+        const estimateEl = document.getElementById('analysis-estimate');
+        estimateEl.classList.add('hidden');
+        // A shown preview is stale once the job or the settings change
+        document.getElementById('prompt-preview').classList.add('hidden');
+
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/analysis-estimate?${this.analysisQueryParams()}`);
+            const estimate = await response.json();
+
+            if (estimate.error) {
+                throw new Error(estimate.error);
+            }
+
+            const cost = estimate.estimatedCostUsd !== null
+                ? `~$${estimate.estimatedCostUsd.toFixed(2)} (up to $${estimate.maxCostUsd.toFixed(2)})`
+                : 'unknown (no pricing for this model)';
+            const mode = estimate.analysisMode === 'chunked'
+                ? `${estimate.requests - 1} chunks + synthesis`
+                : '1 request';
+
+            estimateEl.innerHTML = `
+                <strong>Estimated cost:</strong> ${cost}
+                <br><small class="text-muted">~${this.formatNumber(estimate.inputTokens)} input / ~${this.formatNumber(estimate.outputTokens)} output tokens with ${this.escapeHtml(estimate.model)} (${mode})</small>
+            `;
+            estimateEl.classList.remove('hidden');
+        } catch (err) {
+            console.error('Error loading analysis estimate:', err);
+        }
+    }
+
+    /**
+     * Show the prompts the analysis would send, with each post's token share
+     * and what would be trimmed to fit the budget
+     */
+    async previewPrompt() {
+        const panel = document.getElementById('prompt-preview');
+
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/prompt-preview?${this.analysisQueryParams()}`);
+            const preview = await response.json();
+            if (preview.error) {
+                throw new Error(preview.error);
+            }
+            this.renderPromptPreview(preview);
+            panel.classList.remove('hidden');
+        } catch (err) {
+            alert('Prompt preview error: ' + err.message);
+        }
+    }
+
+    renderPromptPreview(preview) {
+        const { truncation } = preview;
+        const mode = preview.analysisMode === 'chunked'
+            ? `over the ${this.formatNumber(preview.budget.maxInputTokens)}-token budget, sent in ${preview.batches.length} batches of up to ~${this.formatNumber(preview.budget.chunkTokens)} tokens (the synthesis prompt is built from their notes)`
+            : 'sent as a single prompt';
+        const trimmed = truncation.postsTrimmed > 0
+            ? `${truncation.postsTrimmed} post(s) would be trimmed to fit a batch: ${truncation.commentsDropped} comment(s) dropped, ${truncation.bodiesTruncated} body text(s) truncated.`
+            : 'Nothing would be truncated or dropped.';
+
+        // Largest posts first - they are the ones worth trimming by hand
+        const postRows = preview.posts.slice().sort((a, b) => b.tokens - a.tokens).slice(0, 50).map(post => `
+            <tr>
+                <td>#${post.number}</td>
+                <td>${this.escapeHtml(post.title)}</td>
+                <td>${post.comments}</td>
+                <td>${this.formatNumber(post.tokens)} <small class="text-muted">(body ${this.formatNumber(post.bodyTokens)}, comments ${this.formatNumber(post.commentTokens)})</small></td>
+                <td>${(post.share * 100).toFixed(1)}%</td>
+                <td>${post.batch ?? '—'}</td>
+                <td>${post.truncation
+                    ? `${post.truncation.commentsDropped} comment(s) in ${post.truncation.droppedThreads.length} thread(s) dropped${post.truncation.bodyTruncated ? ', body truncated' : ''} - ~${this.formatNumber(post.truncation.tokensSent)} tokens sent`
+                    : '—'}</td>
+            </tr>
+        `).join('');
+
+        const userPrompt = preview.analysisMode === 'chunked' ? preview.batches[0].text : preview.extraction.text;
+        document.getElementById('prompt-preview').innerHTML = `
+            <div class="section-header">
+                <h4>Prompt Preview</h4>
+                <div class="button-group">
+                    <button class="btn btn-sm btn-secondary" onclick="app.downloadPromptPreview('txt')">📥 Prompt (.txt)</button>
+                    <button class="btn btn-sm btn-secondary" onclick="app.downloadPromptPreview('json')">📥 Preview (JSON)</button>
+                </div>
+            </div>
+            <p class="text-muted mb-2">
+                ${this.escapeHtml(preview.prompt.name)}${preview.prompt.version ? ` v${preview.prompt.version}` : ''} with ${this.escapeHtml(preview.model)}:
+                ~${this.formatNumber(preview.system.tokens)} system + ~${this.formatNumber(preview.extraction.tokens)} prompt tokens, ${mode}. ${trimmed}
+                ${this.formatRedaction(preview.redaction)}
+            </p>
+            <table class="results-table">
+                <thead><tr><th>#</th><th>Post</th><th>Comments</th><th>Tokens</th><th>Share</th><th>Batch</th><th>Trimmed</th></tr></thead>
+                <tbody>${postRows}</tbody>
+            </table>
+            <details class="mt-2">
+                <summary>System prompt</summary>
+                <pre class="prompt-body">${this.escapeHtml(preview.system.text)}</pre>
+            </details>
+            <details class="mt-2">
+                <summary>${preview.analysisMode === 'chunked' ? `Batch 1 of ${preview.batches.length} prompt` : 'Extraction prompt'}</summary>
+                <pre class="prompt-body">${this.escapeHtml(userPrompt)}</pre>
+            </details>
+        `;
+    }
+
+    downloadPromptPreview(format) {
+        window.open(`/api/jobs/${this.currentJobId}/prompt-preview?${this.analysisQueryParams()}&format=${format}&download=1`, '_blank');
+    }
+
+    // ====================
+    // Prompt Templates
+    // ====================
+
+    async loadPrompts() {
+        try {
+            const response = await fetch('/api/prompts');
+            const data = await response.json();
+            this.promptTemplates = data.templates || [];
+
+            const options = this.promptTemplates.map(t =>
+                `<option value="${t.id}">${this.escapeHtml(t.name)} (v${t.latestVersion})</option>`
+            ).join('');
+
+            // Analysis picker: the framework's built-in prompt or a saved template
+            const picker = document.getElementById('prompt-template');
+            const picked = picker.value;
+            picker.innerHTML = `<option value="">Built-in (job's framework)</option>${options}`;
+            picker.value = this.promptTemplates.some(t => t.id === picked) ? picked : '';
+
+            const variantPicker = document.getElementById('variant-prompt');
+            const variantPicked = variantPicker.value;
+            variantPicker.innerHTML = `<option value="">Built-in prompt</option>${options}`;
+            variantPicker.value = this.promptTemplates.some(t => t.id === variantPicked) ? variantPicked : '';
+
+            const editorSelect = document.getElementById('prompt-editor-select');
+            editorSelect.innerHTML = `<option value="">+ New template</option>${options}`;
+            editorSelect.value = this.editingPrompt?.id || '';
+
+            document.getElementById('prompt-variables').textContent = 'Variables: ' +
+                Object.entries(data.variables || {}).map(([name, description]) => `{{${name}}} - ${description}`).join('; ');
+        } catch (err) {
+            console.error('Error loading prompt templates:', err);
+        }
+    }
+
+    async openPromptTemplate(id) {
+        this.editingPrompt = null;
+        document.getElementById('prompt-name').value = '';
+        document.getElementById('prompt-description').value = '';
+        document.getElementById('prompt-body').value = '';
+        document.getElementById('prompt-note').value = '';
+        document.getElementById('prompt-versions').innerHTML = '';
+        if (!id) return;
+
+        try {
+            const response = await fetch(`/api/prompts/${id}`);
+            const template = await response.json();
+            if (template.error) {
+                throw new Error(template.error);
+            }
+
+            this.editingPrompt = template;
+            document.getElementById('prompt-name').value = template.name;
+            document.getElementById('prompt-description').value = template.description || '';
+            document.getElementById('prompt-body').value = template.versions[template.versions.length - 1].body;
+            this.renderPromptVersions(template);
+        } catch (err) {
+            alert('Error loading prompt template: ' + err.message);
+        }
+    }
+
+    renderPromptVersions(template) {
+        document.getElementById('prompt-versions').innerHTML = template.versions.slice().reverse().map(v => `
+            <li class="job-item">
+                <div class="job-info">
+                    <h4>Version ${v.version}${v.version === template.versions.length ? ' (latest)' : ''}</h4>
+                    <p>${new Date(v.createdAt).toLocaleString()} • ${v.hash.slice(0, 12)}${v.note ? ` • ${this.escapeHtml(v.note)}` : ''}</p>
+                </div>
+                <div class="job-actions">
+                    <button class="btn btn-sm btn-secondary" onclick="app.loadPromptVersion(${v.version})" title="Load this version into the editor - saving it creates a new version">Load</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    loadPromptVersion(version) {
+        const entry = this.editingPrompt?.versions.find(v => v.version === version);
+        if (!entry) return;
+        document.getElementById('prompt-body').value = entry.body;
+        document.getElementById('prompt-note').value = `Restored version ${version}`;
+    }
+
+    /**
+     * Fill the editor with a framework's built-in template to edit a copy of it
+     */
+    async loadBuiltInPrompt() {
+        const framework = document.getElementById('prompt-editor-framework').value;
+        const body = document.getElementById('prompt-body');
+        if (body.value.trim() && !confirm('Replace the template text with the built-in template?')) return;
+
+        try {
+            const response = await fetch(`/api/prompts/built-in/${encodeURIComponent(framework)}`);
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            body.value = data.body;
+            const name = document.getElementById('prompt-name');
+            if (!name.value.trim()) {
+                name.value = `${this.frameworkLabel(framework)} (custom)`;
+            }
+        } catch (err) {
+            alert('Error loading built-in template: ' + err.message);
+        }
+    }
+
+    async savePromptTemplate() {
+        const id = this.editingPrompt?.id;
+        const payload = {
+            name: document.getElementById('prompt-name').value,
+            description: document.getElementById('prompt-description').value,
+            body: document.getElementById('prompt-body').value,
+            note: document.getElementById('prompt-note').value
+        };
+
+        try {
+            const response = await fetch(id ? `/api/prompts/${id}` : '/api/prompts', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const template = await response.json();
+            if (template.error) {
+                throw new Error(template.error);
+            }
+
+            this.editingPrompt = template;
+            document.getElementById('prompt-note').value = '';
+            this.renderPromptVersions(template);
+            await this.loadPrompts();
+        } catch (err) {
+            alert('Error saving prompt template: ' + err.message);
+        }
+    }
+
+    async deletePromptTemplate() {
+        const template = this.editingPrompt;
+        if (!template || !confirm(`Delete "${template.name}"? Analyses that used it keep their record of the prompt version.`)) return;
+
+        try {
+            await fetch(`/api/prompts/${template.id}`, { method: 'DELETE' });
+            await this.openPromptTemplate('');
+            await this.loadPrompts();
+        } catch (err) {
+            alert('Error deleting prompt template: ' + err.message);
+        }
     }
 
     // ====================
@@ -454,15 +972,25 @@ class RedditResearchApp {
     // ====================
 
     async startAnalysis() {
-        // Check if API key is configured
-        if (!this.apiKeyConfigured) {
-            alert('Claude API key is not configured. Please add your API key in the settings panel below.');
+        const selection = this.getSelectedProvider();
+        const provider = this.providers.find(p => p.name === selection.provider);
+
+        // Check the chosen provider is configured
+        if (provider && !provider.configured) {
+            alert(provider.name === 'anthropic'
+                ? 'Claude API key is not configured. Please add your API key in the settings panel below.'
+                : `${provider.label} is not configured on the server.`);
             return;
         }
 
         try {
             const response = await fetch(`/api/jobs/${this.currentJobId}/analyze`, {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    ...selection,
+                    promptTemplateId: document.getElementById('prompt-template').value || null
+                })
             });
 
             const job = await response.json();
@@ -474,43 +1002,29 @@ class RedditResearchApp {
             document.getElementById('analysis-ready').classList.add('hidden');
             document.getElementById('analysis-progress').classList.remove('hidden');
 
-            this.pollAnalysisProgress();
+            this.watchAnalysisProgress();
 
         } catch (err) {
             alert('Error starting analysis: ' + err.message);
         }
     }
 
-    pollAnalysisProgress() {
-        if (this.pollInterval) {
-            clearInterval(this.pollInterval);
-        }
-
-        this.pollInterval = setInterval(async () => {
-            try {
-                const response = await fetch(`/api/jobs/${this.currentJobId}`);
-                const job = await response.json();
-
-                const progressBar = document.getElementById('analysis-progress-bar');
-                const progressText = document.getElementById('analysis-progress-text');
-
-                progressBar.style.width = `${job.progress.percent}%`;
-                progressText.textContent = job.progress.message;
-
-                if (job.status === 'analyzed') {
-                    clearInterval(this.pollInterval);
+    watchAnalysisProgress() {
+        this.watchJob(this.currentJobId, {
+            progressBarId: 'analysis-progress-bar',
+            progressTextId: 'analysis-progress-text',
+            onStatus: (event) => {
+                if (event.status === 'analyzed') {
+                    this.closeEventStream();
                     this.onAnalysisComplete();
-                } else if (job.status === 'analysis_failed') {
-                    clearInterval(this.pollInterval);
-                    alert('Analysis failed: ' + job.error);
+                } else if (event.status === 'analysis_failed') {
+                    this.closeEventStream();
+                    alert('Analysis failed: ' + event.error);
+                } else if (['cancelled', 'paused'].includes(event.status) || event.type === 'deleted') {
+                    this.closeEventStream();
                 }
-
-                this.loadJobs();
-
-            } catch (err) {
-                console.error('Poll error:', err);
             }
-        }, 1000);
+        });
     }
 
     async onAnalysisComplete() {
@@ -538,6 +1052,406 @@ class RedditResearchApp {
             // Legacy format (basic analysis)
             this.renderLegacyResults(analysis);
         }
+        this.loadChat();
+        this.loadDeepDives();
+        this.watchResults(this.currentJobId);
+        document.getElementById('compare-view').classList.add('hidden');
+        this.loadVariants();
+    }
+
+    // ====================
+    // Deep Dives
+    // ====================
+
+    async loadDeepDives() {
+        const jobId = this.currentJobId;
+
+        try {
+            const response = await fetch(`/api/jobs/${jobId}/deep-dives`);
+            const data = await response.json();
+            if (jobId !== this.currentJobId) return;
+
+            // The focuses (and their wording) depend on the job's framework
+            const focuses = data.focuses || [];
+            const select = document.getElementById('deep-dive-focus');
+            const selectedFocus = select.value;
+            select.innerHTML = focuses.map(f =>
+                `<option value="${this.escapeHtml(f.focus)}">${this.escapeHtml(this.focusLabel(f.label))}</option>`
+            ).join('');
+            if (focuses.some(f => f.focus === selectedFocus)) select.value = selectedFocus;
+
+            const flagged = data.priorityThreads;
+            document.getElementById('deep-dive-flagged').textContent = flagged
+                ? `Flagged by the analysis - ${focuses.map(f => `${this.focusLabel(f.label).toLowerCase()}: ${(flagged[f.priorityThreads] || []).map(n => '#' + n).join(', ') || 'none'}`).join('; ')}.`
+                : '';
+            // Later changes arrive over the results event stream
+            this.deepDives = data.subAnalyses || [];
+            this.renderDeepDives(this.deepDives);
+        } catch (err) {
+            console.error('Error loading deep dives:', err);
+        }
+    }
+
+    // "SYMPTOM LANGUAGE" -> "Symptom language"
+    focusLabel(label) {
+        return label.charAt(0) + label.slice(1).toLowerCase();
+    }
+
+    renderDeepDives(subAnalyses) {
+        const list = document.getElementById('deep-dive-list');
+        list.innerHTML = subAnalyses.slice().reverse().map(s => {
+            let actionButtons = '';
+            if (['queued', 'running'].includes(s.status)) {
+                actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.cancelDeepDive('${s.id}')">✕ Cancel</button>`;
+            }
+            if (s.status === 'completed') {
+                actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.viewDeepDive('${s.id}')">View</button>`;
+            }
+            const status = s.status === 'completed' ? 'analyzed' : s.status;
+
+            return `
+                <li class="job-item">
+                    <div class="job-info">
+                        <h4>${this.escapeHtml(s.label ? this.focusLabel(s.label) : (s.focus === 'symptoms' ? 'Symptom language' : 'Mechanism evidence'))} - threads ${s.threads.map(n => '#' + n).join(', ')}</h4>
+                        <p>${s.selection === 'flagged' ? 'Flagged threads' : 'Selected threads'} • ${this.escapeHtml(s.model || s.provider || '')} • ${new Date(s.createdAt).toLocaleString()}${s.error ? ` • ${this.escapeHtml(s.error)}` : (s.message ? ` • ${this.escapeHtml(s.message)}` : '')}</p>
+                    </div>
+                    <div class="job-actions">
+                        <span class="status-dot status-${status}"></span>
+                        <span>${this.escapeHtml(s.status)}</span>
+                        ${actionButtons}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async startDeepDive() {
+        if (!this.currentJobId) return;
+
+        const input = document.getElementById('deep-dive-threads').value;
+        const threads = (input.match(/\d+/g) || []).map(Number);
+        const { provider, model } = this.getSelectedProvider();
+        const btn = document.getElementById('deep-dive-btn');
+        btn.disabled = true;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/deep-dives`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ focus: document.getElementById('deep-dive-focus').value, threads, provider, model })
+            });
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            // The new deep dive shows up over the results event stream
+        } catch (err) {
+            alert('Deep dive error: ' + err.message);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async viewDeepDive(subId) {
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/deep-dives/${subId}`);
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+
+            const report = document.getElementById('deep-dive-report');
+            report.innerHTML = this.markdownToHtml(this.escapeHtml(data.result?.rawMarkdown || 'No output was stored for this deep dive.'));
+            report.classList.remove('hidden');
+        } catch (err) {
+            alert('Error loading deep dive: ' + err.message);
+        }
+    }
+
+    async cancelDeepDive(subId) {
+        try {
+            await fetch(`/api/jobs/${this.currentJobId}/deep-dives/${subId}/cancel`, { method: 'POST' });
+        } catch (err) {
+            alert('Error cancelling deep dive: ' + err.message);
+        }
+    }
+
+    // ====================
+    // Prompt / Model Comparison
+    // ====================
+
+    async loadVariants() {
+        const jobId = this.currentJobId;
+
+        try {
+            const response = await fetch(`/api/jobs/${jobId}/variants`);
+            const data = await response.json();
+            if (jobId !== this.currentJobId) return;
+
+            // Later changes arrive over the results event stream
+            this.variants = data.variants || [];
+            this.renderVariants(this.variants);
+        } catch (err) {
+            console.error('Error loading variants:', err);
+        }
+    }
+
+    renderVariants(variants) {
+        const list = document.getElementById('variant-list');
+        list.innerHTML = variants.slice().reverse().map(v => {
+            let actionButtons = '';
+            if (['queued', 'running'].includes(v.status)) {
+                actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.cancelVariant('${v.id}')">✕ Cancel</button>`;
+            }
+            const status = v.status === 'completed' ? 'analyzed' : v.status;
+            const prompt = v.prompt
+                ? `${v.prompt.name}${v.prompt.version ? ` v${v.prompt.version}` : ''}`
+                : (v.promptTemplateId ? this.promptTemplates.find(t => t.id === v.promptTemplateId)?.name || 'Saved template' : 'Built-in prompt');
+            const summary = v.summary
+                ? ` • ${v.summary.painPointsFound} pain points, ${v.summary.hypothesesGenerated} hypotheses, ${(v.summary.hallucinationRate * 100).toFixed(1)}% unverified quotes`
+                : '';
+
+            return `
+                <li class="job-item">
+                    <div class="job-info">
+                        <h4>${this.escapeHtml(v.label || `${v.model || v.provider || 'Default model'} / ${prompt}`)}</h4>
+                        <p>${this.escapeHtml(v.model || v.provider || 'Default model')} • ${this.escapeHtml(prompt)}${summary} • ${new Date(v.createdAt).toLocaleString()}${v.error ? ` • ${this.escapeHtml(v.error)}` : (v.status !== 'completed' && v.message ? ` • ${this.escapeHtml(v.message)}` : '')}</p>
+                    </div>
+                    <div class="job-actions">
+                        <span class="status-dot status-${status}"></span>
+                        <span>${this.escapeHtml(v.status)}</span>
+                        ${actionButtons}
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    async startVariant() {
+        if (!this.currentJobId) return;
+
+        const { provider, model } = this.getSelectedProvider();
+        const btn = document.getElementById('variant-btn');
+        btn.disabled = true;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/variants`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    variants: [{
+                        provider,
+                        model,
+                        promptTemplateId: document.getElementById('variant-prompt').value || null,
+                        label: document.getElementById('variant-label').value
+                    }]
+                })
+            });
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            document.getElementById('variant-label').value = '';
+            // The new variant shows up over the results event stream
+        } catch (err) {
+            alert('Variant error: ' + err.message);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async cancelVariant(variantId) {
+        try {
+            await fetch(`/api/jobs/${this.currentJobId}/variants/${variantId}/cancel`, { method: 'POST' });
+        } catch (err) {
+            alert('Error cancelling variant: ' + err.message);
+        }
+    }
+
+    async loadComparison() {
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/compare`);
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            this.renderComparison(data);
+        } catch (err) {
+            alert('Comparison error: ' + err.message);
+        }
+    }
+
+    renderComparison(comparison) {
+        const { analyses, painPoints, hypotheses } = comparison;
+        const percent = (share) => share === null ? '—' : `${(share * 100).toFixed(0)}%`;
+        const labelHeaders = analyses.map(a => `<th>${this.escapeHtml(a.label)}</th>`).join('');
+
+        const analysisRows = analyses.map(a => `
+            <tr>
+                <td>${this.escapeHtml(a.label)}</td>
+                <td>${this.escapeHtml(a.model || a.provider || '')}</td>
+                <td>${a.prompt ? `${this.escapeHtml(a.prompt.name)}${a.prompt.version ? ` v${a.prompt.version}` : ''}` : '—'}</td>
+                <td>${a.painPointsFound}</td>
+                <td>${a.hypothesesGenerated}</td>
+                <td>${a.hallucinationRate === null ? '—' : `${(a.hallucinationRate * 100).toFixed(1)}%`}</td>
+                <td>${a.costUsd == null ? '—' : `$${a.costUsd.toFixed(2)}`}</td>
+            </tr>
+        `).join('');
+
+        const pairRows = painPoints.pairs.map((pair, i) => `
+            <tr>
+                <td>${this.escapeHtml(analyses[pair.a].label)} vs ${this.escapeHtml(analyses[pair.b].label)}</td>
+                <td>${pair.matched} (${pair.onlyA} / ${pair.onlyB} only in one)</td>
+                <td>${percent(pair.sharedShare)}</td>
+                <td>${pair.rankCorrelation === null ? '—' : pair.rankCorrelation.toFixed(2)}</td>
+                <td>${percent(hypotheses.pairs[i].sharedShare)}</td>
+            </tr>
+        `).join('');
+
+        const missing = '<span class="compare-cell-missing">—</span>';
+        const painPointRows = painPoints.rows.map(row => `
+            <tr>
+                ${row.cells.map(cell => cell ? `
+                    <td>#${cell.rank} ${this.escapeHtml(cell.name)}<br>
+                    <small class="text-muted">Priority ${cell.priorityScore} (volume ${cell.volumeScore}, emotion ${cell.emotionalScore})</small></td>
+                ` : `<td>${missing}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const hypothesisRows = hypotheses.rows.map(row => `
+            <tr>
+                ${row.cells.map(cell => cell ? `
+                    <td>${this.escapeHtml(cell.name)}<br>
+                    <small class="text-muted">${this.escapeHtml(cell.type || '')}${cell.targetPainPoints ? ` • ${this.escapeHtml(cell.targetPainPoints)}` : ''}</small></td>
+                ` : `<td>${missing}</td>`).join('')}
+            </tr>
+        `).join('');
+
+        const view = document.getElementById('compare-view');
+        view.innerHTML = `
+            <h4 class="mt-2">Runs</h4>
+            <table class="results-table">
+                <thead><tr><th>Analysis</th><th>Model</th><th>Prompt</th><th>Pain Points</th><th>Hypotheses</th><th>Unverified Quotes</th><th>Cost</th></tr></thead>
+                <tbody>${analysisRows}</tbody>
+            </table>
+
+            <h4 class="mt-2">Overlap</h4>
+            <p class="text-muted">Pain points found by every run: ${percent(painPoints.foundByAllShare)}. Rank correlation is Spearman's, over the priority scores of the pain points both runs found.</p>
+            <table class="results-table">
+                <thead><tr><th>Pair</th><th>Pain Points in Both</th><th>Found by Both</th><th>Rank Correlation</th><th>Hypotheses Found by Both</th></tr></thead>
+                <tbody>${pairRows}</tbody>
+            </table>
+
+            <h4 class="mt-2">Pain Points</h4>
+            <table class="results-table">
+                <thead><tr>${labelHeaders}</tr></thead>
+                <tbody>${painPointRows}</tbody>
+            </table>
+
+            <h4 class="mt-2">Hypotheses</h4>
+            <table class="results-table">
+                <thead><tr>${labelHeaders}</tr></thead>
+                <tbody>${hypothesisRows}</tbody>
+            </table>
+        `;
+        view.classList.remove('hidden');
+    }
+
+    // ====================
+    // Follow-up Chat
+    // ====================
+
+    async loadChat() {
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/chat`);
+            const data = await response.json();
+            this.renderChatMessages(data.messages || []);
+        } catch (err) {
+            console.error('Error loading chat:', err);
+        }
+    }
+
+    renderChatMessages(messages) {
+        const container = document.getElementById('chat-messages');
+        container.innerHTML = messages.map(m => {
+            if (m.role === 'user') {
+                return `<div class="chat-message user">${this.escapeHtml(m.content)}</div>`;
+            }
+
+            // Link POST #N citations to the excerpt they came from
+            const permalinks = new Map((m.excerpts || []).map(e => [e.postIndex, e.permalink]));
+            const html = this.markdownToHtml(this.escapeHtml(m.content)).replace(/POST #(\d+)/g, (match, n) =>
+                permalinks.has(parseInt(n)) ? `<a href="${permalinks.get(parseInt(n))}" target="_blank">${match}</a>` : match
+            );
+            const cost = m.usage?.costUsd != null ? ` - $${m.usage.costUsd.toFixed(3)}` : '';
+            return `
+                <div class="chat-message assistant">
+                    ${html}
+                    <div class="chat-meta">${this.escapeHtml(m.model || '')} - ${(m.excerpts || []).length} excerpt(s) retrieved${cost}</div>
+                </div>
+            `;
+        }).join('');
+        container.scrollTop = container.scrollHeight;
+    }
+
+    async sendChatMessage() {
+        const input = document.getElementById('chat-input');
+        const btn = document.getElementById('chat-send-btn');
+        const message = input.value.trim();
+        if (!message || !this.currentJobId) return;
+
+        const container = document.getElementById('chat-messages');
+        container.innerHTML += `
+            <div class="chat-message user">${this.escapeHtml(message)}</div>
+            <div class="chat-message assistant text-muted" id="chat-pending">Thinking...</div>
+        `;
+        container.scrollTop = container.scrollHeight;
+        input.value = '';
+        btn.disabled = true;
+
+        try {
+            const response = await fetch(`/api/jobs/${this.currentJobId}/chat`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ message })
+            });
+            const data = await response.json();
+            if (data.error) {
+                throw new Error(data.error);
+            }
+            this.renderChatMessages(data.messages);
+        } catch (err) {
+            document.getElementById('chat-pending')?.remove();
+            input.value = message;
+            alert('Chat error: ' + err.message);
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async clearChat() {
+        if (!this.currentJobId || !confirm('Clear the follow-up chat for this job?')) return;
+
+        try {
+            await fetch(`/api/jobs/${this.currentJobId}/chat`, { method: 'DELETE' });
+            this.renderChatMessages([]);
+        } catch (err) {
+            alert('Error clearing chat: ' + err.message);
+        }
+    }
+
+    /**
+     * Actual tokens and cost of an analysis, next to what was estimated
+     */
+    formatUsage(metadata) {
+        const usage = metadata?.usage;
+        if (!usage) return '';
+
+        const cost = usage.costUsd !== null ? ` ($${usage.costUsd.toFixed(2)})` : '';
+        const estimated = metadata.estimate?.estimatedCostUsd != null
+            ? ` - estimated $${metadata.estimate.estimatedCostUsd.toFixed(2)}`
+            : '';
+        return `<br><small class="text-muted">Used ${this.formatNumber(usage.inputTokens)} input / ${this.formatNumber(usage.outputTokens)} output tokens across ${usage.requests} request(s)${cost}${estimated}.</small>`;
     }
 
     renderClaudeResults(analysis) {
@@ -551,11 +1465,28 @@ class RedditResearchApp {
                 <strong>AI Analysis Complete!</strong>
                 Identified ${painPointCount} pain points and generated ${hypothesisCount} mechanism hypotheses.
                 <br><small class="text-muted">Analyzed ${analysis.metadata?.totalPosts || 0} posts and ${analysis.metadata?.totalComments || 0} comments.</small>
+                ${this.formatUsage(analysis.metadata)}
+                ${analysis.metadata?.prompt ? `
+                <br><small class="text-muted">Prompt: ${this.escapeHtml(analysis.metadata.prompt.name)}${analysis.metadata.prompt.version ? ` (version ${analysis.metadata.prompt.version})` : ''} - ${analysis.metadata.prompt.hash.slice(0, 12)}.${analysis.metadata.prompt.templateId && analysis.metadata.prompt.appliedTo === 'synthesis' ? ' Used for the final synthesis; the batches used the built-in batch prompt.' : ''}</small>
+                ` : ''}
+                ${analysis.metadata?.redaction ? `
+                <br><small class="text-muted">${this.formatRedaction(analysis.metadata.redaction)}</small>
+                ` : ''}
+                ${analysis.quoteVerification ? `
+                <br><small class="text-muted">Quote check: ${analysis.quoteVerification.summary.verified}/${analysis.quoteVerification.summary.total} quotes verified verbatim, hallucination rate ${(analysis.quoteVerification.summary.hallucinationRate * 100).toFixed(1)}%.</small>
+                ` : ''}
+                ${analysis.documentValidation && !analysis.documentValidation.valid ? `
+                <br><small class="text-muted">The structured JSON document failed schema validation after ${analysis.documentValidation.attempts} attempt(s); pain points and hypotheses were read from the markdown report.</small>
+                ` : ''}
             </div>
         `;
 
         // Render the full markdown analysis
         this.renderMarkdownAnalysis(analysis.rawMarkdown, analysis.structured);
+        this.renderQuoteVerification(analysis.quoteVerification);
+        if (analysis.structured?.sourceReferences) {
+            this.renderSourceReferences(analysis.structured.sourceReferences);
+        }
 
         // Update tabs to show markdown content
         this.setupMarkdownTabs(analysis);
@@ -605,6 +1536,11 @@ class RedditResearchApp {
                             <dt>Sample Lead</dt>
                             <dd><em>"${this.escapeHtml(h.sampleLead)}"</em></dd>
                             ` : ''}
+
+                            ${h.sources?.length ? `
+                            <dt>Sources</dt>
+                            <dd>${this.formatSourceLinks(h.sources)}</dd>
+                            ` : ''}
                         </dl>
                     </div>
                 `;
@@ -612,12 +1548,112 @@ class RedditResearchApp {
         }
     }
 
+    /**
+     * Source references as links to the scraped threads; references that
+     * don't match anything in the scrape are flagged
+     */
+    formatSourceLinks(sources) {
+        return (sources || []).map(s => s.valid
+            ? `<a href="${s.url}" target="_blank" title="${this.escapeHtml(s.title)} (${s.subreddit}, ${s.score} upvotes)">#${s.index}</a>`
+            : `<span class="score-badge score-low" title="Not found in this scrape">${this.escapeHtml(String(s.ref))}?</span>`
+        ).join(', ');
+    }
+
+    renderSourceReferences(refs) {
+        const card = (item) => `
+            <div class="copy-card">
+                <blockquote>${this.escapeHtml(item.label)}</blockquote>
+                ${item.text ? `<p>${this.escapeHtml(item.text)}</p>` : ''}
+                <p class="source">Sources: ${this.formatSourceLinks(item.sources) || 'none cited'}</p>
+            </div>
+        `;
+
+        // Mechanisms: problem side / failed solutions / solution side
+        const mechanismLists = {
+            problem: document.getElementById('root-causes-list'),
+            failed: document.getElementById('failed-solutions-list'),
+            solution: document.getElementById('working-solutions-list')
+        };
+        Object.values(mechanismLists).forEach(list => list.innerHTML = '');
+        refs.mechanisms.forEach(item => {
+            (mechanismLists[item.group] || mechanismLists.problem).innerHTML += card(item);
+        });
+
+        // Copy bank: objections sit with the problem/frustration phrases
+        const copyLists = {
+            symptomPhrases: document.getElementById('symptom-phrases-list'),
+            problemPhrases: document.getElementById('problem-phrases-list'),
+            objections: document.getElementById('problem-phrases-list'),
+            desirePhrases: document.getElementById('desire-phrases-list')
+        };
+        Object.values(copyLists).forEach(list => list.innerHTML = '');
+        refs.copyBank.forEach(item => {
+            (copyLists[item.group] || copyLists.symptomPhrases).innerHTML += card(item);
+        });
+
+        // Sources tab: every scraped thread the analysis cites, most cited first
+        const cited = new Map();
+        ['hypotheses', 'mechanisms', 'copyBank', 'sourceLog'].forEach(section => {
+            refs[section].forEach(item => item.sources.filter(s => s.valid).forEach(s => {
+                const entry = cited.get(s.index) || { ...s, citations: 0 };
+                entry.citations++;
+                cited.set(s.index, entry);
+            }));
+        });
+        this.renderSources([...cited.values()]
+            .sort((a, b) => b.citations - a.citations || a.index - b.index)
+            .map(s => ({ ...s, value: `${s.citations} citation(s)` })));
+
+        if (refs.invalid.length > 0) {
+            document.getElementById('results-summary').innerHTML += `
+                <div class="alert alert-warning">
+                    <strong>${refs.invalid.length} source reference(s) don't match any scraped thread:</strong>
+                    ${refs.invalid.map(r => `${this.escapeHtml(String(r.ref))} (${r.section}: ${this.escapeHtml(r.label)})`).join('; ')}
+                </div>
+            `;
+        }
+    }
+
+    renderQuoteVerification(verification) {
+        const tbody = document.querySelector('#quotes-table tbody');
+        const summary = document.getElementById('quote-summary');
+        tbody.innerHTML = '';
+        if (!verification) {
+            summary.textContent = 'This analysis has no quote check (it was run before quotes were verified).';
+            return;
+        }
+
+        const { total, verified, close, unverified, hallucinationRate } = verification.summary;
+        summary.textContent = `${total} quotes checked: ${verified} verified, ${close} close, ${unverified} unverified ` +
+            `(hallucination rate ${(hallucinationRate * 100).toFixed(1)}%).`;
+
+        const statusClass = { verified: 'score-high', close: 'score-medium', unverified: 'score-low' };
+        // Unverified first - those are the ones to review
+        const order = { unverified: 0, close: 1, verified: 2 };
+        [...verification.quotes].sort((a, b) => order[a.status] - order[b.status]).forEach(q => {
+            const match = q.match;
+            const where = match
+                ? `<a href="${this.escapeHtml(match.permalink || '#')}" target="_blank">#${match.postIndex} ${match.type}${match.author ? ` by u/${this.escapeHtml(match.author)}` : ''}</a>
+                   ${q.status === 'close' ? `<br><small class="text-muted">"${this.escapeHtml(match.excerpt)}"</small>` : ''}`
+                : '<span class="text-muted">Not found</span>';
+
+            const tr = document.createElement('tr');
+            tr.innerHTML = `
+                <td><span class="score-badge ${statusClass[q.status]}">${q.status}</span></td>
+                <td>"${this.escapeHtml(q.text)}"</td>
+                <td><span class="category-badge">${q.section}</span></td>
+                <td>${where}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+    }
+
     setupMarkdownTabs(analysis) {
         // Show the full report in a dedicated tab
         const fullReportContainer = document.getElementById('full-report');
         if (fullReportContainer && analysis.rawMarkdown) {
             // Convert markdown to HTML (basic conversion)
-            const htmlContent = this.markdownToHtml(analysis.rawMarkdown);
+            const htmlContent = this.linkSourceReferences(this.markdownToHtml(analysis.rawMarkdown), analysis.structured?.sourceReferences);
             fullReportContainer.innerHTML = `
                 <div class="markdown-content">
                     ${htmlContent}
@@ -638,6 +1674,23 @@ class RedditResearchApp {
         }
     }
 
+    /**
+     * Turn "Source #N" / "POST #N" in the rendered report into links to the scraped thread
+     */
+    linkSourceReferences(html, refs) {
+        if (!refs) return html;
+
+        const byIndex = new Map();
+        ['hypotheses', 'mechanisms', 'copyBank', 'sourceLog'].forEach(section => {
+            refs[section].forEach(item => item.sources.filter(s => s.valid).forEach(s => byIndex.set(s.index, s)));
+        });
+
+        return html.replace(/\b(Source|POST) #(\d+)/gi, (match, label, number) => {
+            const source = byIndex.get(parseInt(number));
+            return source ? `<a href="${source.url}" target="_blank" title="${this.escapeHtml(source.title)}">${match}</a>` : match;
+        });
+    }
+
     markdownToHtml(markdown) {
         // Basic markdown to HTML conversion
         let html = markdown
@@ -958,6 +2011,20 @@ class RedditResearchApp {
                 actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.downloadJobData('${job.id}')" title="Download scraped data">📥 Data</button>`;
             }
 
+            // Pause / cancel (available while work is queued or in flight)
+            if (['queued', 'running', 'analyzing'].includes(job.status)) {
+                actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.pauseJob('${job.id}')" title="Pause job">⏸ Pause</button>`;
+            }
+            if (['pending', 'queued', 'running', 'analyzing', 'paused', 'interrupted'].includes(job.status)) {
+                actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.cancelJob('${job.id}')" title="Cancel job">✕ Cancel</button>`;
+            }
+
+            // Resume (continues from the last scrape checkpoint)
+            if (job.status === 'interrupted' || job.status === 'paused' || (job.status === 'failed' && job.checkpointFile) ||
+                (job.status === 'analysis_failed' && job.dataFile)) {
+                actionButtons += `<button class="btn btn-sm btn-primary" onclick="app.resumeJob('${job.id}')" title="Resume interrupted job">▶ Resume</button>`;
+            }
+
             // Analysis download (available when analyzed)
             if (job.status === 'analyzed') {
                 actionButtons += `<button class="btn btn-sm btn-secondary" onclick="app.downloadJobAnalysis('${job.id}')" title="Download analysis">📊 Analysis</button>`;
@@ -967,7 +2034,7 @@ class RedditResearchApp {
             li.innerHTML = `
                 <div class="job-info">
                     <h4>${this.escapeHtml(job.config.topic || job.config.subreddits.join(', '))}</h4>
-                    <p>${job.config.subreddits.length} subreddits • ${job.config.postLimit} posts/sub • ${date}</p>
+                    <p>${job.config.subreddits.length} subreddits • ${job.config.postLimit} posts/sub • ${this.escapeHtml(this.frameworkLabel(job.config.framework))} • ${date}</p>
                 </div>
                 <div class="job-actions">
                     <span class="status-dot ${statusClass}"></span>
@@ -980,6 +2047,73 @@ class RedditResearchApp {
         });
     }
 
+    /**
+     * Display name of a job's analysis framework (older jobs have none - they used the default)
+     */
+    frameworkLabel(name) {
+        const framework = this.frameworks.find(f => f.name === name);
+        return framework ? framework.label : (name || 'Health supplements');
+    }
+
+    async resumeJob(jobId) {
+        try {
+            const response = await fetch(`/api/jobs/${jobId}/resume`, { method: 'POST' });
+            const job = await response.json();
+
+            if (job.error) {
+                throw new Error(job.error);
+            }
+
+            this.currentJobId = job.id;
+
+            document.getElementById('section-discovery').classList.add('hidden');
+            document.getElementById('section-config').classList.add('hidden');
+            document.getElementById('section-results').classList.add('hidden');
+
+            if (job.status === 'analyzing' || job.queuedFor === 'analysis') {
+                this.setActiveStep(4);
+                document.getElementById('section-scraping').classList.add('hidden');
+                document.getElementById('section-analysis').classList.remove('hidden');
+                document.getElementById('analysis-ready').classList.add('hidden');
+                document.getElementById('analysis-progress').classList.remove('hidden');
+                this.watchAnalysisProgress();
+            } else {
+                this.setActiveStep(3);
+                document.getElementById('section-analysis').classList.add('hidden');
+                document.getElementById('section-scraping').classList.remove('hidden');
+                this.watchScrapeProgress();
+            }
+
+            this.loadJobs();
+        } catch (err) {
+            alert('Error resuming job: ' + err.message);
+        }
+    }
+
+    async cancelJob(jobId) {
+        if (!confirm('Cancel this job? A cancelled scrape cannot be resumed.')) return;
+        await this.controlJob(jobId, 'cancel');
+    }
+
+    async pauseJob(jobId) {
+        await this.controlJob(jobId, 'pause');
+    }
+
+    async controlJob(jobId, action) {
+        try {
+            const response = await fetch(`/api/jobs/${jobId}/${action}`, { method: 'POST' });
+            const job = await response.json();
+
+            if (job.error) {
+                throw new Error(job.error);
+            }
+
+            this.loadJobs();
+        } catch (err) {
+            alert(`Error trying to ${action} job: ` + err.message);
+        }
+    }
+
     downloadJobData(jobId) {
         window.open(`/api/jobs/${jobId}/export-data`, '_blank');
     }
@@ -1031,12 +2165,16 @@ class RedditResearchApp {
     formatStatus(status) {
         const statuses = {
             'pending': 'Pending',
+            'queued': 'Queued',
             'running': 'Scraping...',
             'scraped': 'Ready for Analysis',
             'analyzing': 'Analyzing...',
             'analyzed': 'Complete',
             'failed': 'Failed',
-            'analysis_failed': 'Analysis Failed'
+            'analysis_failed': 'Analysis Failed',
+            'interrupted': 'Interrupted',
+            'paused': 'Paused',
+            'cancelled': 'Cancelled'
         };
         return statuses[status] || status;
     }
@@ -7,9 +7,146 @@ const router = express.Router();
 const redditService = require('../services/redditService');
 const jobManager = require('../services/jobManager');
 const claudeService = require('../services/claudeService');
+const providers = require('../services/providers');
+const frameworks = require('../services/frameworks');
+const { promptStore, PromptTemplateError } = require('../services/promptStore');
+const { builtInTemplate, PROMPT_VARIABLES } = require('../services/extractionPrompt');
+const { QueryParseError, parseQuery, keywordsToQuery } = require('../services/keywordQuery');
+const { normalizeRedaction } = require('../services/redactor');
+const analysisDocumentSchema = require('../schemas/analysisDocument.schema.json');
 const path = require('path');
 const fs = require('fs').promises;
 
+/**
+ * Resolve the keyword filter from a request body: a `query` string in the
+ * keyword query syntax, or a legacy `keywords` list + `matchAll` flag.
+ * Returns null when there is no filter; throws QueryParseError if invalid.
+ */
+function resolveKeywordQuery({ query, keywords, matchAll }) {
+    const resolved = typeof query === 'string' && query.trim()
+        ? query
+        : keywordsToQuery(Array.isArray(keywords) ? keywords : [], matchAll);
+
+    if (!resolved) return null;
+    parseQuery(resolved);
+    return resolved;
+}
+
+/**
+ * Send a 400 pointing at the problem in an invalid keyword query
+ */
+function sendQueryError(res, err) {
+    return res.status(400).json({ error: `Invalid query: ${err.message}`, position: err.position, query: err.query });
+}
+
+/**
+ * Validate date-range and engagement filters from a request body.
+ * Returns an error message, or null when the filters are usable.
+ */
+function validatePostFilters({ startDate, endDate, minScore, minComments, minUpvoteRatio }) {
+    for (const [name, value] of [['startDate', startDate], ['endDate', endDate]]) {
+        if (value != null && (typeof value !== 'string' || Number.isNaN(Date.parse(value)))) {
+            return `${name} must be a date such as 2026-03-01`;
+        }
+    }
+    if (startDate && endDate && Date.parse(startDate) > Date.parse(endDate)) {
+        return 'startDate must be on or before endDate';
+    }
+    if (minScore != null && !Number.isInteger(minScore)) {
+        return 'minScore must be a whole number';
+    }
+    if (minComments != null && !(Number.isInteger(minComments) && minComments >= 0)) {
+        return 'minComments must be a whole number of at least 0';
+    }
+    if (minUpvoteRatio != null && !(typeof minUpvoteRatio === 'number' && minUpvoteRatio >= 0 && minUpvoteRatio <= 1)) {
+        return 'minUpvoteRatio must be between 0 and 1';
+    }
+    return null;
+}
+
+/**
+ * Validate an optional LLM provider name. Returns an error message or null.
+ */
+function validateProvider(provider) {
+    if (provider && !providers.getProvider(provider)) {
+        return `Unknown provider: ${provider}`;
+    }
+    return null;
+}
+
+/**
+ * Validate an optional analysis framework name. Returns an error message or null.
+ */
+function validateFramework(framework) {
+    if (framework && !frameworks.getFramework(framework)) {
+        return `Unknown framework: ${framework}`;
+    }
+    return null;
+}
+
+/**
+ * Validate a redaction setting (true or { authors, emails, phones, urls, addresses })
+ */
+function validateRedaction(redaction) {
+    try {
+        normalizeRedaction(redaction);
+        return null;
+    } catch (err) {
+        return err.message;
+    }
+}
+
+/**
+ * Analysis settings for a dry run (estimate / prompt preview) of a job:
+ * ?provider=&model=&promptTemplateId=&promptVersion= override the job's own
+ * choice (an empty promptTemplateId means the built-in prompt).
+ * Returns { options } or { error } for an unknown provider or template.
+ */
+function resolveDryRunOptions(query, job) {
+    const provider = query.provider || job.config.provider;
+    const providerError = validateProvider(provider);
+    if (providerError) {
+        return { error: providerError };
+    }
+
+    const templateId = query.promptTemplateId !== undefined ? query.promptTemplateId : job.config.promptTemplateId;
+    const version = query.promptTemplateId !== undefined ? query.promptVersion : job.config.promptVersion;
+    const promptTemplate = templateId ? promptStore.getVersion(templateId, version) : null;
+    if (templateId && !promptTemplate) {
+        return { error: 'Unknown prompt template or version' };
+    }
+
+    return {
+        options: {
+            provider,
+            model: query.model || (query.provider ? null : job.config.model),
+            framework: job.config.framework,
+            promptTemplate
+        }
+    };
+}
+
+/**
+ * Plain-text rendering of a prompt preview: the system prompt and every user
+ * prompt that would be sent, ready to paste into a console
+ */
+function formatPromptPreviewText(preview) {
+    const prompts = preview.analysisMode === 'chunked'
+        ? preview.batches.map(batch => ({ heading: `USER PROMPT - BATCH ${batch.index} OF ${preview.batches.length} (POSTS #${batch.firstPost}-#${batch.lastPost}, ~${batch.tokens} tokens)`, text: batch.text }))
+        : [{ heading: `USER PROMPT (~${preview.extraction.tokens} tokens)`, text: preview.extraction.text }];
+
+    return [
+        `# Prompt preview - ${preview.prompt.name}${preview.prompt.version ? ` v${preview.prompt.version}` : ''} (${preview.prompt.hash})`,
+        `# ${preview.provider} / ${preview.model}, ${preview.analysisMode} analysis`,
+        preview.analysisMode === 'chunked' ? '# The synthesis prompt is built from the batch notes and is not included.' : null,
+        preview.redaction ? `# Redacted: ${Object.entries(preview.redaction.counts).map(([option, count]) => `${option} ${count}`).join(', ')}` : null,
+        '',
+        `===== SYSTEM PROMPT (~${preview.system.tokens} tokens) =====`,
+        preview.system.text,
+        ...prompts.flatMap(prompt => ['', `===== ${prompt.heading} =====`, prompt.text])
+    ].filter(line => line !== null).join('\n');
+}
+
 /**
  * GET /api/discover
  * Discover subreddits related to a topic
@@ -39,24 +176,36 @@ router.get('/discover', async (req, res) => {
  */
 router.post('/preview', async (req, res) => {
     try {
-        const { subreddits, keywords, matchAll, sort, timeFilter } = req.body;
+        const { subreddits, sort, timeFilter, startDate, endDate, minScore, minComments, minUpvoteRatio } = req.body;
 
         if (!subreddits || !Array.isArray(subreddits) || subreddits.length === 0) {
             return res.status(400).json({ error: 'At least one subreddit required' });
         }
 
-        if (!keywords || !Array.isArray(keywords) || keywords.length === 0) {
-            return res.status(400).json({ error: 'At least one keyword required' });
+        const filterError = validatePostFilters(req.body);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const query = resolveKeywordQuery(req.body);
+        if (!query) {
+            return res.status(400).json({ error: 'A query or at least one keyword required' });
         }
 
         const results = await redditService.previewKeywordMatches(
             subreddits,
-            keywords,
-            { matchAll: matchAll || false, sort: sort || 'top', timeFilter: timeFilter || 'year' }
+            query,
+            {
+                sort: sort || 'top', timeFilter: timeFilter || 'year',
+                startDate, endDate, minScore, minComments, minUpvoteRatio
+            }
         );
 
         res.json(results);
     } catch (err) {
+        if (err instanceof QueryParseError) {
+            return sendQueryError(res, err);
+        }
         console.error('Preview error:', err);
         res.status(500).json({ error: err.message });
     }
@@ -68,28 +217,47 @@ router.post('/preview', async (req, res) => {
  */
 router.post('/jobs', async (req, res) => {
     try {
-        const { subreddits, topic, postLimit, commentLimit, sort, timeFilter, keywords, matchAll } = req.body;
+        const {
+            subreddits, topic, postLimit, commentLimit, commentDepth, replyLimit, expandMore,
+            sort, timeFilter, priority,
+            startDate, endDate, minScore, minComments, minUpvoteRatio, provider, model, framework, redaction
+        } = req.body;
 
         if (!subreddits || !Array.isArray(subreddits) || subreddits.length === 0) {
             return res.status(400).json({ error: 'At least one subreddit required' });
         }
 
+        const filterError = validatePostFilters(req.body) || validateProvider(provider) || validateFramework(framework) || validateRedaction(redaction);
+        if (filterError) {
+            return res.status(400).json({ error: filterError });
+        }
+
+        const query = resolveKeywordQuery(req.body);
+
         const job = jobManager.createJob({
             subreddits,
             topic: topic || subreddits.join(', '),
             postLimit: postLimit || 50,
             commentLimit: commentLimit || 50,
+            commentDepth: commentDepth ?? 4,
+            replyLimit: replyLimit || 10,
+            expandMore: expandMore ?? true,
             sort: sort || 'top',
             timeFilter: timeFilter || 'year',
-            keywords: keywords || [],
-            matchAll: matchAll || false
+            query,
+            startDate, endDate, minScore, minComments, minUpvoteRatio,
+            provider, model, framework, redaction,
+            priority: priority || 0
         });
 
-        // Start the job immediately
+        // Queue the job - it starts as soon as a concurrency slot is free
         await jobManager.startJob(job.id);
 
         res.status(201).json(job);
     } catch (err) {
+        if (err instanceof QueryParseError) {
+            return sendQueryError(res, err);
+        }
         console.error('Job creation error:', err);
         res.status(500).json({ error: err.message });
     }
@@ -116,13 +284,61 @@ router.get('/jobs/:id', (req, res) => {
     res.json(job);
 });
 
+/**
+ * GET /api/jobs/:id/events
+ * Server-Sent Events stream of progress updates, status changes and errors
+ */
+router.get('/jobs/:id/events', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Disable proxy buffering (Render/Railway sit behind nginx-style proxies)
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+
+    // Start every stream with the current state so late subscribers don't miss anything
+    const { events, ...snapshot } = job;
+    send({ id: 0, type: 'snapshot', at: new Date().toISOString(), status: job.status, progress: job.progress, error: job.error, job: snapshot });
+
+    const unsubscribe = jobManager.subscribe(job.id, (event) => {
+        send(event);
+        if (event.type === 'deleted') res.end();
+    });
+
+    // Comment lines keep idle connections from being closed by proxies
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+});
+
 /**
  * POST /api/jobs/:id/analyze
- * Start analysis on a scraped job
+ * Start analysis on a scraped job (optional body: { provider, model,
+ * promptTemplateId, promptVersion } - promptTemplateId null switches back to
+ * the built-in prompt, no promptVersion means the latest)
  */
 router.post('/jobs/:id/analyze', async (req, res) => {
     try {
-        const job = await jobManager.startAnalysis(req.params.id);
+        const { provider, model, promptTemplateId, promptVersion, redaction } = req.body || {};
+        const providerError = validateProvider(provider) || validateRedaction(redaction);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
+
+        const job = await jobManager.startAnalysis(req.params.id, { provider, model, promptTemplateId, promptVersion, redaction });
         res.json(job);
     } catch (err) {
         console.error('Analysis start error:', err);
@@ -130,6 +346,389 @@ router.post('/jobs/:id/analyze', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/jobs/:id/analysis-estimate
+ * Estimate tokens and cost of analyzing a job's scraped data
+ * (?provider=&model=&promptTemplateId= override the job's own choice;
+ * an empty promptTemplateId means the built-in prompt)
+ */
+router.get('/jobs/:id/analysis-estimate', async (req, res) => {
+    try {
+        const job = jobManager.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const { options, error } = resolveDryRunOptions(req.query, job);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const llmData = await jobManager.getLlmData(req.params.id, { dryRun: true });
+        if (!llmData) {
+            return res.status(404).json({ error: 'Data not found' });
+        }
+
+        res.json(claudeService.estimateAnalysis(llmData.data, job.config.topic, options));
+    } catch (err) {
+        console.error('Estimate error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/prompt-preview
+ * The system prompt and rendered extraction prompt an analysis would send,
+ * with a per-post token breakdown and the posts/comments that would be
+ * trimmed to fit the budget. Same overrides as the estimate;
+ * ?format=txt returns just the prompts as text, ?download=1 as an attachment.
+ */
+router.get('/jobs/:id/prompt-preview', async (req, res) => {
+    try {
+        const job = jobManager.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const format = req.query.format || 'json';
+        if (!['json', 'txt'].includes(format)) {
+            return res.status(400).json({ error: 'format must be json or txt' });
+        }
+
+        const { options, error } = resolveDryRunOptions(req.query, job);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        // Preview exactly what would be sent - redacted if the job asks for it
+        const llmData = await jobManager.getLlmData(req.params.id, { dryRun: true });
+        if (!llmData) {
+            return res.status(404).json({ error: 'Data not found' });
+        }
+
+        const preview = claudeService.previewPrompt(llmData.data, job.config.topic, options);
+        preview.redaction = llmData.mapping ? { options: job.config.redaction, counts: llmData.mapping.counts } : null;
+
+        if (req.query.download) {
+            const topicSlug = (job.config.topic || 'analysis').replace(/\s+/g, '_').replace(/[^a-zA-Z0-9_]/g, '');
+            res.setHeader('Content-Disposition', `attachment; filename="prompt_${topicSlug}.${format}"`);
+        }
+        if (format === 'txt') {
+            res.type('text/plain').send(formatPromptPreviewText(preview));
+        } else {
+            res.json(preview);
+        }
+    } catch (err) {
+        console.error('Prompt preview error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/redaction
+ * What was redacted before the job's data went to the LLM: { options, counts }.
+ * The pseudonym -> username mapping and its salt never leave the server.
+ */
+router.get('/jobs/:id/redaction', async (req, res) => {
+    try {
+        const job = jobManager.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const summary = await jobManager.getRedactionSummary(req.params.id);
+        if (!summary) {
+            return res.status(404).json({ error: 'Nothing redacted for this job' });
+        }
+
+        res.json(summary);
+    } catch (err) {
+        console.error('Redaction mapping error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/chat
+ * Follow-up chat history for a job's analysis
+ */
+router.get('/jobs/:id/chat', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ messages: job.chatHistory || [] });
+});
+
+/**
+ * POST /api/jobs/:id/chat
+ * Ask a follow-up question about a job's analysis
+ * Body: { message, provider?, model? }
+ */
+router.post('/jobs/:id/chat', async (req, res) => {
+    try {
+        const { message, provider, model } = req.body || {};
+        const job = jobManager.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!job.analysisFile) {
+            return res.status(400).json({ error: 'Run the analysis before asking follow-up questions' });
+        }
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({ error: 'Message required' });
+        }
+
+        const providerError = validateProvider(provider);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
+
+        if (jobManager.chatsInFlight.has(req.params.id)) {
+            return res.status(409).json({ error: 'Still answering the previous question for this job' });
+        }
+
+        const reply = await jobManager.chat(req.params.id, message.trim(), { provider, model });
+        res.json({ reply, messages: jobManager.getJob(req.params.id)?.chatHistory || [] });
+    } catch (err) {
+        console.error('Chat error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/jobs/:id/chat
+ * Clear a job's follow-up chat
+ */
+router.delete('/jobs/:id/chat', async (req, res) => {
+    try {
+        await jobManager.clearChat(req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        res.status(404).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/deep-dives
+ * Deep-dive sub-analyses of a job, the focuses its framework offers
+ * ([{ focus, label, priorityThreads }]) and the threads its analysis flagged
+ */
+router.get('/jobs/:id/deep-dives', async (req, res) => {
+    try {
+        const job = jobManager.getJob(req.params.id);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const analysis = await jobManager.getAnalysisResult(req.params.id);
+        const framework = frameworks.getFramework(job.config.framework || frameworks.DEFAULT_FRAMEWORK);
+        res.json({
+            subAnalyses: job.subAnalyses || [],
+            focuses: Object.entries(framework?.deepDiveFocuses || {})
+                .map(([focus, { label, priorityThreads }]) => ({ focus, label, priorityThreads })),
+            priorityThreads: analysis?.structured?.priorityThreads || null
+        });
+    } catch (err) {
+        console.error('Deep dive list error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/deep-dives
+ * Queue a deep dive; it runs through the job queue under MAX_CONCURRENT_JOBS.
+ * Body: { focus: 'symptoms' | 'mechanisms', threads?: [source numbers], provider?, model? }
+ * - without threads, the ones the analysis flagged are used
+ */
+router.post('/jobs/:id/deep-dives', async (req, res) => {
+    try {
+        const { focus, threads, provider, model } = req.body || {};
+        if (!jobManager.getJob(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (threads !== undefined && threads !== null && !Array.isArray(threads)) {
+            return res.status(400).json({ error: 'threads must be a list of source numbers' });
+        }
+
+        const providerError = validateProvider(provider);
+        if (providerError) {
+            return res.status(400).json({ error: providerError });
+        }
+
+        const subAnalysis = await jobManager.startDeepDive(req.params.id, { focus, threads, provider, model });
+        res.status(202).json(subAnalysis);
+    } catch (err) {
+        console.error('Deep dive start error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/deep-dives/:subId
+ * A deep dive with its result (report + re-fetched threads)
+ */
+router.get('/jobs/:id/deep-dives/:subId', async (req, res) => {
+    try {
+        const subAnalysis = await jobManager.getSubAnalysis(req.params.id, req.params.subId);
+        if (!subAnalysis) {
+            return res.status(404).json({ error: 'Sub-analysis not found' });
+        }
+        res.json(subAnalysis);
+    } catch (err) {
+        console.error('Deep dive fetch error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/deep-dives/:subId/cancel
+ * Cancel a queued or running deep dive
+ */
+router.post('/jobs/:id/deep-dives/:subId/cancel', (req, res) => {
+    try {
+        res.json(jobManager.cancelSubAnalysis(req.params.id, req.params.subId));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/variants
+ * Variant analyses of a job (other prompts/models run on the same scrape)
+ */
+router.get('/jobs/:id/variants', (req, res) => {
+    const job = jobManager.getJob(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json({ variants: job.variants || [], hasMainAnalysis: Boolean(job.analysisFile) });
+});
+
+/**
+ * POST /api/jobs/:id/variants
+ * Queue variant analyses; they run through the job queue under MAX_CONCURRENT_JOBS.
+ * Body: { variants: [{ provider?, model?, promptTemplateId?, promptVersion?, label? }] }
+ */
+router.post('/jobs/:id/variants', async (req, res) => {
+    try {
+        const { variants } = req.body || {};
+        if (!jobManager.getJob(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!Array.isArray(variants) || variants.some(v => !v || typeof v !== 'object')) {
+            return res.status(400).json({ error: 'variants must be a list of { provider?, model?, promptTemplateId?, promptVersion?, label? }' });
+        }
+
+        for (const variant of variants) {
+            const providerError = validateProvider(variant.provider);
+            if (providerError) {
+                return res.status(400).json({ error: providerError });
+            }
+        }
+
+        const records = await jobManager.startVariants(req.params.id, variants);
+        res.status(202).json({ variants: records });
+    } catch (err) {
+        console.error('Variant start error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/variants/:variantId
+ * A variant with its stored analysis
+ */
+router.get('/jobs/:id/variants/:variantId', async (req, res) => {
+    try {
+        const variant = await jobManager.getVariant(req.params.id, req.params.variantId);
+        if (!variant) {
+            return res.status(404).json({ error: 'Variant not found' });
+        }
+        res.json(variant);
+    } catch (err) {
+        console.error('Variant fetch error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/variants/:variantId/cancel
+ * Cancel a queued or running variant
+ */
+router.post('/jobs/:id/variants/:variantId/cancel', (req, res) => {
+    try {
+        res.json(jobManager.cancelVariant(req.params.id, req.params.variantId));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/jobs/:id/compare
+ * Side-by-side comparison of a job's analyses: matched pain points (with
+ * scores and ranks) and hypotheses, plus overlap and rank correlation per pair.
+ * ?analyses=main,<variantId>,... picks which to compare (default: the main
+ * analysis and all completed variants)
+ */
+router.get('/jobs/:id/compare', async (req, res) => {
+    try {
+        if (!jobManager.getJob(req.params.id)) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        const ids = req.query.analyses
+            ? String(req.query.analyses).split(',').map(id => id.trim()).filter(Boolean)
+            : null;
+        res.json(await jobManager.compareJobAnalyses(req.params.id, ids));
+    } catch (err) {
+        console.error('Compare error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/resume
+ * Resume an interrupted, paused or failed job from its last checkpoint
+ */
+router.post('/jobs/:id/resume', async (req, res) => {
+    try {
+        const job = await jobManager.resumeJob(req.params.id);
+        res.json(job);
+    } catch (err) {
+        console.error('Resume error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a running, paused or interrupted job
+ */
+router.post('/jobs/:id/cancel', async (req, res) => {
+    try {
+        const job = await jobManager.cancelJob(req.params.id);
+        res.json(job);
+    } catch (err) {
+        console.error('Cancel error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
+/**
+ * POST /api/jobs/:id/pause
+ * Pause a running scrape or analysis
+ */
+router.post('/jobs/:id/pause', async (req, res) => {
+    try {
+        const job = await jobManager.pauseJob(req.params.id);
+        res.json(job);
+    } catch (err) {
+        console.error('Pause error:', err);
+        res.status(400).json({ error: err.message });
+    }
+});
+
 /**
  * GET /api/jobs/:id/data
  * Get scraped data for a job
@@ -230,16 +829,135 @@ router.delete('/jobs/:id', async (req, res) => {
     }
 });
 
+/**
+ * GET /api/frameworks
+ * Analysis frameworks a job can be created with
+ */
+router.get('/frameworks', (req, res) => {
+    res.json({ frameworks: frameworks.listFrameworks(), defaultFramework: frameworks.DEFAULT_FRAMEWORK });
+});
+
+/**
+ * GET /api/prompts
+ * Saved extraction prompt templates and the {{variables}} they can use
+ */
+router.get('/prompts', (req, res) => {
+    res.json({ templates: promptStore.listTemplates(), variables: PROMPT_VARIABLES });
+});
+
+/**
+ * GET /api/prompts/built-in/:framework
+ * A framework's built-in extraction template, the starting point for a saved one
+ */
+router.get('/prompts/built-in/:framework', (req, res) => {
+    const framework = frameworks.getFramework(req.params.framework);
+    if (!framework) {
+        return res.status(404).json({ error: 'Framework not found' });
+    }
+    res.json({ framework: framework.name, body: builtInTemplate(framework) });
+});
+
+/**
+ * POST /api/prompts
+ * Create a template. Body: { name, description?, body, note? }
+ */
+router.post('/prompts', async (req, res) => {
+    try {
+        const template = await promptStore.createTemplate(req.body || {});
+        res.status(201).json(template);
+    } catch (err) {
+        if (err instanceof PromptTemplateError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Prompt template creation error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/prompts/:id
+ * A template with all of its versions
+ */
+router.get('/prompts/:id', (req, res) => {
+    const template = promptStore.getTemplate(req.params.id);
+    if (!template) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json(template);
+});
+
+/**
+ * PUT /api/prompts/:id
+ * Update a template. Body: { name?, description?, body?, note? } - a changed
+ * body is saved as a new version, earlier versions are kept as they were
+ */
+router.put('/prompts/:id', async (req, res) => {
+    try {
+        const template = await promptStore.updateTemplate(req.params.id, req.body || {});
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        res.json(template);
+    } catch (err) {
+        if (err instanceof PromptTemplateError) {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Prompt template update error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * DELETE /api/prompts/:id
+ * Remove a template from the list (its versions stay traceable from old analyses)
+ */
+router.delete('/prompts/:id', async (req, res) => {
+    try {
+        if (!await promptStore.deleteTemplate(req.params.id)) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        res.json({ success: true });
+    } catch (err) {
+        console.error('Prompt template deletion error:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+/**
+ * GET /api/prompts/:id/versions/:version
+ * One version of a template - the exact prompt an analysis recorded
+ */
+router.get('/prompts/:id/versions/:version', (req, res) => {
+    const version = promptStore.getVersion(req.params.id, req.params.version);
+    if (!version) {
+        return res.status(404).json({ error: 'Prompt version not found' });
+    }
+    res.json(version);
+});
+
+/**
+ * GET /api/schemas/analysis-document
+ * JSON Schema that analysis documents (analysis.document) are validated against
+ */
+router.get('/schemas/analysis-document', (req, res) => {
+    res.type('application/schema+json').send(JSON.stringify(analysisDocumentSchema, null, 2));
+});
+
 /**
  * GET /api/settings
- * Get current settings (API key status)
+ * Get current settings (API key status, LLM providers, Reddit API mode)
  */
 router.get('/settings', (req, res) => {
     const envKeyConfigured = !!process.env.ANTHROPIC_API_KEY;
+    const defaultProvider = providers.getDefaultProviderName();
     res.json({
-        claudeApiConfigured: claudeService.isConfigured(),
+        claudeApiConfigured: claudeService.isConfigured('anthropic'),
         apiKeyFromEnv: envKeyConfigured, // If true, hide the manual API key input
-        claudeModel: 'claude-sonnet-4-20250514'
+        defaultProvider,
+        defaultModel: providers.getProvider(defaultProvider).defaultModel,
+        providers: providers.listProviders(),
+        maxConcurrentJobs: jobManager.maxConcurrent,
+        redditApiMode: redditService.getMode() // 'oauth' or 'public'
     });
 });
 
@@ -11,22 +11,40 @@ const cors = require('cors');
 const path = require('path');
 const apiRoutes = require('./routes/api');
 const jobManager = require('./services/jobManager');
+const { promptStore, MAX_BODY_LENGTH } = require('./services/promptStore');
 const claudeService = require('./services/claudeService');
+const redditService = require('./services/redditService');
 
-// Reload Claude service API key from environment (ensures dotenv has run)
+// Reload LLM provider keys/endpoints from environment (ensures dotenv has run)
 claudeService.reloadFromEnv();
+// Same for Reddit OAuth credentials (switches to oauth.reddit.com when present)
+redditService.reloadFromEnv();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// Prompt templates may be up to MAX_BODY_LENGTH characters, more than the
+// default 100kb JSON limit - allow for multi-byte and escaped characters
+app.use('/api/prompts', express.json({ limit: MAX_BODY_LENGTH * 6 + 16 * 1024 }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../public')));
 
 // API routes
 app.use('/api', apiRoutes);
 
+// Body parser errors as JSON, like every other API error
+app.use('/api', (err, req, res, next) => {
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Request body too large (limit ${err.limit} bytes)` });
+    }
+    if (err.type === 'entity.parse.failed') {
+        return res.status(400).json({ error: 'Invalid JSON body' });
+    }
+    next(err);
+});
+
 // Serve frontend for all other routes (Express 5 compatible)
 app.get('/{*splat}', (req, res) => {
     res.sendFile(path.join(__dirname, '../public/index.html'));
@@ -34,6 +52,8 @@ app.get('/{*splat}', (req, res) => {
 
 // Initialize and start server
 async function start() {
+    // Templates first - restored queued analyses may use one
+    await promptStore.init();
     await jobManager.init();
 
     app.listen(PORT, '0.0.0.0', () => {
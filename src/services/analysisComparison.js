@@ -0,0 +1,222 @@
+/**
+ * Analysis Comparison - Side-by-side diff of analyses of the same scrape
+ *
+ * Pain points and hypotheses are matched across analyses by name: names are
+ * reduced to content words (light stemming, stopwords dropped) and two items
+ * match when their Dice similarity reaches MATCH_THRESHOLD. Matches are made
+ * greedily, best pair first, so an item matches at most one item per analysis.
+ *
+ * For every pair of analyses the comparison reports the share of items found
+ * by both (matched / union) and, for pain points, the Spearman rank
+ * correlation of the matched pain points' priority scores.
+ */
+
+const { STOPWORDS, tokenize } = require('./corpus');
+
+const MATCH_THRESHOLD = 0.5;
+
+/**
+ * Internal: Content words of an item name, lightly stemmed
+ * ("Morning Bloating" and "bloated mornings" share "morning" and "bloat")
+ */
+function nameTerms(name) {
+    const terms = tokenize(name)
+        .map(token => token.word)
+        .filter(word => word.length > 1 && !STOPWORDS.has(word))
+        .map(word => word.length > 4 ? word.replace(/(?:ing|ed|es|s)$/, '') : word);
+    return new Set(terms);
+}
+
+/**
+ * Internal: Dice similarity of two term sets
+ */
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    for (const term of a) {
+        if (b.has(term)) shared++;
+    }
+    return 2 * shared / (a.size + b.size);
+}
+
+/**
+ * Internal: Align the items of several analyses into rows. Each row holds at
+ * most one item per analysis (cells[i] is null where analysis i lacks it).
+ * An item is compared with every name already in a row.
+ */
+function alignItems(itemLists) {
+    const rows = [];
+
+    itemLists.forEach((items, column) => {
+        const candidates = [];
+        items.forEach((item, i) => {
+            const terms = nameTerms(item.name);
+            rows.forEach((row, r) => {
+                const score = Math.max(...row.terms.map(rowTerms => similarity(terms, rowTerms)));
+                if (score >= MATCH_THRESHOLD) candidates.push({ i, r, score, terms });
+            });
+        });
+
+        const usedItems = new Set();
+        const usedRows = new Set();
+        for (const { i, r, score, terms } of candidates.sort((a, b) => b.score - a.score)) {
+            if (usedItems.has(i) || usedRows.has(r)) continue;
+            usedItems.add(i);
+            usedRows.add(r);
+            rows[r].cells[column] = { ...items[i], similarity: Math.round(score * 100) / 100 };
+            rows[r].terms.push(terms);
+        }
+
+        items.forEach((item, i) => {
+            if (usedItems.has(i)) return;
+            const cells = new Array(itemLists.length).fill(null);
+            cells[column] = item;
+            rows.push({ cells, terms: [nameTerms(item.name)] });
+        });
+    });
+
+    return rows.map(({ cells }) => ({
+        name: cells.find(Boolean).name,
+        foundIn: cells.filter(Boolean).length,
+        cells
+    }));
+}
+
+/**
+ * Internal: Ranks (1 = highest value), ties sharing their average rank
+ */
+function ranks(values) {
+    const order = values.map((value, i) => ({ value, i })).sort((a, b) => b.value - a.value);
+    const result = new Array(values.length);
+    for (let start = 0; start < order.length;) {
+        let end = start;
+        while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+        const rank = (start + end) / 2 + 1;
+        for (let k = start; k <= end; k++) result[order[k].i] = rank;
+        start = end + 1;
+    }
+    return result;
+}
+
+/**
+ * Spearman rank correlation of paired values (Pearson correlation of their
+ * ranks, so ties are handled). Null with fewer than two pairs or when one
+ * side has no variation.
+ */
+function spearman(xs, ys) {
+    if (xs.length < 2) return null;
+    const rx = ranks(xs);
+    const ry = ranks(ys);
+    const mean = (rx.length + 1) / 2;
+
+    let covariance = 0, varianceX = 0, varianceY = 0;
+    for (let i = 0; i < rx.length; i++) {
+        covariance += (rx[i] - mean) * (ry[i] - mean);
+        varianceX += (rx[i] - mean) ** 2;
+        varianceY += (ry[i] - mean) ** 2;
+    }
+    if (varianceX === 0 || varianceY === 0) return null;
+    return Math.round(covariance / Math.sqrt(varianceX * varianceY) * 1000) / 1000;
+}
+
+/**
+ * Internal: Overlap of every pair of columns in aligned rows
+ */
+function pairMetrics(rows, count, withCorrelation) {
+    const pairs = [];
+    for (let a = 0; a < count; a++) {
+        for (let b = a + 1; b < count; b++) {
+            const inEither = rows.filter(row => row.cells[a] || row.cells[b]);
+            const inBoth = inEither.filter(row => row.cells[a] && row.cells[b]);
+            const pair = {
+                a,
+                b,
+                matched: inBoth.length,
+                onlyA: rows.filter(row => row.cells[a] && !row.cells[b]).length,
+                onlyB: rows.filter(row => row.cells[b] && !row.cells[a]).length,
+                sharedShare: inEither.length > 0 ? Math.round(inBoth.length / inEither.length * 1000) / 1000 : null
+            };
+            if (withCorrelation) {
+                pair.rankCorrelation = spearman(
+                    inBoth.map(row => row.cells[a].priorityScore),
+                    inBoth.map(row => row.cells[b].priorityScore)
+                );
+            }
+            pairs.push(pair);
+        }
+    }
+    return pairs;
+}
+
+/**
+ * Compare analyses of the same scrape.
+ * `entries` is [{ id, label, analysis }] where analysis is a stored analysis
+ * result (claudeService.analyzeScrapedData output plus quoteVerification).
+ * Returns {
+ *   analyses: [{ id, label, provider, model, framework, prompt, painPointsFound,
+ *                hypothesesGenerated, hallucinationRate, costUsd }],
+ *   painPoints: { rows: [{ name, foundIn, cells }], pairs, foundByAllShare },
+ *   hypotheses: { rows, pairs, foundByAllShare }
+ * }
+ * Each cell is the item in that analysis (null if it's missing); pain point
+ * cells carry their priority rank within their own analysis. Pairs index
+ * into `analyses` (a, b).
+ */
+function compareAnalyses(entries) {
+    const painPointLists = entries.map(({ analysis }) =>
+        (analysis.structured?.painPoints || []).map((painPoint, i) => ({
+            name: painPoint.name,
+            rank: i + 1,
+            priorityScore: painPoint.priorityScore,
+            volumeScore: painPoint.volumeScore,
+            emotionalScore: painPoint.emotionalScore
+        }))
+    );
+    const hypothesisLists = entries.map(({ analysis }) =>
+        (analysis.structured?.hypotheses || []).map(hypothesis => ({
+            name: hypothesis.name,
+            number: hypothesis.number,
+            type: hypothesis.type,
+            targetPainPoints: hypothesis.targetPainPoints,
+            sampleHook: hypothesis.sampleHook
+        }))
+    );
+
+    const foundByAllShare = (rows) => rows.length > 0
+        ? Math.round(rows.filter(row => row.foundIn === entries.length).length / rows.length * 1000) / 1000
+        : null;
+
+    // Pain points shared by more analyses first, then by their best rank
+    const bestRank = (row) => Math.min(...row.cells.filter(Boolean).map(cell => cell.rank));
+    const painPointRows = alignItems(painPointLists)
+        .sort((a, b) => b.foundIn - a.foundIn || bestRank(a) - bestRank(b));
+    const hypothesisRows = alignItems(hypothesisLists)
+        .sort((a, b) => b.foundIn - a.foundIn);
+
+    return {
+        analyses: entries.map(({ id, label, analysis }) => ({
+            id,
+            label,
+            provider: analysis.metadata?.provider || null,
+            model: analysis.metadata?.model || null,
+            framework: analysis.metadata?.framework || null,
+            prompt: analysis.metadata?.prompt || null,
+            painPointsFound: analysis.structured?.painPoints?.length || 0,
+            hypothesesGenerated: analysis.structured?.hypotheses?.length || 0,
+            hallucinationRate: analysis.quoteVerification?.summary?.hallucinationRate ?? null,
+            costUsd: analysis.metadata?.usage?.costUsd ?? null
+        })),
+        painPoints: {
+            rows: painPointRows,
+            pairs: pairMetrics(painPointRows, entries.length, true),
+            foundByAllShare: foundByAllShare(painPointRows)
+        },
+        hypotheses: {
+            rows: hypothesisRows,
+            pairs: pairMetrics(hypothesisRows, entries.length, false),
+            foundByAllShare: foundByAllShare(hypothesisRows)
+        }
+    };
+}
+
+module.exports = { compareAnalyses, spearman };
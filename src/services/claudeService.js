@@ -1,138 +1,469 @@
 /**
  * Claude API Service
- * Handles AI-powered analysis using Anthropic's Claude API
+ * Handles AI-powered analysis. Completions go through a pluggable LLM
+ * provider (see providers/) - Anthropic's Claude by default, or an
+ * OpenAI-compatible server or the offline mock, chosen per job.
  */
 
-const https = require('https');
-const { generateExtractionPrompt } = require('./extractionPrompt');
+const {
+    generateExtractionPrompt,
+    builtInTemplate,
+    generateChunkExtractionPrompt,
+    generateNotesMergePrompt,
+    generateSynthesisPrompt,
+    generateStructuringPrompt,
+    generateRepairPrompt,
+    generateChatSystemPrompt,
+    generateChatTurnPrompt,
+    generateDeepDivePrompt,
+    formatPost
+} = require('./extractionPrompt');
+const { estimateTokens, CHARS_PER_TOKEN } = require('./tokenEstimator');
+const { getPricing, estimateCost } = require('./pricing');
+const crypto = require('crypto');
+const providers = require('./providers');
+const frameworks = require('./frameworks');
+const { validate } = require('./schemaValidator');
+const { resolveSources, extractPriorityThreads } = require('./sourceResolver');
+const { buildCorpus, searchCorpus } = require('./corpus');
+const analysisDocumentSchema = require('../schemas/analysisDocument.schema.json');
+
+// Worth retrying: timeouts, rate limits, overloaded (529) and transient server errors
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504, 529];
+// Transient network failures, provider timeouts and unparseable (e.g. gateway
+// error page) responses. Not ENOTFOUND / ECONNREFUSED: a wrong host stays wrong.
+const RETRYABLE_CODES = [
+    'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'EPIPE', 'ECONNABORTED', 'EBADRESPONSE', 'ENETWORK',
+    'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+];
+
+const STRUCTURING_SYSTEM_PROMPT = 'You convert market research reports into JSON documents that match a given JSON Schema exactly. Never invent content that is not in the report.';
 
 class ClaudeService {
     constructor() {
-        // Load API key from environment variable (for deployment)
-        // Falls back to session-based key if env var not set
-        // Trim to remove any whitespace/newlines that cause header errors
-        this.apiKey = process.env.ANTHROPIC_API_KEY?.trim() || null;
-        this.model = 'claude-sonnet-4-20250514'; // Latest Sonnet model
         this.maxTokens = 16000; // Allow long responses for detailed analysis
+        this.maxInputTokens = 150000; // Prompt budget - 200k context minus room for the response
+        this.chunkTokens = 60000; // Post data per batch when a dataset needs map-reduce
+        // Typical response lengths, used only for cost estimates
+        this.expectedReportTokens = 8000;
+        this.expectedNotesTokens = 3000;
+        this.expectedDocumentTokens = 6000;
+        this.maxRetries = 4;
+        this.backoffBase = 2000;
+        this.backoffMax = 60000;
+        this.maxContinuations = 3; // Extra calls to finish a response cut off at max_tokens
+        this.maxRepairs = 2; // Re-asks when the structured document fails schema validation
+        // Follow-up chat: retrieved excerpts and earlier turns sent with each question
+        this.chatExcerptTokens = 12000;
+        this.chatExcerptChars = 2000; // Longer posts/comments are cut to this
+        this.chatHistoryMessages = 20;
     }
 
     /**
-     * Reload API key from environment (useful after .env changes)
+     * Reload provider keys/endpoints from environment (useful after .env changes)
      */
     reloadFromEnv() {
-        if (process.env.ANTHROPIC_API_KEY) {
-            this.apiKey = process.env.ANTHROPIC_API_KEY.trim();
-        }
+        providers.reloadFromEnv();
     }
 
     /**
-     * Check if API key is configured
+     * Check if a provider (default: the configured default) is ready to use
      */
-    isConfigured() {
-        return !!this.apiKey;
+    isConfigured(providerName = null) {
+        return !!providers.getProvider(providerName || providers.getDefaultProviderName())?.isConfigured();
     }
 
     /**
-     * Set API key
+     * Set the Anthropic API key
      */
     setApiKey(key) {
-        this.apiKey = key?.trim() || null;
+        providers.getProvider('anthropic').setApiKey(key);
     }
 
     /**
-     * Make a request to Claude API
+     * Resolve a provider name + model, falling back to the defaults.
+     * Throws for unknown providers.
      */
-    async _makeRequest(messages, systemPrompt = null) {
-        return new Promise((resolve, reject) => {
-            const requestBody = {
-                model: this.model,
-                max_tokens: this.maxTokens,
-                messages: messages
-            };
+    resolveProvider(providerName = null, model = null) {
+        const name = providerName || providers.getDefaultProviderName();
+        const provider = providers.getProvider(name);
+        if (!provider) {
+            throw new Error(`Unknown LLM provider: ${name}`);
+        }
+        return { provider, model: model || provider.defaultModel };
+    }
+
+    /**
+     * Resolve an analysis framework by name, falling back to the default.
+     * Throws for unknown frameworks.
+     */
+    resolveFramework(name = null) {
+        const framework = frameworks.getFramework(name || frameworks.DEFAULT_FRAMEWORK);
+        if (!framework) {
+            throw new Error(`Unknown analysis framework: ${name}`);
+        }
+        return framework;
+    }
+
+    /**
+     * The extraction prompt template an analysis runs with: a saved template
+     * version ({ id, name, version, body, hash } from promptStore) or, without
+     * one, the framework's built-in template
+     */
+    resolvePromptTemplate(framework, promptTemplate = null) {
+        if (promptTemplate) return promptTemplate;
 
-            if (systemPrompt) {
-                requestBody.system = systemPrompt;
+        const body = builtInTemplate(framework);
+        return {
+            id: null,
+            name: `Built-in: ${framework.label}`,
+            version: null,
+            body,
+            hash: crypto.createHash('sha256').update(body).digest('hex')
+        };
+    }
+
+    /**
+     * Internal: Send one user prompt (after any earlier `history` turns) with
+     * requestOptions.system (the framework's system prompt for research calls) and
+     * return the response text, adding the reported token usage to `usage`.
+     * Responses cut off at max_tokens are continued by prefilling the text so
+     * far as an assistant turn, up to maxContinuations times.
+     * `step` labels the call in attempt records (e.g. 'chunk 2/5').
+     */
+    async _complete(prompt, requestOptions, step) {
+        const { provider, model, signal = null, usage = null, onAttempt = null, system, history = [] } = requestOptions;
+        const messages = [
+            ...history,
+            {
+                role: 'user',
+                content: prompt
+            }
+        ];
+        let text = '';
+
+        for (let continuation = 0; ; continuation++) {
+            // The API rejects prefills ending in whitespace
+            const prefill = text.trimEnd();
+            const response = await this._completeWithRetry(provider, {
+                system,
+                messages: prefill ? [...messages, { role: 'assistant', content: prefill }] : messages,
+                maxTokens: this.maxTokens,
+                model,
+                signal
+            }, { step, continuation, onAttempt });
+
+            if (usage) {
+                usage.requests++;
+                usage.inputTokens += response.usage.inputTokens;
+                usage.outputTokens += response.usage.outputTokens;
             }
 
-            const postData = JSON.stringify(requestBody);
-
-            const options = {
-                hostname: 'api.anthropic.com',
-                port: 443,
-                path: '/v1/messages',
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-api-key': this.apiKey,
-                    'anthropic-version': '2023-06-01',
-                    'Content-Length': Buffer.byteLength(postData)
-                }
+            text = prefill + response.text;
+            if (response.stopReason !== 'max_tokens') break;
+
+            if (continuation >= this.maxContinuations) {
+                console.warn(`${step}: still at max_tokens after ${continuation} continuations, keeping partial response`);
+                break;
+            }
+        }
+
+        return text;
+    }
+
+    /**
+     * Internal: One provider call with retries and exponential backoff.
+     * Every attempt (successful or not) is reported to onAttempt.
+     */
+    async _completeWithRetry(provider, request, { step, continuation, onAttempt }) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                const response = await provider.complete(request);
+                onAttempt?.({ step, attempt, continuation, ok: true, stopReason: response.stopReason });
+                return response;
+            } catch (err) {
+                if (request.signal?.aborted) throw err;
+
+                const willRetry = this._isRetryable(err) && attempt <= this.maxRetries;
+                const retryInMs = willRetry
+                    ? (this._parseRetryAfter(err.retryAfter) ?? this._backoffDelay(attempt))
+                    : null;
+
+                onAttempt?.({
+                    step,
+                    attempt,
+                    continuation,
+                    ok: false,
+                    error: err.message,
+                    statusCode: err.status ?? null,
+                    retryInMs
+                });
+
+                if (!willRetry) throw err;
+
+                console.warn(`${step} failed (${err.message}), retry ${attempt}/${this.maxRetries} in ${Math.round(retryInMs / 1000)}s`);
+                await this._sleep(retryInMs, request.signal);
+            }
+        }
+    }
+
+    /**
+     * Internal: Transient network errors, timeouts, unparseable responses and retryable statuses
+     */
+    _isRetryable(err) {
+        return RETRYABLE_CODES.includes(err.code) || RETRYABLE_STATUSES.includes(err.status);
+    }
+
+    /**
+     * Exponential backoff with jitter: a random wait in [delay/2, delay]
+     */
+    _backoffDelay(attempt) {
+        const delay = Math.min(this.backoffMax, this.backoffBase * Math.pow(2, attempt - 1));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+     */
+    _parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Internal: Abortable sleep between retries
+     */
+    _sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
             };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
 
-            const req = https.request(options, (res) => {
-                let data = '';
-                res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    try {
-                        const response = JSON.parse(data);
-                        if (res.statusCode === 200) {
-                            resolve(response);
-                        } else {
-                            reject(new Error(response.error?.message || `API Error: ${res.statusCode}`));
-                        }
-                    } catch (e) {
-                        reject(new Error('Failed to parse API response'));
-                    }
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Estimate tokens and USD cost of analyzing a dataset, without calling the API.
+     * Input is estimated from the prompts that would be sent; output uses typical
+     * response lengths, with maxCostUsd as the ceiling if every call hits maxTokens.
+     */
+    estimateAnalysis(scrapedData, topic, options = {}) {
+        const { provider, model } = this.resolveProvider(options.provider, options.model);
+        const framework = this.resolveFramework(options.framework);
+        const template = this.resolvePromptTemplate(framework, options.promptTemplate);
+        const systemTokens = estimateTokens(framework.systemPrompt);
+        const promptTokens = estimateTokens(generateExtractionPrompt(scrapedData, topic, framework, template.body));
+        const chunked = promptTokens > this.maxInputTokens;
+        const calls = [];
+
+        if (!chunked) {
+            calls.push({ step: 'extraction', inputTokens: promptTokens + systemTokens, outputTokens: this.expectedReportTokens });
+        } else {
+            const chunks = this._chunkPosts(scrapedData.posts);
+            for (const chunk of chunks) {
+                calls.push({
+                    step: `chunk ${chunk.index}/${chunk.total}`,
+                    inputTokens: estimateTokens(generateChunkExtractionPrompt(scrapedData, topic, chunk, framework)) + systemTokens,
+                    outputTokens: this.expectedNotesTokens
                 });
+            }
+            // The synthesis prompt carries every batch's notes
+            const synthesisTokens = estimateTokens(generateSynthesisPrompt(scrapedData, topic, [], framework, template.id ? template.body : null));
+            calls.push({
+                step: 'synthesis',
+                inputTokens: synthesisTokens + systemTokens + chunks.length * this.expectedNotesTokens,
+                outputTokens: this.expectedReportTokens
             });
+        }
 
-            req.on('error', reject);
-            req.setTimeout(300000, () => { // 5 minute timeout for long analyses
-                req.destroy();
-                reject(new Error('Request timeout'));
-            });
+        // Converting the report into the JSON analysis document
+        calls.push({
+            step: 'structuring',
+            inputTokens: estimateTokens(generateStructuringPrompt(scrapedData, topic, '', analysisDocumentSchema))
+                + estimateTokens(STRUCTURING_SYSTEM_PROMPT) + this.expectedReportTokens,
+            outputTokens: this.expectedDocumentTokens
+        });
+
+        const inputTokens = calls.reduce((sum, call) => sum + call.inputTokens, 0);
+        const outputTokens = calls.reduce((sum, call) => sum + call.outputTokens, 0);
+        const maxOutputTokens = calls.length * this.maxTokens;
 
-            req.write(postData);
-            req.end();
+        return {
+            provider: provider.name,
+            model,
+            framework: framework.name,
+            prompt: { templateId: template.id, name: template.name, version: template.version },
+            analysisMode: chunked ? 'chunked' : 'single',
+            requests: calls.length,
+            calls,
+            inputTokens,
+            outputTokens,
+            maxOutputTokens,
+            pricing: getPricing(model),
+            estimatedCostUsd: estimateCost(model, inputTokens, outputTokens),
+            maxCostUsd: estimateCost(model, inputTokens, maxOutputTokens)
+        };
+    }
+
+    /**
+     * Dry run of an analysis: the exact system and user prompts that would be
+     * sent, without calling the API. Each post's token share is broken down,
+     * and when the dataset is over budget the batches are listed along with the
+     * posts that would be trimmed to fit one (last comment threads dropped, then
+     * the body truncated). Chunked analyses send the batch prompts instead of
+     * the extraction prompt; the synthesis prompt depends on the batch notes, so
+     * it can't be previewed.
+     * options: { provider, model, framework, promptTemplate } as for estimateAnalysis
+     */
+    previewPrompt(scrapedData, topic, options = {}) {
+        const { provider, model } = this.resolveProvider(options.provider, options.model);
+        const framework = this.resolveFramework(options.framework);
+        const template = this.resolvePromptTemplate(framework, options.promptTemplate);
+        const extractionPrompt = generateExtractionPrompt(scrapedData, topic, framework, template.body);
+        const extractionTokens = estimateTokens(extractionPrompt);
+        const chunked = extractionTokens > this.maxInputTokens;
+        const chunks = chunked ? this._chunkPosts(scrapedData.posts) : [];
+
+        // Where each post ends up in a chunked run, as sent (possibly trimmed)
+        const placed = new Map();
+        for (const chunk of chunks) {
+            chunk.posts.forEach((post, i) => placed.set(chunk.startIndex + i, { batch: chunk.index, post }));
+        }
+
+        const truncation = { postsTrimmed: 0, commentsDropped: 0, bodiesTruncated: 0 };
+        const posts = scrapedData.posts.map((post, i) => {
+            const number = i + 1;
+            const tokens = estimateTokens(formatPost(post, number));
+            const entry = {
+                number,
+                id: post.id,
+                title: post.title,
+                subreddit: post.subreddit,
+                url: post.url,
+                comments: this._countComments(post.comments),
+                tokens,
+                bodyTokens: estimateTokens(post.selftext),
+                commentTokens: tokens - estimateTokens(formatPost({ ...post, comments: [] }, number)),
+                share: extractionTokens > 0 ? Math.round(tokens / extractionTokens * 10000) / 10000 : 0,
+                batch: placed.get(i)?.batch ?? null,
+                truncation: null
+            };
+
+            const sent = placed.get(i)?.post;
+            if (sent && sent !== post) {
+                // _trimPost drops top-level threads from the end
+                const dropped = post.comments.slice(sent.comments.length);
+                entry.truncation = {
+                    tokensSent: estimateTokens(formatPost(sent, number)),
+                    droppedThreads: dropped.map(comment => ({
+                        id: comment.id,
+                        author: comment.author,
+                        score: comment.score,
+                        comments: this._countComments([comment])
+                    })),
+                    commentsDropped: this._countComments(dropped),
+                    bodyTruncated: sent.selftext !== post.selftext
+                };
+                truncation.postsTrimmed++;
+                truncation.commentsDropped += entry.truncation.commentsDropped;
+                if (entry.truncation.bodyTruncated) truncation.bodiesTruncated++;
+            }
+            return entry;
         });
+
+        return {
+            provider: provider.name,
+            model,
+            framework: framework.name,
+            prompt: { templateId: template.id, name: template.name, version: template.version, hash: template.hash, appliedTo: chunked ? 'synthesis' : 'extraction' },
+            analysisMode: chunked ? 'chunked' : 'single',
+            budget: { maxInputTokens: this.maxInputTokens, chunkTokens: this.chunkTokens },
+            system: { text: framework.systemPrompt, tokens: estimateTokens(framework.systemPrompt) },
+            extraction: { text: extractionPrompt, tokens: extractionTokens, sent: !chunked },
+            batches: chunks.map(chunk => {
+                const text = generateChunkExtractionPrompt(scrapedData, topic, chunk, framework);
+                return {
+                    index: chunk.index,
+                    firstPost: chunk.startIndex + 1,
+                    lastPost: chunk.startIndex + chunk.posts.length,
+                    tokens: estimateTokens(text),
+                    text
+                };
+            }),
+            posts,
+            truncation
+        };
     }
 
     /**
-     * Run the full market research extraction analysis
+     * Run the full market research extraction analysis.
+     * options: { signal, provider, model, framework, promptTemplate, onAttempt } -
+     * promptTemplate is a saved template version (default: the framework's
+     * built-in one); onAttempt is called once per API attempt, including
+     * retries and max_tokens continuations.
      */
-    async analyzeScrapedData(scrapedData, topic, progressCallback = null) {
-        if (!this.isConfigured()) {
-            throw new Error('Claude API key not configured. Set ANTHROPIC_API_KEY environment variable.');
+    async analyzeScrapedData(scrapedData, topic, progressCallback = null, options = {}) {
+        const { signal = null, onAttempt = null } = options;
+        const { provider, model } = this.resolveProvider(options.provider, options.model);
+        const framework = this.resolveFramework(options.framework);
+        const template = this.resolvePromptTemplate(framework, options.promptTemplate);
+
+        if (!provider.isConfigured()) {
+            throw new Error(provider.configHint);
         }
 
+        // Keep the estimate alongside actual usage so the two can be compared
+        const estimate = this.estimateAnalysis(scrapedData, topic, { provider: provider.name, model, framework: framework.name, promptTemplate: template });
+        const usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
+        const requestOptions = { provider, model, signal, usage, onAttempt, system: framework.systemPrompt };
+
         if (progressCallback) {
             progressCallback({ phase: 'preparing', message: 'Preparing data for analysis...', percent: 5 });
         }
 
         // Generate the extraction prompt with scraped data
-        const extractionPrompt = generateExtractionPrompt(scrapedData, topic);
+        const extractionPrompt = generateExtractionPrompt(scrapedData, topic, framework, template.body);
+        const chunked = estimateTokens(extractionPrompt) > this.maxInputTokens;
+
+        let analysisText;
+        let chunks = null;
+        let batchNotes = null;
+
+        if (chunked) {
+            // Too big for one prompt - extract per batch, then synthesize
+            ({ analysisText, chunks, batchNotes } = await this._analyzeInChunks(scrapedData, topic, framework, template, progressCallback, requestOptions));
+        } else {
+            if (progressCallback) {
+                progressCallback({ phase: 'analyzing', message: `Sending to ${provider.label} for analysis (this may take 1-2 minutes)...`, percent: 20 });
+            }
+
+            // Call Claude API
+            analysisText = await this._complete(extractionPrompt, requestOptions, 'extraction');
+        }
 
         if (progressCallback) {
-            progressCallback({ phase: 'analyzing', message: 'Sending to Claude for analysis (this may take 1-2 minutes)...', percent: 20 });
+            progressCallback({ phase: 'structuring', message: 'Converting the report into a structured document...', percent: 85 });
         }
 
-        // Call Claude API
-        const response = await this._makeRequest([
-            {
-                role: 'user',
-                content: extractionPrompt
-            }
-        ], 'You are an expert market researcher specializing in health supplement offers. Your job is to extract actionable insights from Reddit data that can be used to create compelling marketing copy and product positioning. Be thorough, use exact quotes from the data, and follow the extraction framework precisely.');
+        const { document, validation } = await this._structureReport(scrapedData, topic, analysisText, requestOptions);
 
         if (progressCallback) {
             progressCallback({ phase: 'processing', message: 'Processing analysis results...', percent: 90 });
         }
 
-        // Extract the text content from Claude's response
-        const analysisText = response.content[0]?.text || '';
-
         // Parse the analysis into structured sections
-        const structuredAnalysis = this._parseAnalysis(analysisText, scrapedData);
+        const structuredAnalysis = this._parseAnalysis(analysisText, scrapedData, document, framework);
 
         if (progressCallback) {
             progressCallback({ phase: 'complete', message: 'Analysis complete!', percent: 100 });
@@ -140,61 +471,436 @@ class ClaudeService {
 
         return {
             rawMarkdown: analysisText,
+            document,
+            documentValidation: validation,
             structured: structuredAnalysis,
+            batchNotes,
             metadata: {
                 ...scrapedData.metadata,
                 analysisCompletedAt: new Date().toISOString(),
-                model: this.model,
-                topic: topic
+                provider: provider.name,
+                model,
+                framework: framework.name,
+                // The exact prompt this analysis ran with (chunked analyses
+                // only render it for the synthesis; batches use built-in prompts)
+                prompt: {
+                    templateId: template.id,
+                    name: template.name,
+                    version: template.version,
+                    hash: template.hash,
+                    appliedTo: chunked ? 'synthesis' : 'extraction'
+                },
+                topic: topic,
+                analysisMode: chunked ? 'chunked' : 'single',
+                chunks,
+                estimate: {
+                    inputTokens: estimate.inputTokens,
+                    outputTokens: estimate.outputTokens,
+                    estimatedCostUsd: estimate.estimatedCostUsd
+                },
+                usage: {
+                    ...usage,
+                    costUsd: estimateCost(model, usage.inputTokens, usage.outputTokens)
+                }
             }
         };
     }
 
     /**
-     * Parse the markdown analysis into structured sections
+     * Answer a follow-up question about a finished analysis.
+     * The report seeds the system prompt; posts and comments relevant to the
+     * question (and the previous question, for follow-ups) are retrieved from
+     * the scrape and sent with it. `history` is the job's earlier chat turns.
+     * Resolves to { text, excerpts, provider, model, usage }.
      */
-    _parseAnalysis(analysisText, scrapedData) {
-        // Extract sections from the markdown
-        const sections = {};
+    async chat(scrapedData, analysis, topic, history, message, options = {}) {
+        const { signal = null, onAttempt = null } = options;
+        const { provider, model } = this.resolveProvider(options.provider, options.model);
+        const framework = this.resolveFramework(options.framework);
 
-        // Extract Phase 1: Subreddit Mapping
-        const phase1Match = analysisText.match(/=== PHASE 1: SUBREDDIT MAPPING ===([\s\S]*?)(?===== PHASE 2|$)/i);
-        sections.subredditMapping = phase1Match ? phase1Match[1].trim() : '';
+        if (!provider.isConfigured()) {
+            throw new Error(provider.configHint);
+        }
 
-        // Extract Phase 2: Pain Points & Symptoms
-        const phase2Match = analysisText.match(/=== PHASE 2: PAIN POINT & SYMPTOM EXTRACTION ===([\s\S]*?)(?===== PHASE 3|$)/i);
-        sections.painPointsAndSymptoms = phase2Match ? phase2Match[1].trim() : '';
+        const previousQuestion = [...history].reverse().find(turn => turn.role === 'user')?.content || '';
+        const excerpts = this._retrieveExcerpts(scrapedData, `${message} ${previousQuestion}`);
+        const usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
+
+        const text = await this._complete(generateChatTurnPrompt(message, excerpts), {
+            provider,
+            model,
+            signal,
+            usage,
+            onAttempt,
+            system: generateChatSystemPrompt(scrapedData, topic, analysis.rawMarkdown || '', framework),
+            // Earlier turns without their excerpts - those were only for that question
+            history: history.slice(-this.chatHistoryMessages).map(turn => ({ role: turn.role, content: turn.content }))
+        }, 'chat');
 
-        // Extract Phase 3: Mechanism Extraction
-        const phase3Match = analysisText.match(/=== PHASE 3: MECHANISM EXTRACTION ===([\s\S]*?)(?===== PHASE 4|$)/i);
-        sections.mechanismExtraction = phase3Match ? phase3Match[1].trim() : '';
+        return {
+            text,
+            excerpts: excerpts.map(({ text: excerptText, ...excerpt }) => excerpt),
+            provider: provider.name,
+            model,
+            usage: { ...usage, costUsd: estimateCost(model, usage.inputTokens, usage.outputTokens) }
+        };
+    }
+
+    /**
+     * Run a focused deep dive (a key of the framework's deepDiveFocuses) on a few threads.
+     * threads: [{ number, post }] with the posts' full comment trees; threads
+     * that don't fit the prompt budget together lose their lowest comments.
+     * Resolves to { rawMarkdown, metadata }.
+     */
+    async deepDive(scrapedData, topic, focus, threads, progressCallback = null, options = {}) {
+        const { signal = null, onAttempt = null } = options;
+        const { provider, model } = this.resolveProvider(options.provider, options.model);
+        const framework = this.resolveFramework(options.framework);
 
-        // Extract Phase 4: Language Mining
-        const phase4Match = analysisText.match(/=== PHASE 4: LANGUAGE MINING ===([\s\S]*?)(?===== PHASE 5|$)/i);
-        sections.languageMining = phase4Match ? phase4Match[1].trim() : '';
+        if (!provider.isConfigured()) {
+            throw new Error(provider.configHint);
+        }
 
-        // Extract Phase 5: Synthesis
-        const phase5Match = analysisText.match(/=== PHASE 5: SYNTHESIS & PRIORITIZATION ===([\s\S]*?)(?===== PHASE 6|$)/i);
-        sections.synthesis = phase5Match ? phase5Match[1].trim() : '';
+        // Share the prompt budget evenly between threads
+        const baseTokens = estimateTokens(generateDeepDivePrompt(scrapedData, topic, focus, [], framework));
+        const threadBudget = Math.floor((this.maxInputTokens - baseTokens) / Math.max(1, threads.length));
+        const fitted = threads.map(({ number, post }) => ({
+            number,
+            post: estimateTokens(formatPost(post, number)) > threadBudget ? this._trimPost(post, number, threadBudget) : post
+        }));
 
-        // Extract Phase 6: Hypotheses
-        const phase6Match = analysisText.match(/=== PHASE 6: HYPOTHESIS OUTPUT ===([\s\S]*?)(?===== PHASE 7|$)/i);
-        sections.hypotheses = phase6Match ? phase6Match[1].trim() : '';
+        if (progressCallback) {
+            progressCallback({ phase: 'analyzing', message: `Sending ${threads.length} thread(s) to ${provider.label}...` });
+        }
 
-        // Extract Phase 7: Source Log
-        const phase7Match = analysisText.match(/=== PHASE 7: OUTPUT SOURCE LOG ===([\s\S]*?)$/i);
-        sections.sourceLog = phase7Match ? phase7Match[1].trim() : '';
+        const usage = { requests: 0, inputTokens: 0, outputTokens: 0 };
+        const rawMarkdown = await this._complete(
+            generateDeepDivePrompt(scrapedData, topic, focus, fitted, framework),
+            { provider, model, signal, usage, onAttempt, system: framework.systemPrompt },
+            `deep dive (${focus})`
+        );
+
+        return {
+            rawMarkdown,
+            metadata: {
+                focus,
+                topic,
+                threads: fitted.map(({ number, post }) => ({
+                    number,
+                    title: post.title,
+                    url: post.url,
+                    commentsSent: this._countComments(post.comments),
+                    trimmed: post !== threads.find(thread => thread.number === number).post
+                })),
+                provider: provider.name,
+                model,
+                completedAt: new Date().toISOString(),
+                usage: { ...usage, costUsd: estimateCost(model, usage.inputTokens, usage.outputTokens) }
+            }
+        };
+    }
+
+    /**
+     * Internal: Comments in a tree, replies included
+     */
+    _countComments(comments) {
+        return (comments || []).reduce((sum, comment) => sum + 1 + this._countComments(comment.replies), 0);
+    }
+
+    /**
+     * Internal: Best-matching posts/comments for a question, within chatExcerptTokens
+     */
+    _retrieveExcerpts(scrapedData, query) {
+        const excerpts = [];
+        let tokens = 0;
+
+        for (const { unit } of searchCorpus(buildCorpus(scrapedData.posts || []), query, 50)) {
+            const text = unit.text.length > this.chatExcerptChars
+                ? unit.text.slice(0, this.chatExcerptChars) + ' [truncated]'
+                : unit.text;
+            const cost = estimateTokens(text) + 30; // + the excerpt header
+            if (tokens + cost > this.chatExcerptTokens) break;
+            tokens += cost;
+
+            excerpts.push({
+                postIndex: unit.postIndex,
+                type: unit.type,
+                field: unit.field || null,
+                commentId: unit.commentId || null,
+                author: unit.author || null,
+                subreddit: unit.subreddit,
+                score: unit.score,
+                permalink: unit.permalink,
+                text
+            });
+        }
+
+        return excerpts;
+    }
+
+    /**
+     * Internal: Convert the markdown report into the JSON analysis document
+     * (tool use / JSON mode), validating it against the published schema and
+     * re-asking with the validation errors up to maxRepairs times.
+     * A document that still fails - or a failed call - leaves document null;
+     * the markdown report is kept either way.
+     */
+    async _structureReport(scrapedData, topic, analysisText, requestOptions) {
+        const { provider, model, signal = null, usage = null, onAttempt = null } = requestOptions;
+        const json = {
+            name: 'record_analysis',
+            description: 'Record the market research analysis as a structured document',
+            schema: analysisDocumentSchema
+        };
+        let prompt = generateStructuringPrompt(scrapedData, topic, analysisText, analysisDocumentSchema);
+        let errors = [];
+
+        for (let attempt = 1; attempt <= this.maxRepairs + 1; attempt++) {
+            let response;
+            try {
+                response = await this._completeWithRetry(provider, {
+                    system: STRUCTURING_SYSTEM_PROMPT,
+                    messages: [{ role: 'user', content: prompt }],
+                    maxTokens: this.maxTokens,
+                    model,
+                    signal,
+                    json
+                }, { step: attempt === 1 ? 'structuring' : `structuring repair ${attempt - 1}`, continuation: 0, onAttempt });
+            } catch (err) {
+                if (signal?.aborted) throw err;
+                console.warn(`Structuring failed (${err.message}), keeping markdown report only`);
+                errors = [{ path: '$', message: err.message }];
+                return { document: null, validation: { valid: false, attempts: attempt, errors } };
+            }
+
+            if (usage) {
+                usage.requests++;
+                usage.inputTokens += response.usage.inputTokens;
+                usage.outputTokens += response.usage.outputTokens;
+            }
+
+            const document = response.json;
+            errors = document === null
+                ? [{ path: '$', message: response.stopReason === 'max_tokens' ? 'response was cut off at max_tokens' : 'response is not valid JSON' }]
+                : validate(analysisDocumentSchema, document);
+
+            if (errors.length === 0) {
+                return { document, validation: { valid: true, attempts: attempt, errors: [] } };
+            }
+
+            console.warn(`Structured document failed validation (${errors.length} errors, attempt ${attempt})`);
+            prompt = generateRepairPrompt(response.text, errors, analysisDocumentSchema);
+        }
+
+        return { document: null, validation: { valid: false, attempts: this.maxRepairs + 1, errors } };
+    }
+
+    /**
+     * Internal: Map-reduce analysis for datasets larger than the context window.
+     * Each batch of posts yields extraction notes; the notes are then merged
+     * into the usual PHASE 1-7 report by one synthesis call - rendered from
+     * the prompt template when a saved one was picked. Batch and merge prompts
+     * ask for notes in a fixed format, so they always use the framework's
+     * built-in ones (recorded as metadata.prompt.appliedTo = 'synthesis').
+     */
+    async _analyzeInChunks(scrapedData, topic, framework, template, progressCallback, requestOptions) {
+        const chunks = this._chunkPosts(scrapedData.posts);
+        let notes = [];
+
+        for (const chunk of chunks) {
+            const firstPost = chunk.startIndex + 1;
+            const lastPost = chunk.startIndex + chunk.posts.length;
+
+            if (progressCallback) {
+                progressCallback({
+                    phase: 'chunk',
+                    chunk: chunk.index,
+                    totalChunks: chunk.total,
+                    message: `Analyzing chunk ${chunk.index}/${chunk.total} (posts #${firstPost}-#${lastPost})...`,
+                    // Batches cover 10-75%, leaving room for merging and synthesis
+                    percent: 10 + Math.round(65 * (chunk.index - 1) / chunk.total)
+                });
+            }
+
+            const text = await this._complete(
+                generateChunkExtractionPrompt(scrapedData, topic, chunk, framework),
+                requestOptions,
+                `chunk ${chunk.index}/${chunk.total}`
+            );
+            notes.push({ firstPost, lastPost, text });
+        }
+
+        notes = await this._condenseNotes(notes, scrapedData, topic, framework, template, progressCallback, requestOptions);
+
+        if (progressCallback) {
+            progressCallback({
+                phase: 'synthesizing',
+                message: `Synthesizing ${chunks.length} chunks into the final report...`,
+                percent: 80
+            });
+        }
+
+        const synthesisPrompt = generateSynthesisPrompt(scrapedData, topic, notes, framework, template.id ? template.body : null);
+        const analysisText = await this._complete(synthesisPrompt, requestOptions, 'synthesis');
+
+        return {
+            analysisText,
+            batchNotes: notes,
+            chunks: chunks.map(chunk => ({
+                index: chunk.index,
+                firstPost: chunk.startIndex + 1,
+                lastPost: chunk.startIndex + chunk.posts.length,
+                estimatedTokens: chunk.tokens
+            }))
+        };
+    }
+
+    /**
+     * Internal: Merge batch notes in groups until they fit one synthesis prompt
+     * (sized with the template the synthesis is rendered from)
+     */
+    async _condenseNotes(notes, scrapedData, topic, framework, template, progressCallback, requestOptions) {
+        const templateBody = template.id ? template.body : null;
+        while (estimateTokens(generateSynthesisPrompt(scrapedData, topic, notes, framework, templateBody)) > this.maxInputTokens) {
+            // Greedily group neighbouring notes into merge prompts that fit the budget
+            const groups = [];
+            for (const note of notes) {
+                const group = groups[groups.length - 1];
+                if (group && estimateTokens(generateNotesMergePrompt(scrapedData, topic, [...group, note], framework)) <= this.maxInputTokens) {
+                    group.push(note);
+                } else {
+                    groups.push([note]);
+                }
+            }
+
+            if (groups.length === notes.length) {
+                throw new Error('Batch notes are too large to merge into one report - try scraping fewer posts or comments');
+            }
+
+            const merged = [];
+            for (const [i, group] of groups.entries()) {
+                if (group.length === 1) {
+                    merged.push(group[0]);
+                    continue;
+                }
+
+                if (progressCallback) {
+                    progressCallback({
+                        phase: 'merging',
+                        message: `Merging chunk notes (group ${i + 1}/${groups.length})...`,
+                        percent: 75
+                    });
+                }
+
+                merged.push({
+                    firstPost: group[0].firstPost,
+                    lastPost: group[group.length - 1].lastPost,
+                    text: await this._complete(
+                        generateNotesMergePrompt(scrapedData, topic, group, framework),
+                        requestOptions,
+                        `merge ${i + 1}/${groups.length}`
+                    )
+                });
+            }
+            notes = merged;
+        }
+
+        return notes;
+    }
+
+    /**
+     * Internal: Split posts into consecutive batches of roughly chunkTokens each.
+     * Posts keep their dataset order so POST # numbering stays global.
+     */
+    _chunkPosts(posts) {
+        const chunks = [];
+        let current = null;
+
+        posts.forEach((post, i) => {
+            let tokens = estimateTokens(formatPost(post, i + 1));
+            if (tokens > this.chunkTokens) {
+                post = this._trimPost(post, i + 1);
+                tokens = estimateTokens(formatPost(post, i + 1));
+            }
+
+            if (!current || current.tokens + tokens > this.chunkTokens) {
+                current = { startIndex: i, posts: [], tokens: 0 };
+                chunks.push(current);
+            }
+            current.posts.push(post);
+            current.tokens += tokens;
+        });
+
+        return chunks.map((chunk, i) => ({ ...chunk, index: i + 1, total: chunks.length }));
+    }
+
+    /**
+     * Internal: Shrink a single post that exceeds maxTokens (default: a whole
+     * batch) by dropping its last top-level comment threads, then truncating the body
+     */
+    _trimPost(post, number, maxTokens = this.chunkTokens) {
+        const trimmed = { ...post, comments: [...post.comments] };
+
+        while (trimmed.comments.length > 0 && estimateTokens(formatPost(trimmed, number)) > maxTokens) {
+            trimmed.comments.pop();
+        }
+
+        const overflow = estimateTokens(formatPost(trimmed, number)) - maxTokens;
+        if (overflow > 0) {
+            const keep = Math.max(0, trimmed.selftext.length - Math.ceil(overflow * CHARS_PER_TOKEN));
+            trimmed.selftext = trimmed.selftext.slice(0, keep) + ' [truncated]';
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * Parse the markdown analysis into structured sections, one per framework
+     * phase. Pain points and hypotheses come from the validated JSON document
+     * when there is one, falling back to the framework's parser rules.
+     */
+    _parseAnalysis(analysisText, scrapedData, document, framework) {
+        // Each phase runs from its heading to the next phase's. Headings are
+        // matched on their "PHASE N:" prefix so a reworded title still parses.
+        const sections = {};
+        const prefixes = framework.phases.map(phase => escapeRegExp(phase.heading.replace(/:.*$/, ':')));
+        framework.phases.forEach((phase, i) => {
+            const end = i + 1 < prefixes.length ? `(?==== ${prefixes[i + 1]}|$)` : '$';
+            const match = analysisText.match(new RegExp(`=== ${prefixes[i]}[^\\n]*?===([\\s\\S]*?)${end}`, 'i'));
+            sections[phase.section] = match ? match[1].trim() : '';
+        });
 
         // Extract pain points from the analysis
-        const painPoints = this._extractPainPoints(sections.painPointsAndSymptoms);
+        const painPoints = document
+            ? this._painPointsFromDocument(document)
+            : this._extractPainPoints(sections.painPointsAndSymptoms, framework.parser);
 
         // Extract mechanism hypotheses
-        const hypotheses = this._extractHypotheses(sections.hypotheses);
+        const hypotheses = document
+            ? this._hypothesesFromDocument(document)
+            : this._extractHypotheses(sections.hypotheses, framework.parser);
+
+        // Tie SOURCE LOG numbers / thread URLs back to the scraped threads
+        const sourceReferences = resolveSources({ sections, hypotheses }, document, scrapedData);
+        for (const hypothesis of hypotheses) {
+            hypothesis.sources = sourceReferences.hypotheses.find(item => item.number === hypothesis.number)?.sources || [];
+        }
+
+        // Threads flagged for deep-dive analysis
+        const priorityThreads = document?.priorityThreads
+            ? {
+                symptomLanguage: document.priorityThreads.symptomLanguage || [],
+                mechanismEvidence: document.priorityThreads.mechanismEvidence || []
+            }
+            : extractPriorityThreads(sections.sourceLog);
 
         return {
             sections,
             painPoints,
             hypotheses,
+            sourceReferences,
+            priorityThreads,
+            parsedFrom: document ? 'document' : 'markdown',
             totalPosts: scrapedData.metadata.totalPosts,
             totalComments: scrapedData.metadata.totalComments
         };
@@ -203,18 +909,16 @@ class ClaudeService {
     /**
      * Extract pain points from the pain points section
      */
-    _extractPainPoints(text) {
+    _extractPainPoints(text, parser) {
         const painPoints = [];
-        const painPointRegex = /### PAIN POINT #(\d+): ([^\n]+)([\s\S]*?)(?=### PAIN POINT #|$)/gi;
 
-        let match;
-        while ((match = painPointRegex.exec(text)) !== null) {
+        for (const match of text.matchAll(parser.painPoint)) {
             const content = match[3];
 
             // Extract scores
-            const volumeMatch = content.match(/VOLUME SCORE:\s*(\d+)/i);
-            const emotionalMatch = content.match(/EMOTIONAL CHARGE SCORE:\s*(\d+)/i);
-            const priorityMatch = content.match(/PAIN POINT PRIORITY SCORE:\s*([\d.]+)/i);
+            const volumeMatch = content.match(parser.volumeScore);
+            const emotionalMatch = content.match(parser.emotionalScore);
+            const priorityMatch = content.match(parser.priorityScore);
 
             painPoints.push({
                 number: parseInt(match[1]),
@@ -230,22 +934,52 @@ class ClaudeService {
     }
 
     /**
-     * Extract mechanism hypotheses from the hypotheses section
+     * Pain points from the JSON document, in the shape _extractPainPoints returns
      */
-    _extractHypotheses(text) {
+    _painPointsFromDocument(document) {
+        return document.painPoints
+            .map((painPoint, i) => ({
+                number: i + 1,
+                name: painPoint.name,
+                volumeScore: painPoint.volumeScore,
+                emotionalScore: painPoint.emotionalScore,
+                priorityScore: painPoint.priorityScore,
+                content: painPoint.summary || ''
+            }))
+            .sort((a, b) => b.priorityScore - a.priorityScore);
+    }
+
+    /**
+     * Hypotheses from the JSON document, in the shape _extractHypotheses returns
+     */
+    _hypothesesFromDocument(document) {
+        return document.hypotheses.map(hypothesis => ({
+            number: hypothesis.number,
+            name: hypothesis.name,
+            type: hypothesis.type,
+            targetPainPoints: (hypothesis.targetPainPoints || []).join(', '),
+            sampleHook: hypothesis.sampleHook || '',
+            sampleLead: hypothesis.sampleLead || '',
+            content: [hypothesis.problemSide, hypothesis.solutionSide].filter(Boolean).join('\n\n')
+        }));
+    }
+
+    /**
+     * Extract hypotheses from the hypotheses section
+     */
+    _extractHypotheses(text, parser) {
         const hypotheses = [];
-        const hypothesisRegex = /MECHANISM HYPOTHESIS #(\d+)([\s\S]*?)(?=MECHANISM HYPOTHESIS #|$)/gi;
+        const fields = parser.hypothesisFields;
 
-        let match;
-        while ((match = hypothesisRegex.exec(text)) !== null) {
+        for (const match of text.matchAll(parser.hypothesis)) {
             const content = match[2];
 
             // Extract key fields
-            const nameMatch = content.match(/- Name:\s*([^\n]+)/i);
-            const typeMatch = content.match(/- Type:\s*([^\n]+)/i);
-            const targetMatch = content.match(/- TARGET PAIN POINT\(S\):\s*([^\n]+)/i);
-            const hookMatch = content.match(/- Sample Hook:\s*([^\n]+)/i);
-            const leadMatch = content.match(/- Sample "Do You Experience\.\.\." Lead:\s*([^\n]+)/i);
+            const nameMatch = content.match(fields.name);
+            const typeMatch = content.match(fields.type);
+            const targetMatch = content.match(fields.targetPainPoints);
+            const hookMatch = content.match(fields.sampleHook);
+            const leadMatch = content.match(fields.sampleLead);
 
             hypotheses.push({
                 number: parseInt(match[1]),
@@ -262,4 +996,11 @@ class ClaudeService {
     }
 }
 
+/**
+ * Escape text for use inside a RegExp
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 module.exports = new ClaudeService();
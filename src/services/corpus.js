@@ -0,0 +1,100 @@
+/**
+ * Corpus - Searchable view of a scrape's posts and comment trees
+ * Shared by quote verification (exact/fuzzy phrase lookup) and the follow-up
+ * chat (BM25 retrieval of relevant posts and comments).
+ */
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set([
+    'a', 'about', 'all', 'am', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do',
+    'does', 'for', 'from', 'get', 'had', 'has', 'have', 'how', 'i', 'if', 'in', 'is', 'it', 'its', 'just', 'me',
+    'more', 'my', 'no', 'not', 'of', 'on', 'or', 'so', 'some', 'that', 'the', 'their', 'them', 'there', 'they',
+    'this', 'to', 'was', 'we', 'what', 'when', 'which', 'who', 'with', 'you', 'your', 'find', 'show', 'give'
+]);
+
+// BM25 parameters (the usual defaults)
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+/**
+ * Lowercased words with their character offsets; apostrophes are dropped so
+ * "don't" and "dont" match
+ */
+function tokenize(text) {
+    return [...(text || '').matchAll(/[\p{L}\p{N}'’]+/gu)]
+        .map(m => ({ word: m[0].toLowerCase().replace(/['’]/g, ''), start: m.index, end: m.index + m[0].length }))
+        .filter(token => token.word);
+}
+
+/**
+ * Flatten posts and comment trees into units (post title, post body, one per
+ * comment) carrying their source number, permalink and tokens
+ */
+function buildCorpus(posts) {
+    const units = [];
+
+    posts.forEach((post, i) => {
+        const postUrl = post.url || (post.permalink ? `https://www.reddit.com${post.permalink}` : null);
+        const base = { postIndex: i + 1, postId: post.id, postUrl, subreddit: post.subreddit };
+
+        units.push({ ...base, type: 'post', field: 'title', author: post.author, score: post.score, permalink: postUrl, text: post.title || '' });
+        units.push({ ...base, type: 'post', field: 'selftext', author: post.author, score: post.score, permalink: postUrl, text: post.selftext || '' });
+
+        const walk = (comments) => {
+            for (const comment of comments || []) {
+                units.push({
+                    ...base,
+                    type: 'comment',
+                    commentId: comment.id,
+                    author: comment.author,
+                    score: comment.score,
+                    permalink: postUrl && comment.id ? `${postUrl.replace(/\/?$/, '/')}${comment.id}/` : postUrl,
+                    text: comment.body || ''
+                });
+                walk(comment.replies);
+            }
+        };
+        walk(post.comments);
+    });
+
+    for (const unit of units) {
+        unit.tokens = tokenize(unit.text);
+    }
+    return units.filter(unit => unit.tokens.length > 0);
+}
+
+/**
+ * Rank corpus units against a free-text query with BM25.
+ * Returns up to `limit` { unit, score } entries with a positive score, best first.
+ */
+function searchCorpus(units, query, limit = 20) {
+    const terms = [...new Set(tokenize(query).map(token => token.word))].filter(word => !STOPWORDS.has(word));
+    if (terms.length === 0 || units.length === 0) return [];
+
+    const avgLength = units.reduce((sum, unit) => sum + unit.tokens.length, 0) / units.length;
+    const documentFrequency = new Map(terms.map(term => [term, 0]));
+    const termCounts = units.map(unit => {
+        const counts = new Map();
+        for (const { word } of unit.tokens) {
+            if (documentFrequency.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+        }
+        for (const term of counts.keys()) documentFrequency.set(term, documentFrequency.get(term) + 1);
+        return counts;
+    });
+
+    const results = [];
+    units.forEach((unit, i) => {
+        let score = 0;
+        for (const [term, count] of termCounts[i]) {
+            const df = documentFrequency.get(term);
+            const idf = Math.log(1 + (units.length - df + 0.5) / (df + 0.5));
+            score += idf * count * (BM25_K1 + 1) /
+                (count + BM25_K1 * (1 - BM25_B + BM25_B * unit.tokens.length / avgLength));
+        }
+        if (score > 0) results.push({ unit, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+}
+
+module.exports = { STOPWORDS, tokenize, buildCorpus, searchCorpus };
@@ -1,20 +1,44 @@
 /**
  * Extraction Prompt Template
- * Uses the exact v2.0 extraction framework for market research
+ * Builds the v2.0 extraction prompts around a niche framework (see
+ * frameworks/) - its purpose, phases and batch note sections. The
+ * single-pass prompt is a {{variable}} template so saved templates (see
+ * promptStore) can replace it.
+ * Datasets too large for one prompt are analyzed in batches
+ * (generateChunkExtractionPrompt) and then merged in a final
+ * synthesis pass (generateSynthesisPrompt) with the same PHASE 1-7 output.
+ * Also holds the follow-up prompts: structuring the report as JSON, chat
+ * turns and thread deep dives.
  */
 
-function generateExtractionPrompt(scrapedData, topic) {
-    const { metadata, posts, sourceLog } = scrapedData;
+/**
+ * Format a comment and its reply tree as an indented list
+ */
+function formatComment(comment, indent = '    ') {
+    const label = comment.depth > 0 ? 'Reply' : 'Comment';
+    const line = `${indent}- ${label} (${comment.score} pts) by u/${comment.author}: ${comment.body}`;
+    const replies = (comment.replies || []).map(r => formatComment(r, indent + '  '));
+    return [line, ...replies].join('\n');
+}
+
+/**
+ * Describe the scrape window - absolute dates when set, else Reddit's time filter
+ */
+function formatDateRange(metadata) {
+    const { startDate, endDate } = metadata.filters || {};
+    if (!startDate && !endDate) return metadata.timeFilter;
+    return `${startDate || 'earliest'} to ${endDate || 'now'}`;
+}
 
-    // Format the scraped data for analysis
-    const formattedPosts = posts.map((post, index) => {
-        const comments = post.comments.map(c => {
-            const replies = (c.replies || []).map(r => `      - Reply (${r.score} pts): ${r.body}`).join('\n');
-            return `    - Comment (${c.score} pts) by u/${c.author}: ${c.body}${replies ? '\n' + replies : ''}`;
-        }).join('\n');
+/**
+ * Format one post with its comment tree. `number` is the post's position in
+ * the full dataset so POST # references match the source log across batches.
+ */
+function formatPost(post, number) {
+    const comments = post.comments.map(c => formatComment(c)).join('\n');
 
-        return `
-### POST #${index + 1}
+    return `
+### POST #${number}
 **Title:** ${post.title}
 **Subreddit:** r/${post.subreddit}
 **Score:** ${post.score} | **Comments:** ${post.numComments}
@@ -27,26 +51,29 @@ ${post.selftext || '[No body text]'}
 **Top Comments:**
 ${comments || '[No comments]'}
 `;
-    }).join('\n---\n');
+}
 
-    const prompt = `REDDIT MARKET RESEARCH EXTRACTION v2.0
-Purpose: Extract pain points, symptoms, and mechanism raw material for supplement offers
+/**
+ * Format a run of posts, numbering from startIndex + 1
+ */
+function formatPosts(posts, startIndex = 0) {
+    return posts.map((post, i) => formatPost(post, startIndex + i + 1)).join('\n---\n');
+}
 
-=== INPUT PARAMETERS ===
+/**
+ * Shared INPUT PARAMETERS block
+ */
+function formatInputParameters(metadata, topic) {
+    return `=== INPUT PARAMETERS ===
 NICHE: ${topic}
-DATE RANGE: ${metadata.timeFilter}
+DATE RANGE: ${formatDateRange(metadata)}
 SCOPE: ${metadata.subreddits.map(s => 'r/' + s).join(', ')}
-DEPTH: ${metadata.totalPosts} posts, ${metadata.totalComments} comments analyzed
-
-=== SCRAPED DATA TO ANALYZE ===
-
-${formattedPosts}
-
-=== END OF SCRAPED DATA ===
-
-Now analyze the above Reddit data using the following framework:
+DEPTH: ${metadata.totalPosts} posts, ${metadata.totalComments} comments analyzed`;
+}
 
-=== SOURCE TRACKING (CRITICAL) ===
+// Source log instructions shared by every framework - SOURCE LOG numbers are
+// how reports cite threads
+const SOURCE_TRACKING = `=== SOURCE TRACKING (CRITICAL) ===
 Maintain a running log of every thread analyzed. For each source, capture:
 - URL
 - Subreddit
@@ -63,283 +90,350 @@ SOURCE LOG:
 2. [URL] | r/[subreddit] | "[Post Title]" | [upvotes] | [date] | Value: [Pain Point/Symptom/Mechanism/Multiple]
 ...
 
-This log will be used for deeper analysis in follow-up sessions.
-
-=== PHASE 1: SUBREDDIT MAPPING ===
-Identify:
-- Primary subreddits (direct topic)
-- Adjacent subreddits (related conditions, co-morbidities)
-- Skeptic subreddits (where people complain solutions don't work)
-- Demographic subreddits (where target audience hangs out)
-- Symptom-specific subreddits (where people discuss individual symptoms)
-
-=== PHASE 2: PAIN POINT & SYMPTOM EXTRACTION ===
-(CRITICAL: This is the foundation for targeting unaware/problem-aware markets)
-
-**SECTION A: PAIN POINT IDENTIFICATION**
-
-For each distinct pain point discovered within the niche:
-
-1. PAIN POINT NAME
-   - Common name used by audience (their words, not clinical)
-   - Clinical/medical name (if different)
-   - Alternate names/slang terms
-
-2. PAIN POINT VOLUME INDICATORS
-   - Number of dedicated threads found
-   - Average upvotes on pain point threads
-   - Comment engagement level (Low/Medium/High/Viral)
-   - Dedicated subreddits for this specific pain point?
-   - VOLUME SCORE: [1-10]
-
-3. EMOTIONAL CHARGE INDICATORS
-   - Desperation language frequency ("I can't take this anymore", "ruining my life")
-   - Duration of suffering mentioned (months/years)
-   - Failed attempt count mentioned
-   - Life impact statements
-   - EMOTIONAL CHARGE SCORE: [1-10]
-
-4. PAIN POINT PRIORITY SCORE
-   - Formula: (Volume Score × 0.4) + (Emotional Charge Score × 0.6) = PRIORITY SCORE
-   - [Higher emotional charge weighted more - indicates buying intent]
-
-**SECTION B: SYMPTOM MAPPING**
-(For each identified pain point, extract symptoms in hierarchy)
-
-PRIMARY SYMPTOMS (Physical) - What they FEEL in their body:
-- Exact symptom descriptions in their words
-- Frequency mentioned (daily/weekly/episodic)
-- Severity language ("mild", "debilitating", "worst pain")
-- Timing patterns ("after eating", "in the morning", "when stressed")
-- Location specificity ("lower left abdomen", "behind my eyes")
-- [Flag high-frequency symptoms - these become ad hooks]
-
-SECONDARY SYMPTOMS (Emotional) - Extract only if high volume:
-- Emotional states directly tied to physical symptoms
-- Mental health impacts mentioned
-- Cognitive symptoms ("brain fog", "can't concentrate")
-- [Only include if mentioned in 20%+ of threads]
-
-COMPLEMENTARY SYMPTOMS (Lifestyle Impact):
-- Activities they can't do
-- Social situations they avoid
-- Work/productivity impact
-- Relationship strain
-- [Use for "imagine if..." future pacing in copy]
-
-**SECTION C: SYMPTOM CLUSTER IDENTIFICATION**
-(Critical for "Do you experience..." ad hooks)
-
-Identify SYMPTOM CLUSTERS - combinations that appear together:
-- Cluster A: [Symptom 1] + [Symptom 2] + [Symptom 3]
-- Cluster B: [Symptom 1] + [Symptom 4] + [Symptom 5]
-- [These clusters = audience segments with specific experiences]
-
-For each cluster:
-- Frequency (how often this combo appears)
-- Unique identifier name (what could we call this type?)
-- Best source threads demonstrating this cluster
-
-**SECTION D: PAIN POINT → SYMPTOM MATRIX OUTPUT**
-
-| Pain Point | Priority Score | Top Physical Symptoms | Emotional (if high vol) | Lifestyle Impact | Thread Count |
-|------------|---------------|----------------------|------------------------|------------------|--------------|
-| [Name]     | [X.X]         | [1, 2, 3]            | [if applicable]        | [key impacts]    | [#]          |
-
-=== PHASE 3: MECHANISM EXTRACTION ===
-(Now connected to specific pain points)
-
-**SECTION A: PROBLEM MECHANISM RAW MATERIAL**
-(What we need to build the "why you've failed" narrative)
-
-For EACH high-priority pain point, extract:
-
-1. STATED BELIEFS ABOUT ROOT CAUSE
-   - What do they think is ACTUALLY causing this specific pain point?
-   - What "hidden" or "overlooked" factors do they mention?
-   - What body systems/processes do they blame?
-   - What triggers do they identify?
-   - [Flag any beliefs that could become the "knowledge gap"]
-   - LINKED TO PAIN POINT: [Name]
-
-2. WHY PAST SOLUTIONS FAILED (Their Words)
-   - Specific products/approaches that didn't work FOR THIS PAIN POINT
-   - Their explanation for WHY it didn't work
-   - Partial successes that stopped working
-   - Side effects experienced
-   - [Flag patterns - same failure reason = mechanism opportunity]
-   - LINKED TO PAIN POINT: [Name]
-
-3. MISSING PIECE LANGUAGE
-   - "I feel like I'm missing something..."
-   - "Nobody talks about..."
-   - "Why doesn't anyone mention..."
-   - "I finally realized..."
-   - [These are direct mechanism seeds]
-   - LINKED TO PAIN POINT: [Name]
-
-**SECTION B: SOLUTION MECHANISM RAW MATERIAL**
-(What we need to build the "why THIS works" narrative)
-
-4. THINGS THAT ACTUALLY WORKED
-   - What finally helped them with THIS SPECIFIC pain point?
-   - What was different about it?
-   - What did they have to change/add/remove?
-   - Unexpected solutions that worked
-   - [Raw material for existing/unspoken mechanisms]
-   - LINKED TO PAIN POINT: [Name]
-
-5. UNSPOKEN FACTORS
-   - Common practices nobody highlights for this pain point
-   - "Everyone knows X but..."
-   - Standard ingredients/approaches that could be elevated
-   - [Direct unspoken mechanism opportunities]
-
-6. REFRAMABLE CONCEPTS
-   - Boring/clinical terms for things that work
-   - Scientific processes described in plain language
-   - Old remedies or approaches with new understanding
-   - [Transubstantiation opportunities]
-
-**SECTION C: BELIEF ARCHITECTURE**
-(What the prospect already believes - leverage or counter)
-
-7. TRUSTED INFORMATION SOURCES
-   - Who do they believe?
-   - What studies/experts do they cite?
-   - What makes them trust something?
-
-8. SKEPTICISM PATTERNS
-   - What claims trigger distrust?
-   - Past disappointments
-   - "Red flags" they watch for
-   - [Objections the mechanism must overcome]
-
-9. SUCCESS METRICS (Per Pain Point)
-   - How do they know something is "working" for THIS pain point?
-   - Timeline expectations
-   - What would convince them it's real?
-   - Specific symptom relief they look for
-
-=== PHASE 4: LANGUAGE MINING ===
-
-**SECTION A: SYMPTOM DESCRIPTION LANGUAGE**
-(Organized by pain point)
-
-For each pain point, capture:
-- Exact phrases for symptoms (verbatim)
-- Sensory language ("feels like...", "it's like...")
-- Severity descriptors
-- [Direct ad hook material - "Do you experience [exact phrase]?"]
-
-**SECTION B: PROBLEM DESCRIPTION LANGUAGE**
-- Exact phrases for the overall problem
-- Emotional language about impact
-- Metaphors they use
-- [Direct ad copy material]
-
-**SECTION C: DESIRE LANGUAGE**
-- How they describe the ideal outcome
-- "I just want to..."
-- Life impact of solving this
-- Specific activities they want to do again
-- [Headline/promise material]
-
-=== PHASE 5: SYNTHESIS & PRIORITIZATION ===
-
-**A. PAIN POINT PRIORITY RANKING**
-
-Rank all discovered pain points:
-
-| Rank | Pain Point | Priority Score | Volume | Emotional Charge | Mechanism Opportunity | Recommended Focus |
-|------|------------|----------------|--------|------------------|----------------------|-------------------|
-| 1    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]       | [Primary/Secondary/Skip] |
-| 2    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]       | [Primary/Secondary/Skip] |
-
-**B. SYMPTOM HOOK BANK**
-(Top 20 symptom-based hooks, ranked by frequency + emotional charge)
-
-| Rank | Symptom/Cluster | Verbatim Language | Pain Point | Frequency | Hook Potential |
-|------|-----------------|-------------------|------------|-----------|----------------|
-| 1    | [Symptom]       | "[exact quote]"   | [Name]     | [High/Med]| [1-10]         |
-
-**C. PROBLEM MECHANISM CANDIDATES**
-For each candidate:
-- Mechanism name (what to call it)
-- LINKED TO PAIN POINT(S): [Which pain points this explains]
-- The knowledge gap it fills
-- Evidence from Reddit that supports it
-- Why it explains past failure
-- Believability score (1-10)
-- Source threads (reference by SOURCE LOG number)
-
-**D. SOLUTION MECHANISM CANDIDATES**
-For each candidate:
-- Mechanism type (Existing / Unspoken / Transubstantiated)
-- LINKED TO PAIN POINT(S): [Which pain points this solves]
-- What it is in plain terms
-- How to name/frame it
-- Why it's different from what they've tried
-- Proof points available
-- Source threads (reference by SOURCE LOG number)
-
-**E. COPY BANK**
-- 10-20 verbatim symptom phrases for hooks (with source # and pain point)
-- 10-20 verbatim phrases for problem agitation (with source #)
-- 10-20 verbatim phrases for desire/outcome (with source #)
-- Key objection language to address (with source #)
-
-**F. MECHANISM VALIDATION CHECKLIST**
-For each top mechanism candidate, answer:
-□ Does it explain why past solutions failed for [specific pain point]?
-□ Does it connect to the TOP physical symptoms?
-□ Does it fill a genuine knowledge gap?
-□ Is it believable/provable?
-□ Does it differentiate from competitors?
-□ Can we build a full narrative around it?
-
-=== PHASE 6: HYPOTHESIS OUTPUT ===
-
-Generate 3-5 complete mechanism hypotheses, each tied to specific pain points:
-
-MECHANISM HYPOTHESIS #[X]
-- Name: [Catchy mechanism name]
-- Type: [Existing/Unspoken/Transubstantiated]
-- TARGET PAIN POINT(S): [Which pain points this addresses]
-- KEY SYMPTOMS IT EXPLAINS: [Top 3 symptoms this mechanism accounts for]
-- Problem Side: [Why they've been failing]
-- Solution Side: [Why this works]
-- Knowledge Gap: [The one thing they didn't know]
-- Proof Strategy: [How to make it believable]
-- Best-Fit Product Type: [What kind of supplement this works for]
-- Sample Hook: [One-line version for ads - symptom-focused]
-- Sample "Do You Experience..." Lead: [Symptom cluster question]
-- Key Source Threads: [List SOURCE LOG numbers with richest evidence]
-
-=== PHASE 7: OUTPUT SOURCE LOG ===
-
-At the end of extraction, output the complete SOURCE LOG:
+This log will be used for deeper analysis in follow-up sessions.`;
 
-SOURCE LOG:
-1. [Full URL] | r/[subreddit] | "[Post Title]" | [upvotes] upvotes | [comments] comments | [date] | Value: [Pain Point/Symptom/Mechanism/Multiple] | Key insight: [1-line summary]
-2. ...
+/**
+ * Lay out a framework's phases (see frameworks/) as the instructions that
+ * follow the scraped data
+ */
+function formatFramework(framework) {
+    return [
+        SOURCE_TRACKING,
+        ...framework.phases.map(phase => `=== ${phase.heading} ===\n${phase.instructions}`),
+        `=== EXTRACTION PRIORITY ORDER ===\n${framework.priorityOrder}`
+    ].join('\n\n');
+}
 
-Flag TOP 10 PRIORITY THREADS for deep-dive analysis:
-- TOP 5 for SYMPTOM LANGUAGE (richest physical symptom descriptions)
-- TOP 5 for MECHANISM EVIDENCE (strongest root cause/solution insights)
+// Variables a prompt template can use, with what they expand to
+const PROMPT_VARIABLES = {
+    topic: 'The job\'s niche / topic',
+    subreddits: 'Scraped subreddits, e.g. r/Supplements, r/Nootropics',
+    dateRange: 'Scrape window - dates or Reddit\'s time filter',
+    totalPosts: 'Number of posts scraped',
+    totalComments: 'Number of comments scraped',
+    inputParameters: 'The INPUT PARAMETERS block (niche, date range, scope, depth)',
+    purpose: 'The framework\'s purpose line',
+    framework: 'The framework\'s source tracking instructions and PHASE 1-7',
+    posts: 'The scraped posts with their comment trees (in chunked analyses: the source list and batch notes)'
+};
+
+// The single-pass extraction prompt as a template - what jobs use unless they pick a saved template
+const DEFAULT_EXTRACTION_TEMPLATE = `REDDIT MARKET RESEARCH EXTRACTION v2.0
+Purpose: {{purpose}}
+
+{{inputParameters}}
 
-=== EXTRACTION PRIORITY ORDER ===
-1. First pass: Identify all distinct PAIN POINTS
-2. Second pass: Map SYMPTOMS to each pain point
-3. Third pass: Extract MECHANISM material linked to high-priority pain points
-4. Fourth pass: Mine LANGUAGE for copy bank
-5. Final pass: Synthesize and prioritize
+=== SCRAPED DATA TO ANALYZE ===
+
+{{posts}}
+
+=== END OF SCRAPED DATA ===
+
+Now analyze the above Reddit data using the following framework:
+
+{{framework}}
 
 IMPORTANT: Use ACTUAL quotes and data from the scraped posts above. Do not make up or generalize - extract the REAL language people are using.
 
 Go.`;
 
-    return prompt;
+const VARIABLE_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Names of the {{variables}} a template uses, in order of first use
+ */
+function templateVariables(body) {
+    return [...new Set([...body.matchAll(VARIABLE_REGEX)].map(m => m[1]))];
+}
+
+/**
+ * Fill a template's {{variables}} in one pass, so text inside the values
+ * (e.g. a post quoting "{{topic}}") is never expanded itself
+ */
+function renderTemplate(body, values) {
+    return body.replace(VARIABLE_REGEX, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Internal: Values for every template variable; `posts` is the already formatted data
+ */
+function templateValues(scrapedData, topic, framework, posts) {
+    const { metadata } = scrapedData;
+    return {
+        topic,
+        subreddits: metadata.subreddits.map(s => 'r/' + s).join(', '),
+        dateRange: formatDateRange(metadata),
+        totalPosts: metadata.totalPosts,
+        totalComments: metadata.totalComments,
+        inputParameters: formatInputParameters(metadata, topic),
+        purpose: framework.purpose,
+        framework: formatFramework(framework),
+        posts
+    };
+}
+
+/**
+ * The built-in template of a framework with its purpose and phases written
+ * out - the starting point for an editable copy
+ */
+function builtInTemplate(framework) {
+    return renderTemplate(DEFAULT_EXTRACTION_TEMPLATE, {
+        purpose: framework.purpose,
+        framework: formatFramework(framework)
+    });
+}
+
+/**
+ * Single-pass extraction prompt: the whole scrape rendered into `template`
+ * (default: the built-in template, with the framework's phases)
+ */
+function generateExtractionPrompt(scrapedData, topic, framework, template = DEFAULT_EXTRACTION_TEMPLATE) {
+    return renderTemplate(template, templateValues(scrapedData, topic, framework, formatPosts(scrapedData.posts)));
+}
+
+/**
+ * Extraction prompt for one batch of a dataset too large for a single pass.
+ * Produces compact notes (not the final report) for the synthesis pass.
+ */
+function generateChunkExtractionPrompt(scrapedData, topic, chunk, framework) {
+    const { metadata } = scrapedData;
+    const { index, total, startIndex, posts } = chunk;
+
+    return `REDDIT MARKET RESEARCH EXTRACTION v2.0 - BATCH ${index} OF ${total}
+Purpose: ${framework.purpose}
+
+${formatInputParameters(metadata, topic)}
+BATCH: POSTS #${startIndex + 1}-#${startIndex + posts.length} of ${metadata.totalPosts}
+
+=== SCRAPED DATA TO ANALYZE ===
+
+${formatPosts(posts, startIndex)}
+
+=== END OF SCRAPED DATA ===
+
+This is one batch of a larger dataset. Do NOT write the final report. Extract raw notes that will be merged with the other batches in a later synthesis pass, using exactly these sections:
+
+${framework.batchNoteSections}
+
+IMPORTANT: Use ACTUAL quotes from the posts above and cite the POST # for every item - post numbers are global across batches. Be concise but complete; these notes are the only record of this batch the synthesis pass will see.
+
+Go.`;
+}
+
+/**
+ * Prompt that condenses several batch notes into one set with the same
+ * sections - used when the notes themselves are too large to synthesize at once
+ */
+function generateNotesMergePrompt(scrapedData, topic, notes, framework) {
+    const { metadata } = scrapedData;
+
+    return `REDDIT MARKET RESEARCH EXTRACTION v2.0 - MERGE BATCH NOTES
+Purpose: ${framework.purpose}
+
+${formatInputParameters(metadata, topic)}
+
+=== BATCH NOTES ===
+
+${formatBatchNotes(notes)}
+
+=== END OF BATCH NOTES ===
+
+Merge the notes above into ONE set of notes using exactly these sections:
+
+${framework.batchNoteSections}
+
+Combine duplicate pain points and symptoms (merge their POST # lists), keep the strongest verbatim quotes with their POST # references, and drop nothing that is unique.
+
+Go.`;
+}
+
+/**
+ * Final pass: merge batch notes into the full PHASE 1-7 report. A saved
+ * prompt template is rendered with the source list and batch notes as {{posts}}.
+ */
+function generateSynthesisPrompt(scrapedData, topic, notes, framework, template = null) {
+    const { metadata, posts } = scrapedData;
+    const sourceLines = formatSourceList(posts);
+
+    if (template) {
+        const data = `The scraped data was too large for a single pass, so it was analyzed in batches. Below are the extraction notes from every batch. POST # references are global and match the numbering of the source list; use the source list numbers wherever SOURCE LOG numbers are asked for.
+
+=== SOURCE LIST ===
+${sourceLines}
+
+=== BATCH NOTES ===
+
+${formatBatchNotes(notes)}
+
+=== END OF BATCH NOTES ===`;
+        return renderTemplate(template, templateValues(scrapedData, topic, framework, data));
+    }
+
+    return `REDDIT MARKET RESEARCH EXTRACTION v2.0 - SYNTHESIS
+Purpose: ${framework.purpose}
+
+${formatInputParameters(metadata, topic)}
+
+The scraped data was too large for a single pass, so it was analyzed in batches. Below are the extraction notes from every batch. POST # references are global and match the numbering of the source list.
+
+=== SOURCE LIST ===
+${sourceLines}
+
+=== BATCH NOTES ===
+
+${formatBatchNotes(notes)}
+
+=== END OF BATCH NOTES ===
+
+Now merge the batch notes into one complete analysis using the following framework. Combine pain points that appear in several batches (sum their thread counts and re-score them on the whole dataset), and use the source list numbers wherever the framework asks for SOURCE LOG numbers:
+
+${formatFramework(framework)}
+
+IMPORTANT: Use ACTUAL quotes from the batch notes above. Do not make up or generalize - extract the REAL language people are using. Output every phase heading exactly as written above.
+
+Go.`;
+}
+
+/**
+ * Generate the prompt that converts a finished report into the JSON
+ * analysis document described by `schema`
+ */
+function generateStructuringPrompt(scrapedData, topic, reportText, schema) {
+    return `Convert the market research report below into a single JSON document that matches this JSON Schema:
+
+${JSON.stringify(schema, null, 2)}
+
+RULES:
+- Source numbers are the SOURCE LOG / POST # numbers used in the report; they match the numbering of the source list below. Use integers only.
+- Copy quotes verbatim from the report - do not paraphrase, shorten or invent them.
+- Use null for optional fields the report doesn't cover and [] for empty lists. Do not add fields the schema doesn't define.
+- Reply with the JSON document only.
+
+NICHE: ${topic}
+
+=== SOURCE LIST ===
+${formatSourceList(scrapedData.posts)}
+
+=== REPORT ===
+${reportText.trim()}
+=== END OF REPORT ===`;
+}
+
+/**
+ * Generate a re-ask prompt for a JSON document that failed schema validation
+ */
+function generateRepairPrompt(previousText, errors, schema) {
+    const errorLines = errors.slice(0, 50).map(error => `- ${error.path}: ${error.message}`).join('\n');
+
+    return `The JSON document below does not match the required JSON Schema. Fix every listed problem and reply with the corrected JSON document only. Keep all content that is already valid.
+
+=== SCHEMA ===
+${JSON.stringify(schema, null, 2)}
+
+=== VALIDATION ERRORS ===
+${errorLines}${errors.length > 50 ? `\n- ...and ${errors.length - 50} more` : ''}
+
+=== DOCUMENT ===
+${previousText.trim()}
+=== END OF DOCUMENT ===`;
+}
+
+/**
+ * Generate a focused deep-dive prompt for a few threads with their full comment trees.
+ * focus is a key of the framework's deepDiveFocuses;
+ * threads: [{ number, post }] - number is the thread's SOURCE LOG number
+ */
+function generateDeepDivePrompt(scrapedData, topic, focus, threads, framework) {
+    const { label, instructions } = framework.deepDiveFocuses[focus];
+    const threadText = threads.map(thread => formatPost(thread.post, thread.number)).join('\n');
+
+    return `REDDIT MARKET RESEARCH EXTRACTION v2.0 - DEEP DIVE: ${label}
+
+${formatInputParameters(scrapedData.metadata, topic)}
+
+These threads were flagged as top priority for ${label.toLowerCase()}. Below are their full comment trees, re-fetched from Reddit. POST # numbers match the SOURCE LOG of the main analysis.
+
+=== THREADS ===
+${threadText}
+=== END OF THREADS ===
+
+${instructions}
+
+IMPORTANT: Use ACTUAL quotes from the threads above - never paraphrase or invent them - and cite the POST # for every item. Go deeper than a general extraction: capture every relevant comment, including replies.
+
+Go.`;
+}
+
+/**
+ * Generate the system prompt for a follow-up chat about a finished analysis
+ */
+function generateChatSystemPrompt(scrapedData, topic, reportText, framework) {
+    return `You are an expert market researcher helping a copywriter dig deeper into a finished Reddit research analysis for ${framework.offer}.
+
+${formatInputParameters(scrapedData.metadata, topic)}
+
+Each question comes with EXCERPTS retrieved from the scraped posts and comments. Answer from the excerpts and the analysis below:
+- Quote Reddit users verbatim, in double quotes, and cite every quote as (POST #N) using the excerpt's POST number.
+- Only quote text that appears in the excerpts. If they don't contain what was asked for, say so and suggest a better question - never invent quotes.
+- POST numbers match the analysis's SOURCE LOG numbers.
+
+=== ANALYSIS REPORT ===
+${reportText.trim()}
+=== END OF ANALYSIS REPORT ===`;
+}
+
+/**
+ * Generate one chat turn: the retrieved excerpts followed by the user's question
+ */
+function generateChatTurnPrompt(message, excerpts) {
+    const excerptText = excerpts.length > 0
+        ? excerpts.map(excerpt => {
+            const who = excerpt.type === 'comment' ? `comment by u/${excerpt.author || '[deleted]'}` : `post ${excerpt.field}`;
+            return `[POST #${excerpt.postIndex} | r/${excerpt.subreddit} | ${who} | ${excerpt.score ?? 0} points]\n${excerpt.text}`;
+        }).join('\n\n')
+        : '(No posts or comments matched this question.)';
+
+    return `=== EXCERPTS ===
+${excerptText}
+=== END OF EXCERPTS ===
+
+${message.trim()}`;
+}
+
+/**
+ * Internal: One line per post - the global numbering that SOURCE LOG entries refer to
+ */
+function formatSourceList(posts) {
+    return posts.map((post, i) => {
+        const date = post.createdUtc ? new Date(post.createdUtc * 1000).toISOString().slice(0, 10) : 'unknown';
+        return `${i + 1}. ${post.url} | r/${post.subreddit} | "${post.title}" | ${post.score} upvotes | ${post.numComments} comments | ${date}`;
+    }).join('\n');
+}
+
+/**
+ * Internal: Lay out batch notes with the post range each one covers
+ */
+function formatBatchNotes(notes) {
+    return notes.map(note =>
+        `--- NOTES FOR POSTS #${note.firstPost}-#${note.lastPost} ---\n${note.text.trim()}`
+    ).join('\n\n');
 }
 
-module.exports = { generateExtractionPrompt };
+module.exports = {
+    generateExtractionPrompt,
+    builtInTemplate,
+    templateVariables,
+    renderTemplate,
+    PROMPT_VARIABLES,
+    DEFAULT_EXTRACTION_TEMPLATE,
+    generateChunkExtractionPrompt,
+    generateNotesMergePrompt,
+    generateSynthesisPrompt,
+    generateStructuringPrompt,
+    generateRepairPrompt,
+    generateChatSystemPrompt,
+    generateChatTurnPrompt,
+    generateDeepDivePrompt,
+    formatComment,
+    formatPost
+};
@@ -0,0 +1,27 @@
+/**
+ * Framework Building Blocks - Phases every framework shares
+ */
+
+/**
+ * The closing SOURCE LOG phase. Its log format and the SYMPTOM LANGUAGE /
+ * MECHANISM EVIDENCE flags are what source resolution and deep dives parse,
+ * so only the descriptions of the two flags vary by framework.
+ */
+function sourceLogPhase({ symptomLanguage, mechanismEvidence }) {
+    return {
+        section: 'sourceLog',
+        heading: 'PHASE 7: OUTPUT SOURCE LOG',
+        instructions: `
+At the end of extraction, output the complete SOURCE LOG:
+
+SOURCE LOG:
+1. [Full URL] | r/[subreddit] | "[Post Title]" | [upvotes] upvotes | [comments] comments | [date] | Value: [Pain Point/Symptom/Mechanism/Multiple] | Key insight: [1-line summary]
+2. ...
+
+Flag TOP 10 PRIORITY THREADS for deep-dive analysis:
+- TOP 5 for SYMPTOM LANGUAGE (${symptomLanguage})
+- TOP 5 for MECHANISM EVIDENCE (${mechanismEvidence})`
+    };
+}
+
+module.exports = { sourceLogPhase };
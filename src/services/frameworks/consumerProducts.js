@@ -0,0 +1,267 @@
+/**
+ * Consumer Products Framework - Frustrations with physical products, why
+ * current options fail and product/positioning angles
+ */
+
+const { sourceLogPhase } = require('./common');
+
+module.exports = {
+    name: 'consumer-products',
+    label: 'Consumer products',
+    description: 'Product frustrations, failed purchases, buying criteria and product angles for physical consumer goods',
+    purpose: 'Extract pain points, product frustrations, and positioning raw material for consumer products',
+    offer: 'consumer product offers',
+    systemPrompt: 'You are an expert market researcher specializing in consumer products. Your job is to extract actionable insights from Reddit data that can be used for product development, positioning and marketing copy. Be thorough, use exact quotes from the data, and follow the extraction framework precisely.',
+    phases: [
+        {
+            section: 'subredditMapping',
+            heading: 'PHASE 1: SUBREDDIT MAPPING',
+            instructions: `Identify:
+- Primary subreddits (direct topic or product category)
+- Brand subreddits (communities around specific brands or competitors)
+- Deal and review subreddits (where people compare and recommend products)
+- Skeptic subreddits (where people complain products don't hold up)
+- Demographic subreddits (where the target buyer hangs out)`
+        },
+        {
+            section: 'painPointsAndSymptoms',
+            heading: 'PHASE 2: PAIN POINT & FRUSTRATION EXTRACTION',
+            instructions: `(CRITICAL: This is the foundation for product and positioning decisions)
+
+**SECTION A: PAIN POINT IDENTIFICATION**
+
+For each distinct pain point, output a block headed "### PAIN POINT #[X]: [Name]" with:
+
+1. PAIN POINT NAME
+   - Name the audience uses (their words)
+   - Category: [Quality / Durability / Fit & Size / Price / Convenience / Safety / Other]
+   - Alternate names/slang terms
+
+2. PAIN POINT VOLUME INDICATORS
+   - Number of dedicated threads found
+   - Average upvotes on pain point threads
+   - Comment engagement level (Low/Medium/High/Viral)
+   - VOLUME SCORE: [1-10]
+
+3. EMOTIONAL CHARGE INDICATORS
+   - Regret and anger language ("waste of money", "never again")
+   - Number of products tried before giving up
+   - Returns, refunds and warranty fights mentioned
+   - EMOTIONAL CHARGE SCORE: [1-10]
+
+4. PAIN POINT PRIORITY SCORE
+   - Formula: (Volume Score × 0.4) + (Emotional Charge Score × 0.6) = PRIORITY SCORE
+
+**SECTION B: FRUSTRATION MAPPING**
+(For each pain point, how the failure shows up)
+
+PRIMARY SYMPTOMS (Functional) - What goes wrong with the product:
+- Exact descriptions of the failure in their words
+- When it happens ("after two washes", "first week", "in the cold")
+- [Flag high-frequency symptoms - these become ad hooks]
+
+SECONDARY SYMPTOMS (Emotional) - Extract only if high volume:
+- Embarrassment, anxiety or guilt tied to the product
+- [Only include if mentioned in 20%+ of threads]
+
+COMPLEMENTARY SYMPTOMS (Lifestyle Impact):
+- Things they can't do or avoid because of it
+- [Use for "imagine if..." future pacing in copy]
+
+**SECTION C: SYMPTOM CLUSTER IDENTIFICATION**
+- Cluster A: [Symptom 1] + [Symptom 2] + [Symptom 3]
+- For each cluster: frequency, a name for this type of buyer, best source threads`
+        },
+        {
+            section: 'mechanismExtraction',
+            heading: 'PHASE 3: PRODUCT FAILURE & ROOT CAUSE EXTRACTION',
+            instructions: `**SECTION A: PROBLEM SIDE**
+
+1. STATED BELIEFS ABOUT ROOT CAUSE
+   - Why do they think products fail (materials, design, manufacturing, "they're all made in the same factory")?
+   - LINKED TO PAIN POINT: [Name]
+
+2. WHY PAST PURCHASES FAILED (Their Words)
+   - Named brands/products that disappointed
+   - Their explanation for WHY
+   - LINKED TO PAIN POINT: [Name]
+
+3. MISSING PIECE LANGUAGE
+   - "Why does nobody make...", "I'd pay double for one that..."
+   - [These are direct product and positioning seeds]
+
+**SECTION B: SOLUTION SIDE**
+
+4. THINGS THAT ACTUALLY WORKED
+   - Products, hacks and modifications that solved it
+   - What was different about them
+   - LINKED TO PAIN POINT: [Name]
+
+5. UNSPOKEN FACTORS
+   - Materials, specs or care routines nobody highlights
+   - [Direct positioning opportunities]
+
+**SECTION C: BELIEF ARCHITECTURE**
+
+6. BUYING CRITERIA AND TRUST
+   - Which reviewers, tests and certifications do they trust?
+   - Price anchors and what they consider worth paying for
+
+7. SKEPTICISM PATTERNS
+   - Claims that trigger distrust ("military grade", fake reviews)
+   - [Objections the positioning must overcome]`
+        },
+        {
+            section: 'languageMining',
+            heading: 'PHASE 4: LANGUAGE MINING',
+            instructions: `
+**SECTION A: SYMPTOM DESCRIPTION LANGUAGE**
+(Organized by pain point)
+- Exact phrases for how products fail (verbatim)
+- Sensory language ("feels cheap", "smells like...")
+- [Direct ad hook material]
+
+**SECTION B: PROBLEM DESCRIPTION LANGUAGE**
+- Exact phrases for the overall problem and its cost
+- [Direct ad copy material]
+
+**SECTION C: DESIRE LANGUAGE**
+- How they describe the ideal product
+- "I just want one that..."
+- [Headline/promise material]`
+        },
+        {
+            section: 'synthesis',
+            heading: 'PHASE 5: SYNTHESIS & PRIORITIZATION',
+            instructions: `
+**A. PAIN POINT PRIORITY RANKING**
+
+| Rank | Pain Point | Priority Score | Volume | Emotional Charge | Product Opportunity | Recommended Focus |
+|------|------------|----------------|--------|------------------|---------------------|-------------------|
+| 1    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]      | [Primary/Secondary/Skip] |
+
+**B. SYMPTOM HOOK BANK**
+(Top 20 hooks, ranked by frequency + emotional charge)
+
+| Rank | Symptom/Cluster | Verbatim Language | Pain Point | Frequency | Hook Potential |
+|------|-----------------|-------------------|------------|-----------|----------------|
+
+**C. PROBLEM MECHANISM CANDIDATES**
+For each: name, linked pain point(s), why past purchases failed, evidence from Reddit, believability score (1-10), source threads (reference by SOURCE LOG number)
+
+**D. SOLUTION MECHANISM CANDIDATES**
+For each: type (Design / Material / Bundle / Reframe), linked pain point(s), what it is in plain terms, how to name it, why it's different from what they've bought, source threads (reference by SOURCE LOG number)
+
+**E. COPY BANK**
+- 10-20 verbatim symptom phrases for hooks (with source # and pain point)
+- 10-20 verbatim phrases for problem agitation (with source #)
+- 10-20 verbatim phrases for desire/outcome (with source #)
+- Key objection language to address (with source #)`
+        },
+        {
+            section: 'hypotheses',
+            heading: 'PHASE 6: HYPOTHESIS OUTPUT',
+            instructions: `
+Generate 3-5 complete product angle hypotheses, each tied to specific pain points:
+
+PRODUCT ANGLE HYPOTHESIS #[X]
+- Name: [Catchy name for the angle]
+- Type: [Design/Material/Bundle/Reframe]
+- TARGET PAIN POINT(S): [Which pain points this addresses]
+- KEY SYMPTOMS IT EXPLAINS: [Top 3 frustrations this angle speaks to]
+- Problem Side: [Why what they bought keeps failing]
+- Solution Side: [Why this product works]
+- Knowledge Gap: [The one thing they didn't know to look for]
+- Proof Strategy: [Demo, test, guarantee...]
+- Best-Fit Product Type: [What kind of product this works for]
+- Sample Hook: [One-line version for ads - symptom-focused]
+- Sample Problem Lead: [A "Tired of ...?" question built from a symptom cluster]
+- Key Source Threads: [List SOURCE LOG numbers with richest evidence]`
+        },
+        sourceLogPhase({
+            symptomLanguage: 'richest descriptions of how products fail',
+            mechanismEvidence: 'strongest root cause and what-finally-worked insights'
+        })
+    ],
+    deepDiveFocuses: {
+        symptoms: {
+            label: 'PRODUCT FRUSTRATION LANGUAGE',
+            priorityThreads: 'symptomLanguage',
+            instructions: `Mine these threads for PRODUCT FRUSTRATION LANGUAGE - every way people describe how products let them down.
+
+=== FRUSTRATION INVENTORY ===
+For each distinct frustration:
+- Frustration: [plain description]
+- Category: [Quality / Durability / Fit & Size / Price / Convenience / Safety / Other]
+- Verbatim descriptions: [every exact phrase used, with POST # and commenter]
+- When it happens: [after how long, in what use or conditions, in their words]
+- Regret language: [how they feel about the purchase, in their words]
+- Product or brand: [what they bought, if named]
+
+=== METAPHOR & COMPARISON LANGUAGE ===
+- [Comparisons and images people use ("it's like...", "feels cheap...") with POST #]
+
+=== "TIRED OF ...?" HOOK MATERIAL ===
+- [Exact phrases that could follow "Tired of ...?" with POST #]
+
+=== FRUSTRATION CLUSTERS ===
+- [Frustrations that appear together in the same person's story, with POST #]`
+        },
+        mechanisms: {
+            label: 'PRODUCT FAILURE EVIDENCE',
+            priorityThreads: 'mechanismEvidence',
+            instructions: `Mine these threads for PRODUCT FAILURE EVIDENCE - why people think products fail and what finally worked for them.
+
+=== ROOT CAUSE BELIEFS ===
+- [Each belief about why products fail (materials, design, manufacturing), verbatim, with POST # and how many people agree]
+
+=== PURCHASES THAT FAILED ===
+- Product: [brand or type] | Why it failed (their words): [quote] | POST #
+
+=== WHAT FINALLY WORKED ===
+- Product or fix: [what helped, including hacks and modifications] | Why they think it works: [quote] | POST #
+
+=== UNMET NEEDS ===
+- ["Why does nobody make...", "I'd pay double for..." moments, verbatim, with POST #]
+
+=== EVIDENCE STRENGTH ===
+- [For each candidate root cause or product angle: how many independent people report it, and the strongest quote]`
+        }
+    },
+    priorityOrder: `1. First pass: Identify all distinct PAIN POINTS
+2. Second pass: Map FRUSTRATIONS to each pain point
+3. Third pass: Extract PRODUCT FAILURE and ROOT CAUSE material linked to high-priority pain points
+4. Fourth pass: Mine LANGUAGE for copy bank
+5. Final pass: Synthesize and prioritize`,
+    batchNoteSections: `=== PAIN POINTS ===
+For each distinct pain point: the audience's name for it, POST #s that discuss it, average upvotes of those threads, regret / returns / products-tried signals, and a VOLUME SCORE [1-10] and EMOTIONAL CHARGE SCORE [1-10] for this data.
+
+=== SYMPTOMS ===
+Functional, emotional (only if frequent) and lifestyle-impact frustrations as verbatim quotes, each with POST # and pain point. Note frustrations that appear together (clusters) and how often.
+
+=== MECHANISM MATERIAL ===
+Root-cause beliefs, products that failed and why, "why does nobody make" language, what actually worked, buying criteria and skepticism patterns - each with POST # and pain point.
+
+=== LANGUAGE ===
+Verbatim phrases for frustrations, problem agitation, desired outcomes and objections, each with POST #.
+
+=== SUBREDDITS ===
+Role of each subreddit seen (primary / brand / review / skeptic / demographic).
+
+=== NOTABLE THREADS ===
+POST #s richest in SYMPTOM LANGUAGE and in MECHANISM EVIDENCE, with a one-line key insight each.`,
+    parser: {
+        painPoint: /### PAIN POINT #(\d+): ([^\n]+)([\s\S]*?)(?=### PAIN POINT #|$)/gi,
+        volumeScore: /VOLUME SCORE:\s*(\d+)/i,
+        emotionalScore: /EMOTIONAL CHARGE SCORE:\s*(\d+)/i,
+        priorityScore: /PAIN POINT PRIORITY SCORE:\s*([\d.]+)/i,
+        hypothesis: /PRODUCT ANGLE HYPOTHESIS #(\d+)([\s\S]*?)(?=PRODUCT ANGLE HYPOTHESIS #|$)/gi,
+        hypothesisFields: {
+            name: /- Name:\s*([^\n]+)/i,
+            type: /- Type:\s*([^\n]+)/i,
+            targetPainPoints: /- TARGET PAIN POINT\(S\):\s*([^\n]+)/i,
+            sampleHook: /- Sample Hook:\s*([^\n]+)/i,
+            sampleLead: /- Sample Problem Lead:\s*([^\n]+)/i
+        }
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Analysis Frameworks - Registry of niche-specific extraction templates
+ *
+ * Every framework exposes:
+ *   name, label, description
+ *   purpose         - "Purpose:" line of the extraction prompts
+ *   offer           - what the research is for ("supplement offers"), used by the chat prompt
+ *   systemPrompt    - system prompt for extraction, batch and synthesis calls
+ *   phases          - [{ section, heading, instructions }] in report order. `section`
+ *                     is the key the parsed report stores the phase under; every
+ *                     framework covers subredditMapping, painPointsAndSymptoms,
+ *                     mechanismExtraction, languageMining, synthesis, hypotheses
+ *                     and sourceLog so quote checks and source links keep working
+ *   deepDiveFocuses - { symptoms, mechanisms }: deep-dive prompts, each
+ *                     { label, priorityThreads, instructions } - priorityThreads
+ *                     names the PHASE 7 flag list ('symptomLanguage' or
+ *                     'mechanismEvidence') a deep dive defaults to
+ *   priorityOrder   - EXTRACTION PRIORITY ORDER block
+ *   batchNoteSections - note sections for batches of chunked analyses
+ *   parser          - regexes reading pain points (painPoint, volumeScore,
+ *                     emotionalScore, priorityScore) and hypotheses (hypothesis,
+ *                     hypothesisFields) out of the markdown report
+ *
+ * A job picks its framework when it is created (config.framework).
+ */
+
+const supplements = require('./supplements');
+const software = require('./software');
+const consumerProducts = require('./consumerProducts');
+
+const frameworks = {
+    [supplements.name]: supplements,
+    [software.name]: software,
+    [consumerProducts.name]: consumerProducts
+};
+
+// Jobs created before frameworks existed were all supplement research
+const DEFAULT_FRAMEWORK = supplements.name;
+
+/**
+ * Look up a framework by name (undefined if unknown)
+ */
+function getFramework(name) {
+    return frameworks[name];
+}
+
+/**
+ * Summaries for the frameworks endpoint
+ */
+function listFrameworks() {
+    return Object.values(frameworks).map(framework => ({
+        name: framework.name,
+        label: framework.label,
+        description: framework.description,
+        phases: framework.phases.map(phase => phase.heading)
+    }));
+}
+
+module.exports = { getFramework, listFrameworks, DEFAULT_FRAMEWORK };
@@ -0,0 +1,271 @@
+/**
+ * Software Framework - Pain points, workflow friction and workarounds for
+ * SaaS and other software products
+ */
+
+const { sourceLogPhase } = require('./common');
+
+module.exports = {
+    name: 'software',
+    label: 'Software / SaaS',
+    description: 'Workflow pain points, failed tools, workarounds and positioning angles for software products',
+    purpose: 'Extract pain points, workflow friction, and positioning raw material for software products',
+    offer: 'software products',
+    systemPrompt: 'You are an expert product marketer and user researcher specializing in software and SaaS products. Your job is to extract actionable insights from Reddit data that can be used for product positioning, feature prioritization and marketing copy. Be thorough, use exact quotes from the data, and follow the extraction framework precisely.',
+    phases: [
+        {
+            section: 'subredditMapping',
+            heading: 'PHASE 1: SUBREDDIT MAPPING',
+            instructions: `Identify:
+- Primary subreddits (direct topic, job role or workflow)
+- Tool subreddits (communities around specific products or competitors)
+- Skeptic subreddits (where people complain tools don't deliver)
+- Demographic subreddits (team size, industry, seniority)
+- Adjacent subreddits (neighbouring workflows and integrations)`
+        },
+        {
+            section: 'painPointsAndSymptoms',
+            heading: 'PHASE 2: PAIN POINT & WORKFLOW SYMPTOM EXTRACTION',
+            instructions: `(CRITICAL: This is the foundation for positioning against the status quo)
+
+**SECTION A: PAIN POINT IDENTIFICATION**
+
+For each distinct pain point, output a block headed "### PAIN POINT #[X]: [Name]" with:
+
+1. PAIN POINT NAME
+   - Name the audience uses (their words, not product jargon)
+   - Category: [Workflow / Reliability / Cost / Integration / Learning curve / Collaboration / Other]
+   - Alternate names/slang terms
+
+2. PAIN POINT VOLUME INDICATORS
+   - Number of dedicated threads found
+   - Average upvotes on pain point threads
+   - Comment engagement level (Low/Medium/High/Viral)
+   - VOLUME SCORE: [1-10]
+
+3. FRUSTRATION INDICATORS
+   - Time lost ("hours every week", "I spend all Friday on...")
+   - Money lost or wasted on tools
+   - Switching / churn language ("we're moving off...", "cancelled our plan")
+   - Escalation language ("my boss is on my back", "clients noticed")
+   - EMOTIONAL CHARGE SCORE: [1-10]
+
+4. PAIN POINT PRIORITY SCORE
+   - Formula: (Volume Score × 0.4) + (Emotional Charge Score × 0.6) = PRIORITY SCORE
+
+**SECTION B: WORKFLOW SYMPTOM MAPPING**
+(For each pain point, what the user actually experiences)
+
+PRIMARY SYMPTOMS (Functional) - What goes wrong in their day:
+- Exact descriptions of the failure in their words
+- When it happens ("every sprint", "at month end", "when the team grows")
+- Manual steps and workarounds they describe
+- [Flag high-frequency symptoms - these become ad hooks]
+
+SECONDARY SYMPTOMS (Emotional) - Extract only if high volume:
+- Stress, embarrassment or burnout tied to the problem
+- [Only include if mentioned in 20%+ of threads]
+
+COMPLEMENTARY SYMPTOMS (Business Impact):
+- Deadlines missed, revenue or customers lost
+- Team friction and blame
+- [Use for "imagine if..." future pacing in copy]
+
+**SECTION C: SYMPTOM CLUSTER IDENTIFICATION**
+- Cluster A: [Symptom 1] + [Symptom 2] + [Symptom 3]
+- For each cluster: frequency, a name for this type of user, best source threads`
+        },
+        {
+            section: 'mechanismExtraction',
+            heading: 'PHASE 3: ROOT CAUSE & WORKAROUND EXTRACTION',
+            instructions: `**SECTION A: PROBLEM SIDE**
+
+1. STATED BELIEFS ABOUT ROOT CAUSE
+   - Why do they think the problem happens (process, tool design, pricing model, team habits)?
+   - LINKED TO PAIN POINT: [Name]
+
+2. WHY CURRENT TOOLS FAIL (Their Words)
+   - Named products/approaches that didn't solve it
+   - Their explanation for WHY
+   - Dealbreakers that made them switch
+   - LINKED TO PAIN POINT: [Name]
+
+3. MISSING PIECE LANGUAGE
+   - "I wish there was a tool that...", "Why doesn't any app just..."
+   - [These are direct feature and positioning seeds]
+
+**SECTION B: SOLUTION SIDE**
+
+4. WORKAROUNDS AND THINGS THAT WORKED
+   - Spreadsheets, scripts, integrations and habits they built
+   - What was different about the tool that finally worked
+   - LINKED TO PAIN POINT: [Name]
+
+5. UNSPOKEN FACTORS
+   - Setup, onboarding or configuration details nobody highlights
+   - [Direct positioning opportunities]
+
+**SECTION C: BELIEF ARCHITECTURE**
+
+6. BUYING CRITERIA AND TRUST
+   - Who do they ask for recommendations? What reviews or benchmarks do they cite?
+   - Must-have integrations and pricing expectations
+
+7. SKEPTICISM PATTERNS
+   - Claims that trigger distrust, lock-in fears, past migrations that went badly
+   - [Objections the positioning must overcome]`
+        },
+        {
+            section: 'languageMining',
+            heading: 'PHASE 4: LANGUAGE MINING',
+            instructions: `
+**SECTION A: SYMPTOM DESCRIPTION LANGUAGE**
+(Organized by pain point)
+- Exact phrases for what goes wrong (verbatim)
+- Comparisons and metaphors ("it's like herding cats")
+- [Direct ad hook material]
+
+**SECTION B: PROBLEM DESCRIPTION LANGUAGE**
+- Exact phrases for the overall problem and its cost
+- [Direct ad copy material]
+
+**SECTION C: DESIRE LANGUAGE**
+- How they describe the ideal workflow
+- "I just want to..."
+- [Headline/promise material]`
+        },
+        {
+            section: 'synthesis',
+            heading: 'PHASE 5: SYNTHESIS & PRIORITIZATION',
+            instructions: `
+**A. PAIN POINT PRIORITY RANKING**
+
+| Rank | Pain Point | Priority Score | Volume | Emotional Charge | Positioning Opportunity | Recommended Focus |
+|------|------------|----------------|--------|------------------|-------------------------|-------------------|
+| 1    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]          | [Primary/Secondary/Skip] |
+
+**B. SYMPTOM HOOK BANK**
+(Top 20 hooks, ranked by frequency + frustration)
+
+| Rank | Symptom/Cluster | Verbatim Language | Pain Point | Frequency | Hook Potential |
+|------|-----------------|-------------------|------------|-----------|----------------|
+
+**C. PROBLEM MECHANISM CANDIDATES**
+For each: name, linked pain point(s), why current tools fail, evidence from Reddit, believability score (1-10), source threads (reference by SOURCE LOG number)
+
+**D. SOLUTION MECHANISM CANDIDATES**
+For each: type (Feature Gap / Workflow Fix / Reframe), linked pain point(s), what it is in plain terms, how to name it, why it's different from what they've tried, source threads (reference by SOURCE LOG number)
+
+**E. COPY BANK**
+- 10-20 verbatim symptom phrases for hooks (with source # and pain point)
+- 10-20 verbatim phrases for problem agitation (with source #)
+- 10-20 verbatim phrases for desire/outcome (with source #)
+- Key objection language to address (with source #)`
+        },
+        {
+            section: 'hypotheses',
+            heading: 'PHASE 6: HYPOTHESIS OUTPUT',
+            instructions: `
+Generate 3-5 complete positioning hypotheses, each tied to specific pain points:
+
+POSITIONING HYPOTHESIS #[X]
+- Name: [Catchy name for the angle]
+- Type: [Feature Gap/Workflow Fix/Reframe]
+- TARGET PAIN POINT(S): [Which pain points this addresses]
+- KEY SYMPTOMS IT EXPLAINS: [Top 3 symptoms this angle speaks to]
+- Problem Side: [Why current tools keep failing them]
+- Solution Side: [Why this approach works]
+- Knowledge Gap: [The one thing they didn't realize]
+- Proof Strategy: [Demo, benchmark, case study...]
+- Best-Fit Product Type: [Standalone app / plugin / integration / service]
+- Sample Hook: [One-line version for ads - symptom-focused]
+- Sample Problem Lead: [A "Still ...?" question built from a symptom cluster]
+- Key Source Threads: [List SOURCE LOG numbers with richest evidence]`
+        },
+        sourceLogPhase({
+            symptomLanguage: 'richest descriptions of what goes wrong day to day',
+            mechanismEvidence: 'strongest root cause, failed tool and workaround insights'
+        })
+    ],
+    deepDiveFocuses: {
+        symptoms: {
+            label: 'WORKFLOW PAIN LANGUAGE',
+            priorityThreads: 'symptomLanguage',
+            instructions: `Mine these threads for WORKFLOW PAIN LANGUAGE - every way people describe what goes wrong in their work and what it costs them.
+
+=== PAIN INVENTORY ===
+For each distinct problem:
+- Problem: [plain description]
+- Category: [Workflow / Reliability / Cost / Integration / Learning curve / Collaboration / Other]
+- Verbatim descriptions: [every exact phrase used, with POST # and commenter]
+- When it happens: [the task, moment or trigger, in their words]
+- Cost language: [time, money, customers or sanity lost, in their words]
+- Who is affected: [role, team size or company type, in their words]
+
+=== METAPHOR & FRUSTRATION LANGUAGE ===
+- [Comparisons and images people use ("it's like...", "feels like babysitting...") with POST #]
+
+=== "STILL ...?" HOOK MATERIAL ===
+- [Exact phrases that could follow "Still ...?" with POST #]
+
+=== PAIN CLUSTERS ===
+- [Problems that appear together in the same person's story, with POST #]`
+        },
+        mechanisms: {
+            label: 'ROOT CAUSE & WORKAROUND EVIDENCE',
+            priorityThreads: 'mechanismEvidence',
+            instructions: `Mine these threads for ROOT CAUSE & WORKAROUND EVIDENCE - why people think their tools fail them and what they do about it.
+
+=== ROOT CAUSE BELIEFS ===
+- [Each belief about why the problem happens, verbatim, with POST # and how many people agree]
+
+=== TOOLS THAT FAILED ===
+- Tool: [product or approach] | Why it failed (their words): [quote] | POST #
+
+=== WORKAROUNDS & WHAT WORKED ===
+- Workaround: [spreadsheet, script, integration, habit or tool] | Why it works for them: [quote] | POST #
+
+=== FEATURE GAPS ===
+- ["I wish there was...", "Why doesn't any app just..." moments, verbatim, with POST #]
+
+=== EVIDENCE STRENGTH ===
+- [For each candidate root cause or feature gap: how many independent people report it, and the strongest quote]`
+        }
+    },
+    priorityOrder: `1. First pass: Identify all distinct PAIN POINTS
+2. Second pass: Map WORKFLOW SYMPTOMS to each pain point
+3. Third pass: Extract ROOT CAUSE and WORKAROUND material linked to high-priority pain points
+4. Fourth pass: Mine LANGUAGE for copy bank
+5. Final pass: Synthesize and prioritize`,
+    batchNoteSections: `=== PAIN POINTS ===
+For each distinct pain point: the audience's name for it, POST #s that discuss it, average upvotes of those threads, time/money lost and switching signals, and a VOLUME SCORE [1-10] and EMOTIONAL CHARGE SCORE [1-10] for this data.
+
+=== SYMPTOMS ===
+Functional, emotional (only if frequent) and business-impact symptoms as verbatim quotes, each with POST # and pain point. Note symptoms that appear together (clusters) and how often.
+
+=== MECHANISM MATERIAL ===
+Root-cause beliefs, tools that failed and why, "I wish there was" language, workarounds, what actually worked, buying criteria and skepticism patterns - each with POST # and pain point.
+
+=== LANGUAGE ===
+Verbatim phrases for symptoms, problem agitation, desired outcomes and objections, each with POST #.
+
+=== SUBREDDITS ===
+Role of each subreddit seen (primary / tool / skeptic / demographic / adjacent).
+
+=== NOTABLE THREADS ===
+POST #s richest in SYMPTOM LANGUAGE and in MECHANISM EVIDENCE, with a one-line key insight each.`,
+    parser: {
+        painPoint: /### PAIN POINT #(\d+): ([^\n]+)([\s\S]*?)(?=### PAIN POINT #|$)/gi,
+        volumeScore: /VOLUME SCORE:\s*(\d+)/i,
+        emotionalScore: /EMOTIONAL CHARGE SCORE:\s*(\d+)/i,
+        priorityScore: /PAIN POINT PRIORITY SCORE:\s*([\d.]+)/i,
+        hypothesis: /POSITIONING HYPOTHESIS #(\d+)([\s\S]*?)(?=POSITIONING HYPOTHESIS #|$)/gi,
+        hypothesisFields: {
+            name: /- Name:\s*([^\n]+)/i,
+            type: /- Type:\s*([^\n]+)/i,
+            targetPainPoints: /- TARGET PAIN POINT\(S\):\s*([^\n]+)/i,
+            sampleHook: /- Sample Hook:\s*([^\n]+)/i,
+            sampleLead: /- Sample Problem Lead:\s*([^\n]+)/i
+        }
+    }
+};
@@ -0,0 +1,366 @@
+/**
+ * Supplements Framework - The original v2.0 extraction framework for health
+ * supplement offers: pain points, physical symptoms and the problem/solution
+ * mechanisms behind them
+ */
+
+const { sourceLogPhase } = require('./common');
+
+module.exports = {
+    name: 'supplements',
+    label: 'Health supplements',
+    description: 'Pain points, physical symptoms and problem/solution mechanisms for supplement offers',
+    purpose: 'Extract pain points, symptoms, and mechanism raw material for supplement offers',
+    offer: 'supplement offers',
+    systemPrompt: 'You are an expert market researcher specializing in health supplement offers. Your job is to extract actionable insights from Reddit data that can be used to create compelling marketing copy and product positioning. Be thorough, use exact quotes from the data, and follow the extraction framework precisely.',
+    phases: [
+        {
+            section: 'subredditMapping',
+            heading: 'PHASE 1: SUBREDDIT MAPPING',
+            instructions: `Identify:
+- Primary subreddits (direct topic)
+- Adjacent subreddits (related conditions, co-morbidities)
+- Skeptic subreddits (where people complain solutions don't work)
+- Demographic subreddits (where target audience hangs out)
+- Symptom-specific subreddits (where people discuss individual symptoms)`
+        },
+        {
+            section: 'painPointsAndSymptoms',
+            heading: 'PHASE 2: PAIN POINT & SYMPTOM EXTRACTION',
+            instructions: `(CRITICAL: This is the foundation for targeting unaware/problem-aware markets)
+
+**SECTION A: PAIN POINT IDENTIFICATION**
+
+For each distinct pain point discovered within the niche:
+
+1. PAIN POINT NAME
+   - Common name used by audience (their words, not clinical)
+   - Clinical/medical name (if different)
+   - Alternate names/slang terms
+
+2. PAIN POINT VOLUME INDICATORS
+   - Number of dedicated threads found
+   - Average upvotes on pain point threads
+   - Comment engagement level (Low/Medium/High/Viral)
+   - Dedicated subreddits for this specific pain point?
+   - VOLUME SCORE: [1-10]
+
+3. EMOTIONAL CHARGE INDICATORS
+   - Desperation language frequency ("I can't take this anymore", "ruining my life")
+   - Duration of suffering mentioned (months/years)
+   - Failed attempt count mentioned
+   - Life impact statements
+   - EMOTIONAL CHARGE SCORE: [1-10]
+
+4. PAIN POINT PRIORITY SCORE
+   - Formula: (Volume Score × 0.4) + (Emotional Charge Score × 0.6) = PRIORITY SCORE
+   - [Higher emotional charge weighted more - indicates buying intent]
+
+**SECTION B: SYMPTOM MAPPING**
+(For each identified pain point, extract symptoms in hierarchy)
+
+PRIMARY SYMPTOMS (Physical) - What they FEEL in their body:
+- Exact symptom descriptions in their words
+- Frequency mentioned (daily/weekly/episodic)
+- Severity language ("mild", "debilitating", "worst pain")
+- Timing patterns ("after eating", "in the morning", "when stressed")
+- Location specificity ("lower left abdomen", "behind my eyes")
+- [Flag high-frequency symptoms - these become ad hooks]
+
+SECONDARY SYMPTOMS (Emotional) - Extract only if high volume:
+- Emotional states directly tied to physical symptoms
+- Mental health impacts mentioned
+- Cognitive symptoms ("brain fog", "can't concentrate")
+- [Only include if mentioned in 20%+ of threads]
+
+COMPLEMENTARY SYMPTOMS (Lifestyle Impact):
+- Activities they can't do
+- Social situations they avoid
+- Work/productivity impact
+- Relationship strain
+- [Use for "imagine if..." future pacing in copy]
+
+**SECTION C: SYMPTOM CLUSTER IDENTIFICATION**
+(Critical for "Do you experience..." ad hooks)
+
+Identify SYMPTOM CLUSTERS - combinations that appear together:
+- Cluster A: [Symptom 1] + [Symptom 2] + [Symptom 3]
+- Cluster B: [Symptom 1] + [Symptom 4] + [Symptom 5]
+- [These clusters = audience segments with specific experiences]
+
+For each cluster:
+- Frequency (how often this combo appears)
+- Unique identifier name (what could we call this type?)
+- Best source threads demonstrating this cluster
+
+**SECTION D: PAIN POINT → SYMPTOM MATRIX OUTPUT**
+
+| Pain Point | Priority Score | Top Physical Symptoms | Emotional (if high vol) | Lifestyle Impact | Thread Count |
+|------------|---------------|----------------------|------------------------|------------------|--------------|
+| [Name]     | [X.X]         | [1, 2, 3]            | [if applicable]        | [key impacts]    | [#]          |`
+        },
+        {
+            section: 'mechanismExtraction',
+            heading: 'PHASE 3: MECHANISM EXTRACTION',
+            instructions: `(Now connected to specific pain points)
+
+**SECTION A: PROBLEM MECHANISM RAW MATERIAL**
+(What we need to build the "why you've failed" narrative)
+
+For EACH high-priority pain point, extract:
+
+1. STATED BELIEFS ABOUT ROOT CAUSE
+   - What do they think is ACTUALLY causing this specific pain point?
+   - What "hidden" or "overlooked" factors do they mention?
+   - What body systems/processes do they blame?
+   - What triggers do they identify?
+   - [Flag any beliefs that could become the "knowledge gap"]
+   - LINKED TO PAIN POINT: [Name]
+
+2. WHY PAST SOLUTIONS FAILED (Their Words)
+   - Specific products/approaches that didn't work FOR THIS PAIN POINT
+   - Their explanation for WHY it didn't work
+   - Partial successes that stopped working
+   - Side effects experienced
+   - [Flag patterns - same failure reason = mechanism opportunity]
+   - LINKED TO PAIN POINT: [Name]
+
+3. MISSING PIECE LANGUAGE
+   - "I feel like I'm missing something..."
+   - "Nobody talks about..."
+   - "Why doesn't anyone mention..."
+   - "I finally realized..."
+   - [These are direct mechanism seeds]
+   - LINKED TO PAIN POINT: [Name]
+
+**SECTION B: SOLUTION MECHANISM RAW MATERIAL**
+(What we need to build the "why THIS works" narrative)
+
+4. THINGS THAT ACTUALLY WORKED
+   - What finally helped them with THIS SPECIFIC pain point?
+   - What was different about it?
+   - What did they have to change/add/remove?
+   - Unexpected solutions that worked
+   - [Raw material for existing/unspoken mechanisms]
+   - LINKED TO PAIN POINT: [Name]
+
+5. UNSPOKEN FACTORS
+   - Common practices nobody highlights for this pain point
+   - "Everyone knows X but..."
+   - Standard ingredients/approaches that could be elevated
+   - [Direct unspoken mechanism opportunities]
+
+6. REFRAMABLE CONCEPTS
+   - Boring/clinical terms for things that work
+   - Scientific processes described in plain language
+   - Old remedies or approaches with new understanding
+   - [Transubstantiation opportunities]
+
+**SECTION C: BELIEF ARCHITECTURE**
+(What the prospect already believes - leverage or counter)
+
+7. TRUSTED INFORMATION SOURCES
+   - Who do they believe?
+   - What studies/experts do they cite?
+   - What makes them trust something?
+
+8. SKEPTICISM PATTERNS
+   - What claims trigger distrust?
+   - Past disappointments
+   - "Red flags" they watch for
+   - [Objections the mechanism must overcome]
+
+9. SUCCESS METRICS (Per Pain Point)
+   - How do they know something is "working" for THIS pain point?
+   - Timeline expectations
+   - What would convince them it's real?
+   - Specific symptom relief they look for`
+        },
+        {
+            section: 'languageMining',
+            heading: 'PHASE 4: LANGUAGE MINING',
+            instructions: `
+**SECTION A: SYMPTOM DESCRIPTION LANGUAGE**
+(Organized by pain point)
+
+For each pain point, capture:
+- Exact phrases for symptoms (verbatim)
+- Sensory language ("feels like...", "it's like...")
+- Severity descriptors
+- [Direct ad hook material - "Do you experience [exact phrase]?"]
+
+**SECTION B: PROBLEM DESCRIPTION LANGUAGE**
+- Exact phrases for the overall problem
+- Emotional language about impact
+- Metaphors they use
+- [Direct ad copy material]
+
+**SECTION C: DESIRE LANGUAGE**
+- How they describe the ideal outcome
+- "I just want to..."
+- Life impact of solving this
+- Specific activities they want to do again
+- [Headline/promise material]`
+        },
+        {
+            section: 'synthesis',
+            heading: 'PHASE 5: SYNTHESIS & PRIORITIZATION',
+            instructions: `
+**A. PAIN POINT PRIORITY RANKING**
+
+Rank all discovered pain points:
+
+| Rank | Pain Point | Priority Score | Volume | Emotional Charge | Mechanism Opportunity | Recommended Focus |
+|------|------------|----------------|--------|------------------|----------------------|-------------------|
+| 1    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]       | [Primary/Secondary/Skip] |
+| 2    | [Name]     | [X.X]          | [1-10] | [1-10]           | [High/Med/Low]       | [Primary/Secondary/Skip] |
+
+**B. SYMPTOM HOOK BANK**
+(Top 20 symptom-based hooks, ranked by frequency + emotional charge)
+
+| Rank | Symptom/Cluster | Verbatim Language | Pain Point | Frequency | Hook Potential |
+|------|-----------------|-------------------|------------|-----------|----------------|
+| 1    | [Symptom]       | "[exact quote]"   | [Name]     | [High/Med]| [1-10]         |
+
+**C. PROBLEM MECHANISM CANDIDATES**
+For each candidate:
+- Mechanism name (what to call it)
+- LINKED TO PAIN POINT(S): [Which pain points this explains]
+- The knowledge gap it fills
+- Evidence from Reddit that supports it
+- Why it explains past failure
+- Believability score (1-10)
+- Source threads (reference by SOURCE LOG number)
+
+**D. SOLUTION MECHANISM CANDIDATES**
+For each candidate:
+- Mechanism type (Existing / Unspoken / Transubstantiated)
+- LINKED TO PAIN POINT(S): [Which pain points this solves]
+- What it is in plain terms
+- How to name/frame it
+- Why it's different from what they've tried
+- Proof points available
+- Source threads (reference by SOURCE LOG number)
+
+**E. COPY BANK**
+- 10-20 verbatim symptom phrases for hooks (with source # and pain point)
+- 10-20 verbatim phrases for problem agitation (with source #)
+- 10-20 verbatim phrases for desire/outcome (with source #)
+- Key objection language to address (with source #)
+
+**F. MECHANISM VALIDATION CHECKLIST**
+For each top mechanism candidate, answer:
+□ Does it explain why past solutions failed for [specific pain point]?
+□ Does it connect to the TOP physical symptoms?
+□ Does it fill a genuine knowledge gap?
+□ Is it believable/provable?
+□ Does it differentiate from competitors?
+□ Can we build a full narrative around it?`
+        },
+        {
+            section: 'hypotheses',
+            heading: 'PHASE 6: HYPOTHESIS OUTPUT',
+            instructions: `
+Generate 3-5 complete mechanism hypotheses, each tied to specific pain points:
+
+MECHANISM HYPOTHESIS #[X]
+- Name: [Catchy mechanism name]
+- Type: [Existing/Unspoken/Transubstantiated]
+- TARGET PAIN POINT(S): [Which pain points this addresses]
+- KEY SYMPTOMS IT EXPLAINS: [Top 3 symptoms this mechanism accounts for]
+- Problem Side: [Why they've been failing]
+- Solution Side: [Why this works]
+- Knowledge Gap: [The one thing they didn't know]
+- Proof Strategy: [How to make it believable]
+- Best-Fit Product Type: [What kind of supplement this works for]
+- Sample Hook: [One-line version for ads - symptom-focused]
+- Sample "Do You Experience..." Lead: [Symptom cluster question]
+- Key Source Threads: [List SOURCE LOG numbers with richest evidence]`
+        },
+        sourceLogPhase({
+            symptomLanguage: 'richest physical symptom descriptions',
+            mechanismEvidence: 'strongest root cause/solution insights'
+        })
+    ],
+    deepDiveFocuses: {
+        symptoms: {
+            label: 'SYMPTOM LANGUAGE',
+            priorityThreads: 'symptomLanguage',
+            instructions: `Mine these threads for SYMPTOM LANGUAGE - every way people describe what they physically and emotionally experience.
+
+=== SYMPTOM INVENTORY ===
+For each distinct symptom:
+- Symptom: [plain description]
+- Category: [Physical / Emotional / Lifestyle]
+- Verbatim descriptions: [every exact phrase used, with POST # and commenter]
+- Timing / triggers: [when it happens, what sets it off]
+- Severity language: [how bad, in their words]
+- Body location: [where, in their words]
+
+=== SENSORY & METAPHOR LANGUAGE ===
+- [Comparisons and images people use ("feels like...", "it's like...") with POST #]
+
+=== "DO YOU EXPERIENCE..." HOOK MATERIAL ===
+- [Exact phrases that could follow "Do you experience..." with POST #]
+
+=== SYMPTOM CLUSTERS ===
+- [Symptoms that appear together in the same person's story, with POST #]`
+        },
+        mechanisms: {
+            label: 'MECHANISM EVIDENCE',
+            priorityThreads: 'mechanismEvidence',
+            instructions: `Mine these threads for MECHANISM EVIDENCE - what people believe causes their problem and what has or hasn't fixed it.
+
+=== ROOT CAUSE BELIEFS ===
+- [Each belief about why the problem happens, verbatim, with POST # and how many people agree]
+
+=== FAILED SOLUTIONS ===
+- Solution: [what they tried] | Why it failed (their words): [quote] | POST #
+
+=== WORKING SOLUTIONS ===
+- Solution: [what helped] | Why they think it works: [quote] | POST #
+
+=== HIDDEN FACTORS & KNOWLEDGE GAPS ===
+- ["Nobody talks about...", "I finally realized..." moments, verbatim, with POST #]
+
+=== EVIDENCE STRENGTH ===
+- [For each candidate mechanism: how many independent people report it, and the strongest quote]`
+        }
+    },
+    priorityOrder: `1. First pass: Identify all distinct PAIN POINTS
+2. Second pass: Map SYMPTOMS to each pain point
+3. Third pass: Extract MECHANISM material linked to high-priority pain points
+4. Fourth pass: Mine LANGUAGE for copy bank
+5. Final pass: Synthesize and prioritize`,
+    batchNoteSections: `=== PAIN POINTS ===
+For each distinct pain point: audience name and clinical name, POST #s that discuss it, average upvotes of those threads, desperation / duration / failed-attempt signals, and a VOLUME SCORE [1-10] and EMOTIONAL CHARGE SCORE [1-10] for this data.
+
+=== SYMPTOMS ===
+Physical, emotional (only if frequent) and lifestyle-impact symptoms as verbatim quotes, each with POST # and pain point. Note symptoms that appear together (clusters) and how often.
+
+=== MECHANISM MATERIAL ===
+Root-cause beliefs, past solutions that failed and why, "missing piece" language, what actually worked, unspoken factors, reframable concepts, trusted sources, skepticism patterns and success metrics - each with POST # and pain point.
+
+=== LANGUAGE ===
+Verbatim phrases for symptoms, problem agitation, desired outcomes and objections, each with POST #.
+
+=== SUBREDDITS ===
+Role of each subreddit seen (primary / adjacent / skeptic / demographic / symptom-specific).
+
+=== NOTABLE THREADS ===
+POST #s richest in SYMPTOM LANGUAGE and in MECHANISM EVIDENCE, with a one-line key insight each.`,
+    parser: {
+        painPoint: /### PAIN POINT #(\d+): ([^\n]+)([\s\S]*?)(?=### PAIN POINT #|$)/gi,
+        volumeScore: /VOLUME SCORE:\s*(\d+)/i,
+        emotionalScore: /EMOTIONAL CHARGE SCORE:\s*(\d+)/i,
+        priorityScore: /PAIN POINT PRIORITY SCORE:\s*([\d.]+)/i,
+        hypothesis: /MECHANISM HYPOTHESIS #(\d+)([\s\S]*?)(?=MECHANISM HYPOTHESIS #|$)/gi,
+        hypothesisFields: {
+            name: /- Name:\s*([^\n]+)/i,
+            type: /- Type:\s*([^\n]+)/i,
+            targetPainPoints: /- TARGET PAIN POINT\(S\):\s*([^\n]+)/i,
+            sampleHook: /- Sample Hook:\s*([^\n]+)/i,
+            sampleLead: /- Sample "Do You Experience\.\.\." Lead:\s*([^\n]+)/i
+        }
+    }
+};
@@ -2,15 +2,61 @@
  * Job Manager - Handles background scraping and analysis jobs
  */
 
+const { EventEmitter } = require('events');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
 const redditService = require('./redditService');
 const claudeService = require('./claudeService');
+const jobStore = require('./jobStore');
+const { promptStore } = require('./promptStore');
+const frameworks = require('./frameworks');
+const { keywordsToQuery } = require('./keywordQuery');
+const { verifyQuotes } = require('./quoteVerifier');
+const { compareAnalyses } = require('./analysisComparison');
+const { normalizeRedaction, createSalt, redactPosts, redactScrape, unmaskAuthor } = require('./redactor');
 
-class JobManager {
+// Statuses that mean work was in flight when the process stopped
+const IN_FLIGHT_STATUSES = ['pending', 'running', 'analyzing'];
+
+// Statuses a job can be resumed from (analysis_failed only with its scrape on disk)
+const RESUMABLE_STATUSES = ['interrupted', 'failed', 'paused', 'analysis_failed'];
+
+// Statuses recorded as 'error' events rather than plain status changes
+const ERROR_STATUSES = ['failed', 'analysis_failed'];
+
+// Most recent events kept on each job for later review
+const MAX_EVENT_LOG = 500;
+
+// Progress ticks are saved at most this often (status changes are saved right away)
+const PROGRESS_SAVE_INTERVAL_MS = 2000;
+
+// Deep dives: thread cap and how much of each thread's comment tree to re-fetch
+const MAX_DEEP_DIVE_THREADS = 10;
+const DEEP_DIVE_FETCH_OPTIONS = { depth: 10, replyLimit: 100, expandMore: true, maxMoreRequests: 20 };
+const DEEP_DIVE_COMMENT_LIMIT = 500;
+
+// Most variant analyses (other prompts/models on the same scrape) started at once
+const MAX_VARIANTS_PER_RUN = 4;
+
+// Id the comparison uses for a job's main analysis (job.analysisFile)
+const MAIN_ANALYSIS_ID = 'main';
+
+class JobManager extends EventEmitter {
     constructor() {
+        super();
+        this.setMaxListeners(0); // one listener per open SSE stream
         this.jobs = new Map();
+        this.eventSeq = 0;
+        this.changedEventLogs = new Set(); // jobIds whose event log hasn't been saved yet
+        this.progressSaveTimer = null;
+        this.controllers = new Map(); // jobId / deep-dive id / variant id -> AbortController for running work
+        this.queue = []; // { jobId, kind: 'scrape' | 'analysis' | 'deep-dive' | 'variant', siblingId, priority, queuedAt }
+        this.active = new Set(); // jobIds / deep-dive and variant ids currently holding a concurrency slot
+        this.chatsInFlight = new Set(); // jobIds with a follow-up question being answered
+        this.redactionMappings = new Map(); // jobId -> promise of the loaded redaction mapping (salt + pseudonyms)
+        this.redactionWrites = new Map(); // jobId -> last queued write of the redaction mapping
+        this.maxConcurrent = parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 1;
         this.dataDir = path.join(__dirname, '../../data');
         this.exportsDir = path.join(__dirname, '../../exports');
     }
@@ -19,6 +65,134 @@ class JobManager {
         // Ensure directories exist
         await fs.mkdir(this.dataDir, { recursive: true });
         await fs.mkdir(this.exportsDir, { recursive: true });
+
+        // Reload persisted jobs; anything that was mid-flight is now orphaned
+        const jobs = await jobStore.load();
+        const requeue = [];
+        for (const job of jobs) {
+            this.jobs.set(job.id, job);
+        }
+        for (const job of jobs) {
+            if (IN_FLIGHT_STATUSES.includes(job.status)) {
+                job.interruptedFrom = job.status === 'analyzing' ? 'analyzing' : 'running';
+                this._setStatus(job, 'interrupted', {
+                    phase: 'interrupted',
+                    message: 'Interrupted by a server restart. Resume to continue.',
+                    percent: job.progress?.percent || 0
+                });
+            } else if (job.status === 'queued') {
+                requeue.push(job);
+            }
+            for (const subAnalysis of job.subAnalyses || []) {
+                if (['queued', 'running'].includes(subAnalysis.status)) {
+                    subAnalysis.status = 'interrupted';
+                    subAnalysis.error = 'Interrupted by a server restart. Start the deep dive again.';
+                }
+            }
+            for (const variant of job.variants || []) {
+                if (['queued', 'running'].includes(variant.status)) {
+                    variant.status = 'interrupted';
+                    variant.error = 'Interrupted by a server restart. Start the variant again.';
+                }
+            }
+        }
+
+        if (jobs.length > 0) {
+            console.log(`Restored ${jobs.length} job(s) from ${jobStore.filePath}`);
+        }
+
+        // Queued jobs never started, so they simply go back in line
+        for (const job of requeue) {
+            this.queue.push(this._queueEntry(job, job.queuedFor));
+        }
+        this._drainQueue();
+        await this._persist();
+    }
+
+    /**
+     * Internal: Create the AbortController used to cancel/pause a job's work
+     */
+    _createController(jobId) {
+        const controller = new AbortController();
+        this.controllers.set(jobId, controller);
+        return controller;
+    }
+
+    /**
+     * Subscribe to a job's events. Returns an unsubscribe function.
+     */
+    subscribe(jobId, listener) {
+        const eventName = `job:${jobId}`;
+        this.on(eventName, listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Internal: Append a timestamped event to the job's log and broadcast it
+     */
+    _recordEvent(job, type, data = {}) {
+        const event = {
+            id: ++this.eventSeq,
+            type,
+            at: new Date().toISOString(),
+            status: job.status,
+            ...data
+        };
+
+        job.events = job.events || [];
+        job.events.push(event);
+        if (job.events.length > MAX_EVENT_LOG) {
+            job.events.splice(0, job.events.length - MAX_EVENT_LOG);
+        }
+        this.changedEventLogs.add(job.id);
+
+        this.emit(`job:${job.id}`, event);
+        return event;
+    }
+
+    /**
+     * Internal: Update a job's progress and record it as an event
+     */
+    _setProgress(job, progress) {
+        job.progress = progress;
+        this._recordEvent(job, 'progress', { progress });
+        this._persistProgress();
+    }
+
+    /**
+     * Internal: Change a job's status (optionally with new progress) and record it
+     */
+    _setStatus(job, status, progress = null) {
+        job.status = status;
+        if (progress) job.progress = progress;
+
+        const type = ERROR_STATUSES.includes(status) ? 'error' : 'status';
+        this._recordEvent(job, type, { progress: job.progress, error: job.error });
+        this._persist();
+    }
+
+    /**
+     * Internal: Write all job records, and the event logs that changed, to the job store
+     */
+    _persist() {
+        clearTimeout(this.progressSaveTimer);
+        this.progressSaveTimer = null;
+
+        for (const jobId of this.changedEventLogs) {
+            const job = this.jobs.get(jobId);
+            if (job) jobStore.saveEvents(jobId, job.events);
+        }
+        this.changedEventLogs.clear();
+        return jobStore.save(Array.from(this.jobs.values()));
+    }
+
+    /**
+     * Internal: Persist after a progress tick - batched, as ticks can come many times a second
+     */
+    _persistProgress() {
+        if (this.progressSaveTimer) return;
+        this.progressSaveTimer = setTimeout(() => this._persist(), PROGRESS_SAVE_INTERVAL_MS);
+        this.progressSaveTimer.unref();
     }
 
     /**
@@ -35,67 +209,226 @@ class JobManager {
                 topic: config.topic || '',
                 postLimit: config.postLimit || 50,
                 commentLimit: config.commentLimit || 50,
+                commentDepth: config.commentDepth ?? 4,
+                replyLimit: config.replyLimit || 10,
+                expandMore: config.expandMore ?? true,
                 sort: config.sort || 'top',
                 timeFilter: config.timeFilter || 'year',
-                keywords: config.keywords || [],
-                matchAll: config.matchAll || false
+                query: config.query || null,
+                startDate: config.startDate || null,
+                endDate: config.endDate || null,
+                minScore: config.minScore ?? null,
+                minComments: config.minComments ?? null,
+                minUpvoteRatio: config.minUpvoteRatio ?? null,
+                // LLM provider/model for analysis - null uses the server default
+                provider: config.provider || null,
+                model: config.model || null,
+                // Analysis framework (niche template), fixed for the job's lifetime
+                framework: config.framework || frameworks.DEFAULT_FRAMEWORK,
+                // Saved extraction prompt template (promptStore) - null uses the
+                // framework's built-in one; null version means the latest
+                promptTemplateId: config.promptTemplateId || null,
+                promptVersion: config.promptVersion || null,
+                // What to redact from the data before it is sent to the LLM (null = nothing)
+                redaction: normalizeRedaction(config.redaction),
+                priority: Number(config.priority) || 0
             },
             progress: {
                 phase: 'pending',
                 message: 'Job created, waiting to start...',
                 percent: 0
             },
+            events: [],
             createdAt: new Date().toISOString(),
             startedAt: null,
             completedAt: null,
             error: null,
             result: null,
             dataFile: null,
-            analysisFile: null
+            analysisFile: null,
+            checkpointFile: null,
+            redactionFile: null,
+            chatHistory: [],
+            subAnalyses: [],
+            variants: [],
+            interruptedFrom: null,
+            queuedFor: null,
+            queuedAt: null
         };
 
         this.jobs.set(jobId, job);
+        this._recordEvent(job, 'status', { progress: job.progress });
+        this._persist();
         return job;
     }
 
     /**
-     * Start a scraping job
+     * Queue a scraping job. It starts once a concurrency slot is free.
      */
     async startJob(jobId) {
         const job = this.jobs.get(jobId);
         if (!job) throw new Error('Job not found');
 
-        job.status = 'running';
-        job.startedAt = new Date().toISOString();
-        job.progress = { phase: 'starting', message: 'Starting scraper...', percent: 0 };
+        job.checkpointFile = job.checkpointFile || `checkpoint_${job.id}.json`;
+        job.error = null;
+        job.interruptedFrom = null;
+        this._enqueue(job, 'scrape');
 
-        // Run in background
-        this._runScrapeJob(job).catch(err => {
-            job.status = 'failed';
-            job.error = err.message;
-            job.progress = { phase: 'error', message: err.message, percent: 0 };
+        return job;
+    }
+
+    /**
+     * Internal: Build a queue entry for a job (or one of its deep dives or variants)
+     */
+    _queueEntry(job, kind, siblingId = null) {
+        return {
+            jobId: job.id,
+            kind,
+            siblingId,
+            priority: job.config.priority || 0,
+            queuedAt: job.queuedAt ? Date.parse(job.queuedAt) : Date.now()
+        };
+    }
+
+    /**
+     * Internal: Put a job in the queue and start whatever fits
+     */
+    _enqueue(job, kind) {
+        job.queuedFor = kind;
+        job.queuedAt = new Date().toISOString();
+        this._setStatus(job, 'queued');
+        this.queue.push(this._queueEntry(job, kind));
+        this._drainQueue();
+    }
+
+    /**
+     * Internal: Remove a job - or one of its deep dives or variants - from the
+     * queue (returns true if it was queued)
+     */
+    _dequeue(jobId, siblingId = null) {
+        const index = this.queue.findIndex(entry => entry.jobId === jobId && (entry.siblingId ?? null) === siblingId);
+        if (index === -1) return false;
+
+        this.queue.splice(index, 1);
+        this._updateQueuePositions();
+        return true;
+    }
+
+    /**
+     * Internal: Start queued jobs, highest priority first, while slots are free
+     */
+    _drainQueue() {
+        this.queue.sort((a, b) => (b.priority - a.priority) || (a.queuedAt - b.queuedAt));
+
+        while (this.active.size < this.maxConcurrent && this.queue.length > 0) {
+            const entry = this.queue.shift();
+            const job = this.jobs.get(entry.jobId);
+
+            if (entry.kind === 'deep-dive' || entry.kind === 'variant') {
+                const siblings = entry.kind === 'variant' ? job?.variants : job?.subAnalyses;
+                const sibling = siblings?.find(s => s.id === entry.siblingId);
+                if (!sibling || sibling.status !== 'queued') continue; // Cancelled while waiting
+                this.active.add(sibling.id);
+                const run = entry.kind === 'variant' ? this._launchVariant(job, sibling) : this._launchDeepDive(job, sibling);
+                run.finally(() => {
+                    this.active.delete(sibling.id);
+                    this._drainQueue();
+                });
+                continue;
+            }
+
+            if (!job || job.status !== 'queued') continue;
+
+            job.queuedFor = null;
+            job.queuedAt = null;
+            this.active.add(job.id);
+
+            const run = entry.kind === 'analysis' ? this._launchAnalysis(job) : this._launchScrape(job);
+            run.finally(() => {
+                this.active.delete(job.id);
+                this._drainQueue();
+            });
+        }
+
+        this._updateQueuePositions();
+        this._persist();
+    }
+
+    /**
+     * Internal: Report each queued job's position in its progress
+     */
+    _updateQueuePositions() {
+        this.queue.forEach((entry, i) => {
+            const job = this.jobs.get(entry.jobId);
+            if (!job) return;
+            if (entry.kind === 'deep-dive' || entry.kind === 'variant') {
+                const message = `Queued - position ${i + 1} of ${this.queue.length}`;
+                if (entry.kind === 'variant') {
+                    const variant = job.variants?.find(v => v.id === entry.siblingId);
+                    if (variant?.status === 'queued' && variant.message !== message) {
+                        this._updateVariant(job, variant, { message });
+                    }
+                } else {
+                    const subAnalysis = job.subAnalyses?.find(sub => sub.id === entry.siblingId);
+                    if (subAnalysis?.status === 'queued' && subAnalysis.message !== message) {
+                        this._updateSubAnalysis(job, subAnalysis, { message });
+                    }
+                }
+                return;
+            }
+            // Only record an event when the position actually moved
+            if (job.progress?.queuePosition === i + 1 && job.progress?.queueLength === this.queue.length) return;
+            this._setProgress(job, {
+                phase: 'queued',
+                message: `Queued for ${entry.kind === 'analysis' ? 'analysis' : 'scraping'} - position ${i + 1} of ${this.queue.length}`,
+                percent: 0,
+                queuePosition: i + 1,
+                queueLength: this.queue.length
+            });
         });
+    }
 
-        return job;
+    /**
+     * Internal: Run a scrape job that has been given a concurrency slot
+     */
+    async _launchScrape(job) {
+        job.startedAt = job.startedAt || new Date().toISOString();
+        this._setStatus(job, 'running', { phase: 'starting', message: 'Starting scraper...', percent: 0 });
+
+        const controller = this._createController(job.id);
+        await this._runScrapeJob(job, controller.signal).catch(() => {
+            // Failure is already recorded on the job by _runScrapeJob
+        });
     }
 
     /**
      * Internal: Run the scrape job
      */
-    async _runScrapeJob(job) {
+    async _runScrapeJob(job, signal) {
         try {
-            const { subreddits, postLimit, commentLimit, sort, timeFilter, keywords, matchAll } = job.config;
+            const {
+                subreddits, postLimit, commentLimit, commentDepth, replyLimit, expandMore,
+                sort, timeFilter, keywords, matchAll,
+                startDate, endDate, minScore, minComments, minUpvoteRatio
+            } = job.config;
+            // Jobs saved before the query language stored a keyword list instead
+            const query = job.config.query ?? (keywordsToQuery(keywords, matchAll) || null);
 
-            // Scrape data (with optional keyword filtering)
+            // Scrape data (with optional keyword filtering), checkpointing as we go
+            const checkpointPath = path.join(this.dataDir, job.checkpointFile);
             const scrapedData = await redditService.scrapeSubreddits(
                 subreddits,
-                { sort, timeFilter, postLimit, commentLimit, keywords, matchAll },
+                {
+                    sort, timeFilter, postLimit, commentLimit, commentDepth, replyLimit, expandMore,
+                    query, startDate, endDate, minScore, minComments, minUpvoteRatio,
+                    checkpointPath, signal
+                },
                 (progress) => {
-                    job.progress = {
+                    this._setProgress(job, {
                         phase: progress.phase,
                         message: progress.message,
                         percent: progress.progress
-                    };
+                    });
                 }
             );
 
@@ -105,97 +438,301 @@ class JobManager {
             await fs.writeFile(dataFilePath, JSON.stringify(scrapedData, null, 2));
             job.dataFile = dataFileName;
 
-            job.progress = { phase: 'scraped', message: 'Scraping complete!', percent: 100 };
-            job.status = 'scraped';
+            // Scrape is safely on disk - the checkpoint is no longer needed
+            await this._removeCheckpoint(job);
+
             job.result = {
                 totalPosts: scrapedData.metadata.totalPosts,
                 totalComments: scrapedData.metadata.totalComments,
                 subreddits: scrapedData.metadata.subreddits
             };
             job.completedAt = new Date().toISOString();
+            this._setStatus(job, 'scraped', { phase: 'scraped', message: 'Scraping complete!', percent: 100 });
 
         } catch (err) {
-            job.status = 'failed';
+            // Cancelled or paused - cancelJob/pauseJob already set the status
+            if (signal.aborted) return;
+
             job.error = err.message;
-            job.progress = { phase: 'error', message: err.message, percent: 0 };
+            this._setStatus(job, 'failed', { phase: 'error', message: err.message, percent: 0 });
             throw err;
+        } finally {
+            this.controllers.delete(job.id);
         }
     }
 
     /**
      * Start analysis on a completed scrape job
      */
-    async startAnalysis(jobId) {
+    async startAnalysis(jobId, options = {}) {
         const job = this.jobs.get(jobId);
         if (!job) throw new Error('Job not found');
-        if (job.status !== 'scraped' && job.status !== 'analyzed') {
+        const canAnalyze = ['scraped', 'analyzed'].includes(job.status) ||
+            (['cancelled', 'paused', 'analysis_failed'].includes(job.status) && job.dataFile);
+        if (!canAnalyze) {
             throw new Error('Job must be in scraped status to analyze');
         }
 
-        job.status = 'analyzing';
-        job.progress = { phase: 'analyzing', message: 'Starting analysis...', percent: 0 };
+        this._checkPromptTemplate(options.promptTemplateId, options.promptVersion);
+        const redaction = options.redaction !== undefined ? normalizeRedaction(options.redaction) : job.config.redaction;
 
-        // Run analysis in background
-        this._runAnalysisJob(job).catch(err => {
-            job.status = 'analysis_failed';
-            job.error = err.message;
-            job.progress = { phase: 'error', message: err.message, percent: 0 };
-        });
+        // Optionally switch LLM provider/model for this run
+        if (options.provider !== undefined) job.config.provider = options.provider || null;
+        if (options.model !== undefined) job.config.model = options.model || null;
+        // ...and prompt template
+        if (options.promptTemplateId !== undefined) {
+            job.config.promptTemplateId = options.promptTemplateId || null;
+            job.config.promptVersion = options.promptVersion || null;
+        }
+        // ...and redaction
+        job.config.redaction = redaction;
+
+        job.error = null;
+        job.interruptedFrom = null;
+        this._enqueue(job, 'analysis');
 
         return job;
     }
 
+    /**
+     * Internal: Run an analysis job that has been given a concurrency slot
+     */
+    async _launchAnalysis(job) {
+        this._setStatus(job, 'analyzing', { phase: 'analyzing', message: 'Starting analysis...', percent: 0 });
+
+        const controller = this._createController(job.id);
+        await this._runAnalysisJob(job, controller.signal).catch(() => {
+            // Failure is already recorded on the job by _runAnalysisJob
+        });
+    }
+
     /**
      * Internal: Run the analysis job using Claude API
      */
-    async _runAnalysisJob(job) {
+    async _runAnalysisJob(job, signal) {
         try {
-            // Check if Claude API is configured
-            if (!claudeService.isConfigured()) {
-                throw new Error('Claude API key not configured. Please set your API key in settings.');
+            // Check the job's LLM provider is configured
+            const { provider } = claudeService.resolveProvider(job.config.provider, job.config.model);
+            if (!provider.isConfigured()) {
+                throw new Error(provider.configHint);
             }
 
-            // Load scraped data
-            const dataFilePath = path.join(this.dataDir, job.dataFile);
-            const rawData = await fs.readFile(dataFilePath, 'utf-8');
-            const scrapedData = JSON.parse(rawData);
+            // Pin the template version now so the whole run uses one prompt
+            const promptTemplate = this._pinPromptTemplate(job.config.promptTemplateId, job.config.promptVersion);
+
+            // Load scraped data, redacted if the job asks for it
+            const { data: scrapedData, mapping } = await this._requireLlmData(job.id);
 
             // Run AI-powered analysis using Claude
             const analysisResult = await claudeService.analyzeScrapedData(
                 scrapedData,
                 job.config.topic,
                 (progress) => {
-                    job.progress = {
+                    this._setProgress(job, {
                         phase: progress.phase,
                         message: progress.message,
-                        percent: progress.percent
-                    };
+                        percent: progress.percent,
+                        chunk: progress.chunk,
+                        totalChunks: progress.totalChunks
+                    });
+                },
+                {
+                    signal,
+                    provider: job.config.provider,
+                    model: job.config.model,
+                    framework: job.config.framework,
+                    promptTemplate,
+                    onAttempt: (attempt) => this._recordAttempt(job, attempt)
                 }
             );
 
+            // Check the report's quotes against the data they should come from
+            analysisResult.quoteVerification = this._verifyQuotes(analysisResult, scrapedData, mapping);
+            analysisResult.metadata.redaction = this._redactionSummary(job, mapping);
+
             // Save analysis result
             const analysisFileName = `analysis_${job.id}_${Date.now()}.json`;
             const analysisFilePath = path.join(this.dataDir, analysisFileName);
             await fs.writeFile(analysisFilePath, JSON.stringify(analysisResult, null, 2));
             job.analysisFile = analysisFileName;
 
-            job.progress = { phase: 'complete', message: 'Analysis complete!', percent: 100 };
-            job.status = 'analyzed';
             job.analysisResult = {
                 painPointsFound: analysisResult.structured.painPoints.length,
                 hypothesesGenerated: analysisResult.structured.hypotheses.length,
+                documentValid: analysisResult.documentValidation.valid,
+                hallucinationRate: analysisResult.quoteVerification.summary.hallucinationRate,
+                prompt: analysisResult.metadata.prompt,
+                redacted: Boolean(mapping),
                 totalPosts: analysisResult.structured.totalPosts,
                 totalComments: analysisResult.structured.totalComments
             };
+            this._setStatus(job, 'analyzed', { phase: 'complete', message: 'Analysis complete!', percent: 100 });
 
         } catch (err) {
-            job.status = 'analysis_failed';
+            if (signal.aborted) return;
+
             job.error = err.message;
-            job.progress = { phase: 'error', message: err.message, percent: 0 };
+            this._setStatus(job, 'analysis_failed', { phase: 'error', message: err.message, percent: 0 });
             throw err;
+        } finally {
+            this.controllers.delete(job.id);
+        }
+    }
+
+    /**
+     * Internal: Reject a prompt template the analysis couldn't run with
+     * (unknown, deleted or missing the version). No template is fine.
+     */
+    _checkPromptTemplate(templateId, version) {
+        if (!templateId) return;
+        const template = promptStore.getTemplate(templateId);
+        if (!template || template.deletedAt || !promptStore.getVersion(template.id, version)) {
+            throw new Error('Unknown prompt template or version');
         }
     }
 
+    /**
+     * Internal: The template version an analysis runs with (null for the built-in prompt)
+     */
+    _pinPromptTemplate(templateId, version) {
+        if (!templateId) return null;
+        const promptTemplate = promptStore.getVersion(templateId, version);
+        if (!promptTemplate) {
+            throw new Error('The selected prompt template (or version) no longer exists');
+        }
+        return promptTemplate;
+    }
+
+    /**
+     * Internal: Record an LLM call attempt in the job's event history,
+     * surfacing upcoming retries in the progress message
+     */
+    _recordAttempt(job, attempt) {
+        this._recordEvent(job, 'attempt', { attempt });
+
+        if (!attempt.ok && attempt.retryInMs !== null) {
+            this._setProgress(job, {
+                ...job.progress,
+                message: `${attempt.step} failed (${attempt.error}) - retrying in ${Math.round(attempt.retryInMs / 1000)}s (attempt ${attempt.attempt + 1})...`
+            });
+        } else {
+            this._persist();
+        }
+    }
+
+    /**
+     * Cancel a job. Running work is aborted, including in-flight
+     * Reddit and Claude requests, and the scrape checkpoint is discarded.
+     */
+    async cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!['pending', 'queued', 'running', 'analyzing', 'paused', 'interrupted'].includes(job.status)) {
+            throw new Error(`Cannot cancel a job that is ${job.status}`);
+        }
+
+        const wasAnalyzing = job.status === 'analyzing' || job.interruptedFrom === 'analyzing' ||
+            job.queuedFor === 'analysis';
+        this._dequeue(jobId);
+        this._abort(jobId, 'cancel');
+        job.queuedFor = null;
+        job.queuedAt = null;
+
+        job.interruptedFrom = null;
+
+        // A cancelled scrape will never be resumed; keep finished scrape data though
+        if (!job.dataFile) {
+            await this._removeCheckpoint(job);
+        }
+
+        this._setStatus(job, 'cancelled', {
+            phase: 'cancelled',
+            message: wasAnalyzing ? 'Analysis cancelled.' : 'Scrape cancelled.',
+            percent: job.progress?.percent || 0
+        });
+        return job;
+    }
+
+    /**
+     * Pause a running job. Scrapes keep their checkpoint and can be
+     * resumed; analyses are re-run from the start on resume.
+     */
+    async pauseJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!['queued', 'running', 'analyzing'].includes(job.status)) {
+            throw new Error(`Cannot pause a job that is ${job.status}`);
+        }
+
+        if (job.status === 'queued') {
+            job.interruptedFrom = job.queuedFor === 'analysis' ? 'analyzing' : 'running';
+            this._dequeue(jobId);
+            job.queuedFor = null;
+            job.queuedAt = null;
+        } else {
+            job.interruptedFrom = job.status;
+        }
+        this._abort(jobId, 'pause');
+
+        this._setStatus(job, 'paused', {
+            phase: 'paused',
+            message: job.interruptedFrom === 'analyzing'
+                ? 'Analysis paused. Resume to re-run it.'
+                : 'Scrape paused. Resume to continue from the last checkpoint.',
+            percent: job.progress?.percent || 0
+        });
+        return job;
+    }
+
+    /**
+     * Internal: Abort a job's running work, if any
+     */
+    _abort(jobId, action) {
+        const controller = this.controllers.get(jobId);
+        if (!controller) return;
+
+        const reason = new Error(action === 'pause' ? 'Job paused' : 'Job cancelled');
+        reason.name = 'AbortError';
+        reason.action = action;
+        controller.abort(reason);
+        this.controllers.delete(jobId);
+    }
+
+    /**
+     * Internal: Delete a job's scrape checkpoint file
+     */
+    async _removeCheckpoint(job) {
+        if (!job.checkpointFile) return;
+        try {
+            await fs.unlink(path.join(this.dataDir, job.checkpointFile));
+        } catch (e) { /* ignore */ }
+        job.checkpointFile = null;
+    }
+
+    /**
+     * Resume an interrupted, paused or failed job.
+     * Scrapes continue from their last checkpoint; analyses are re-run.
+     */
+    async resumeJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!RESUMABLE_STATUSES.includes(job.status) || (job.status === 'analysis_failed' && !job.dataFile)) {
+            throw new Error('Only interrupted, paused or failed jobs can be resumed');
+        }
+
+        if (job.status === 'analysis_failed') {
+            // The scrape is intact - re-run the analysis from the start (only scrapes are checkpointed)
+            return this.startAnalysis(jobId);
+        }
+        if (job.interruptedFrom === 'analyzing') {
+            // Scrape finished before the interruption - only the analysis needs re-running
+            job.status = job.analysisFile ? 'analyzed' : 'scraped';
+            return this.startAnalysis(jobId);
+        }
+
+        return this.startJob(jobId);
+    }
+
     /**
      * Get job status
      */
@@ -204,25 +741,153 @@ class JobManager {
     }
 
     /**
-     * Get all jobs
+     * Get all jobs (without their event logs and chat histories, which can be long)
      */
     getAllJobs() {
         return Array.from(this.jobs.values())
+            .map(({ events, chatHistory, ...job }) => job)
             .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     }
 
     /**
-     * Get scraped data for a job
+     * Get scraped data for a job (null if there is none, or its file is gone)
      */
     async getScrapedData(jobId) {
         const job = this.jobs.get(jobId);
         if (!job || !job.dataFile) return null;
 
         const filePath = path.join(this.dataDir, job.dataFile);
-        const data = await fs.readFile(filePath, 'utf-8');
+        let data;
+        try {
+            data = await fs.readFile(filePath, 'utf-8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
         return JSON.parse(data);
     }
 
+    /**
+     * Get a job's scraped data as the LLM gets to see it: redacted per
+     * job.config.redaction, with new pseudonyms added to the job's local
+     * redaction mapping. Resolves to { data, mapping } - mapping is null when
+     * nothing is redacted - or null without scraped data.
+     * With dryRun (estimates, prompt previews) nothing is stored: the job's
+     * existing salt is used if it has one, else a throwaway salt.
+     */
+    async getLlmData(jobId, { dryRun = false } = {}) {
+        const job = this.jobs.get(jobId);
+        const scrapedData = await this.getScrapedData(jobId);
+        if (!scrapedData) return null;
+        if (!job.config.redaction) return { data: scrapedData, mapping: null };
+
+        if (dryRun) {
+            const existing = await (this.redactionMappings.get(job.id) ?? this._readRedactionFile(job));
+            const salt = existing?.salt || createSalt();
+            const { data, authors, counts } = redactScrape(scrapedData, job.config.redaction, salt);
+            return { data, mapping: { salt, counts, authors } };
+        }
+
+        const mapping = await this._loadRedactionMapping(job);
+        const { data, authors, counts } = redactScrape(scrapedData, job.config.redaction, mapping.salt);
+        mapping.counts = counts;
+        await this._saveRedactionMapping(job, authors);
+        return { data, mapping };
+    }
+
+    /**
+     * Internal: getLlmData for work that can't run without a scrape
+     */
+    async _requireLlmData(jobId) {
+        const llmData = await this.getLlmData(jobId);
+        if (!llmData) throw new Error('Job has no scraped data');
+        return llmData;
+    }
+
+    /**
+     * What was redacted before a job's data went to the LLM: { options, counts }.
+     * The pseudonym -> username mapping stays on the server. Null if nothing
+     * was redacted yet.
+     */
+    async getRedactionSummary(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job?.redactionFile) return null;
+
+        const mapping = await this._loadRedactionMapping(job);
+        return { options: job.config.redaction, counts: mapping.counts };
+    }
+
+    /**
+     * Internal: Load (or start) a job's redaction mapping. It holds the salt
+     * that keeps pseudonyms stable and never leaves the server. Every caller
+     * shares one mapping object per job, loaded once.
+     */
+    _loadRedactionMapping(job) {
+        if (!this.redactionMappings.has(job.id)) {
+            const loading = this._readRedactionFile(job).then(mapping => {
+                if (mapping) return mapping;
+                job.redactionFile = `redaction_${job.id}.json`;
+                this._persist();
+                return { salt: createSalt(), counts: null, authors: {} };
+            });
+            // A failed read is retried by the next caller
+            loading.catch(() => this.redactionMappings.delete(job.id));
+            this.redactionMappings.set(job.id, loading);
+        }
+        return this.redactionMappings.get(job.id);
+    }
+
+    /**
+     * Internal: Read a job's stored redaction mapping (null if it has none)
+     */
+    async _readRedactionFile(job) {
+        if (!job.redactionFile) return null;
+        try {
+            return JSON.parse(await fs.readFile(path.join(this.dataDir, job.redactionFile), 'utf-8'));
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            throw err;
+        }
+    }
+
+    /**
+     * Internal: Add pseudonyms to a job's mapping and write it out. Writes are
+     * queued per job, each writing the mapping as it is by then.
+     */
+    async _saveRedactionMapping(job, authors) {
+        const mapping = await this._loadRedactionMapping(job);
+        Object.assign(mapping.authors, authors);
+
+        const previous = this.redactionWrites.get(job.id) || Promise.resolve();
+        const write = previous.catch(() => {}).then(() =>
+            fs.writeFile(path.join(this.dataDir, job.redactionFile), JSON.stringify(mapping, null, 2))
+        );
+        this.redactionWrites.set(job.id, write);
+        return write;
+    }
+
+    /**
+     * Internal: Verify an analysis' quotes against the data the model saw; with
+     * redaction on, matched authors are mapped back to their usernames (the
+     * result is only stored locally)
+     */
+    _verifyQuotes(analysisResult, scrapedData, mapping) {
+        const verification = verifyQuotes(analysisResult, scrapedData);
+        if (mapping) {
+            for (const quote of verification.quotes) {
+                if (quote.match) quote.match.author = unmaskAuthor(quote.match.author, mapping.authors);
+            }
+        }
+        return verification;
+    }
+
+    /**
+     * Internal: What was redacted for an analysis (null when nothing was)
+     */
+    _redactionSummary(job, mapping) {
+        return mapping ? { options: job.config.redaction, counts: mapping.counts } : null;
+    }
+
     /**
      * Get analysis result for a job
      */
@@ -235,6 +900,472 @@ class JobManager {
         return JSON.parse(data);
     }
 
+    /**
+     * Ask a follow-up question about a job's analysis. The question and the
+     * reply are appended to job.chatHistory, which is saved with the job.
+     * options: { provider, model } - defaults to the job's analysis provider
+     */
+    async chat(jobId, message, options = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!job.analysisFile) {
+            throw new Error('Run the analysis before asking follow-up questions');
+        }
+        // Turns must stay in order, so one question at a time per job
+        if (this.chatsInFlight.has(jobId)) {
+            throw new Error('Still answering the previous question for this job');
+        }
+
+        this.chatsInFlight.add(jobId);
+        try {
+            const [{ data: scrapedData, mapping }, analysis] = await Promise.all([
+                this._requireLlmData(jobId),
+                this.getAnalysisResult(jobId)
+            ]);
+            const history = job.chatHistory || [];
+
+            const reply = await claudeService.chat(scrapedData, analysis, job.config.topic, history, message, {
+                provider: options.provider || job.config.provider,
+                model: options.model || (options.provider ? null : job.config.model),
+                framework: job.config.framework
+            });
+
+            const question = { role: 'user', content: message, createdAt: new Date().toISOString() };
+            const answer = {
+                role: 'assistant',
+                content: reply.text,
+                createdAt: new Date().toISOString(),
+                provider: reply.provider,
+                model: reply.model,
+                // Excerpts are only shown locally, so they carry the real usernames
+                excerpts: reply.excerpts.map(excerpt => ({ ...excerpt, author: unmaskAuthor(excerpt.author, mapping?.authors) })),
+                usage: reply.usage
+            };
+            // The job may have been deleted while we waited for the reply
+            if (this.jobs.has(jobId)) {
+                job.chatHistory = [...history, question, answer];
+                await this._persist();
+            }
+            return answer;
+        } finally {
+            this.chatsInFlight.delete(jobId);
+        }
+    }
+
+    /**
+     * Start a deep dive on some of a job's threads. The threads' full comment
+     * trees are re-fetched from Reddit and analyzed with a focused prompt; the
+     * result is stored as a sub-analysis linked from job.subAnalyses. Deep dives
+     * go through the job queue and share its concurrency limit (MAX_CONCURRENT_JOBS).
+     * options: { focus: a key of the job framework's deepDiveFocuses ('symptoms' |
+     * 'mechanisms'), threads: [source numbers] (default: the threads the analysis
+     * flagged for that focus), provider, model }
+     * Resolves to the new (queued) sub-analysis record.
+     */
+    async startDeepDive(jobId, options = {}) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!job.dataFile) throw new Error('Job has no scraped data');
+
+        const focus = options.focus;
+        const focuses = claudeService.resolveFramework(job.config.framework).deepDiveFocuses;
+        if (!Object.hasOwn(focuses, focus)) {
+            throw new Error(`Focus must be one of: ${Object.keys(focuses).join(', ')}`);
+        }
+
+        let threadNumbers = options.threads;
+        const selected = Array.isArray(threadNumbers) && threadNumbers.length > 0;
+        if (!selected) {
+            const analysis = await this.getAnalysisResult(jobId);
+            threadNumbers = analysis?.structured?.priorityThreads?.[focuses[focus].priorityThreads];
+            if (!threadNumbers?.length) {
+                throw new Error(`The analysis didn't flag any threads for ${focuses[focus].label.toLowerCase()} - pick threads from the source log`);
+            }
+        }
+
+        const scrapedData = await this.getScrapedData(jobId);
+        if (!scrapedData) throw new Error('Job has no scraped data');
+        threadNumbers = [...new Set(threadNumbers.map(Number))];
+        const unknown = threadNumbers.filter(n => !Number.isInteger(n) || n < 1 || n > scrapedData.posts.length);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown source number(s): ${unknown.join(', ')} (this scrape has ${scrapedData.posts.length} threads)`);
+        }
+        if (threadNumbers.length > MAX_DEEP_DIVE_THREADS) {
+            throw new Error(`A deep dive covers at most ${MAX_DEEP_DIVE_THREADS} threads`);
+        }
+
+        const subAnalysis = {
+            id: uuidv4(),
+            type: 'deep-dive',
+            focus,
+            label: focuses[focus].label,
+            threads: threadNumbers,
+            selection: selected ? 'selected' : 'flagged',
+            provider: options.provider || job.config.provider,
+            model: options.model || (options.provider ? null : job.config.model),
+            status: 'queued',
+            message: 'Waiting to start...',
+            createdAt: new Date().toISOString(),
+            completedAt: null,
+            error: null,
+            file: null,
+            usage: null
+        };
+        job.subAnalyses = [...(job.subAnalyses || []), subAnalysis];
+        this._updateSubAnalysis(job, subAnalysis, {});
+
+        // Deep dives wait for a concurrency slot like any other job
+        this.queue.push(this._queueEntry(job, 'deep-dive', subAnalysis.id));
+        this._drainQueue();
+
+        return subAnalysis;
+    }
+
+    /**
+     * Internal: Run a deep dive that has been given a concurrency slot
+     */
+    async _launchDeepDive(job, subAnalysis) {
+        const controller = this._createController(subAnalysis.id);
+        try {
+            await this._runDeepDive(job, subAnalysis, controller.signal);
+        } finally {
+            this.controllers.delete(subAnalysis.id);
+        }
+    }
+
+    /**
+     * Internal: Re-fetch the threads and run the deep-dive prompt
+     */
+    async _runDeepDive(job, subAnalysis, signal) {
+        try {
+            this._updateSubAnalysis(job, subAnalysis, { status: 'running', message: 'Re-fetching comment trees...' });
+
+            const scrapedData = await this.getScrapedData(job.id);
+            if (!scrapedData) throw new Error('Job has no scraped data');
+
+            const threads = [];
+            for (const [i, number] of subAnalysis.threads.entries()) {
+                this._updateSubAnalysis(job, subAnalysis, {
+                    message: `Re-fetching comment trees (${i + 1}/${subAnalysis.threads.length})...`
+                });
+
+                const post = scrapedData.posts[number - 1];
+                const permalink = post.permalink || new URL(post.url).pathname;
+                try {
+                    const comments = await redditService.getComments(permalink, DEEP_DIVE_COMMENT_LIMIT, { ...DEEP_DIVE_FETCH_OPTIONS, signal });
+                    threads.push({ number, post: { ...post, comments } });
+                } catch (err) {
+                    if (signal.aborted) throw err;
+                    // Fall back to the comments we already have rather than failing the whole dive
+                    console.warn(`Deep dive: could not re-fetch POST #${number} (${err.message}), using scraped comments`);
+                    threads.push({ number, post });
+                }
+            }
+
+            // The re-fetched comments are new data, so they are redacted on their own
+            const { data: llmData, mapping } = await this._requireLlmData(job.id);
+            let llmThreads = threads;
+            if (mapping) {
+                const redacted = redactPosts(threads.map(thread => thread.post), job.config.redaction, mapping.salt);
+                llmThreads = threads.map((thread, i) => ({ ...thread, post: redacted.posts[i] }));
+                await this._saveRedactionMapping(job, redacted.authors);
+            }
+
+            const result = await claudeService.deepDive(
+                llmData,
+                job.config.topic,
+                subAnalysis.focus,
+                llmThreads,
+                (progress) => this._updateSubAnalysis(job, subAnalysis, { message: progress.message }),
+                { signal, provider: subAnalysis.provider, model: subAnalysis.model, framework: job.config.framework }
+            );
+
+            // The job may have been deleted while we waited for the reply
+            if (!this.jobs.has(job.id)) return;
+
+            const fileName = `deepdive_${job.id}_${subAnalysis.id}.json`;
+            await fs.writeFile(path.join(this.dataDir, fileName), JSON.stringify({ ...result, threads }, null, 2));
+
+            this._updateSubAnalysis(job, subAnalysis, {
+                status: 'completed',
+                message: 'Deep dive complete!',
+                completedAt: result.metadata.completedAt,
+                file: fileName,
+                usage: result.metadata.usage
+            });
+        } catch (err) {
+            if (!this.jobs.has(job.id)) return; // Job deleted mid-run
+            this._updateSubAnalysis(job, subAnalysis, signal.aborted
+                ? { status: 'cancelled', message: 'Deep dive cancelled.' }
+                : { status: 'failed', message: err.message, error: err.message });
+        }
+    }
+
+    /**
+     * Internal: Apply changes to a sub-analysis record and broadcast it
+     */
+    _updateSubAnalysis(job, subAnalysis, changes) {
+        Object.assign(subAnalysis, changes);
+        this._recordEvent(job, 'subAnalysis', { subAnalysis: { ...subAnalysis } });
+        this._persist();
+    }
+
+    /**
+     * Get a sub-analysis record with its stored result (null if not found)
+     */
+    async getSubAnalysis(jobId, subAnalysisId) {
+        const subAnalysis = this.jobs.get(jobId)?.subAnalyses?.find(sub => sub.id === subAnalysisId);
+        if (!subAnalysis) return null;
+        if (!subAnalysis.file) return { ...subAnalysis, result: null };
+
+        const data = await fs.readFile(path.join(this.dataDir, subAnalysis.file), 'utf-8');
+        return { ...subAnalysis, result: JSON.parse(data) };
+    }
+
+    /**
+     * Cancel a queued or running deep dive
+     */
+    cancelSubAnalysis(jobId, subAnalysisId) {
+        const job = this.jobs.get(jobId);
+        const subAnalysis = job?.subAnalyses?.find(sub => sub.id === subAnalysisId);
+        if (!subAnalysis) throw new Error('Sub-analysis not found');
+
+        if (subAnalysis.status === 'queued') {
+            this._dequeue(jobId, subAnalysisId);
+            this._updateSubAnalysis(job, subAnalysis, { status: 'cancelled', message: 'Deep dive cancelled.' });
+        } else if (subAnalysis.status === 'running') {
+            this._abort(subAnalysisId, 'cancel');
+        } else {
+            throw new Error(`Sub-analysis is ${subAnalysis.status}, not queued or running`);
+        }
+        return subAnalysis;
+    }
+
+    /**
+     * Run other prompt versions and/or models against a job's scrape. Each
+     * variant is a sibling of the main analysis, stored in its own file and
+     * listed in job.variants; variants go through the job queue and share its
+     * concurrency limit (MAX_CONCURRENT_JOBS).
+     * variants: [{ provider?, model?, promptTemplateId?, promptVersion?, label? }]
+     * - omitted settings fall back to the job's own (null template = built-in).
+     * Resolves to the new variant records.
+     */
+    async startVariants(jobId, variants) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+        if (!job.dataFile) throw new Error('Job has no scraped data');
+        if (!Array.isArray(variants) || variants.length === 0) {
+            throw new Error('Provide at least one variant');
+        }
+        if (variants.length > MAX_VARIANTS_PER_RUN) {
+            throw new Error(`At most ${MAX_VARIANTS_PER_RUN} variants can be started at once`);
+        }
+        for (const options of variants) {
+            this._checkPromptTemplate(options.promptTemplateId, options.promptVersion);
+        }
+
+        const records = variants.map(options => {
+            const usesJobTemplate = options.promptTemplateId === undefined;
+            return {
+                id: uuidv4(),
+                type: 'variant',
+                label: typeof options.label === 'string' && options.label.trim() ? options.label.trim() : null,
+                provider: options.provider || job.config.provider,
+                model: options.model || (options.provider ? null : job.config.model),
+                promptTemplateId: usesJobTemplate ? job.config.promptTemplateId : options.promptTemplateId || null,
+                promptVersion: usesJobTemplate ? job.config.promptVersion : options.promptVersion || null,
+                status: 'queued',
+                message: 'Waiting to start...',
+                createdAt: new Date().toISOString(),
+                completedAt: null,
+                error: null,
+                file: null,
+                prompt: null,
+                summary: null,
+                usage: null
+            };
+        });
+        job.variants = [...(job.variants || []), ...records];
+        for (const variant of records) {
+            this._updateVariant(job, variant, {});
+        }
+
+        // Variants wait for a concurrency slot like any other job
+        this.queue.push(...records.map(variant => this._queueEntry(job, 'variant', variant.id)));
+        this._drainQueue();
+
+        return records;
+    }
+
+    /**
+     * Internal: Run a variant that has been given a concurrency slot
+     */
+    async _launchVariant(job, variant) {
+        const controller = this._createController(variant.id);
+        try {
+            await this._runVariant(job, variant, controller.signal);
+        } finally {
+            this.controllers.delete(variant.id);
+        }
+    }
+
+    /**
+     * Internal: Analyze the job's scrape with a variant's prompt and model
+     */
+    async _runVariant(job, variant, signal) {
+        try {
+            this._updateVariant(job, variant, { status: 'running', message: 'Starting analysis...' });
+
+            const { provider } = claudeService.resolveProvider(variant.provider, variant.model);
+            if (!provider.isConfigured()) {
+                throw new Error(provider.configHint);
+            }
+            const promptTemplate = this._pinPromptTemplate(variant.promptTemplateId, variant.promptVersion);
+            const { data: scrapedData, mapping } = await this._requireLlmData(job.id);
+
+            const result = await claudeService.analyzeScrapedData(
+                scrapedData,
+                job.config.topic,
+                (progress) => this._updateVariant(job, variant, { message: progress.message }),
+                {
+                    signal,
+                    provider: variant.provider,
+                    model: variant.model,
+                    framework: job.config.framework,
+                    promptTemplate
+                }
+            );
+            result.quoteVerification = this._verifyQuotes(result, scrapedData, mapping);
+            result.metadata.redaction = this._redactionSummary(job, mapping);
+
+            // The job may have been deleted while we waited for the analysis
+            if (!this.jobs.has(job.id)) return;
+
+            const fileName = `variant_${job.id}_${variant.id}.json`;
+            await fs.writeFile(path.join(this.dataDir, fileName), JSON.stringify(result, null, 2));
+
+            this._updateVariant(job, variant, {
+                status: 'completed',
+                message: 'Analysis complete!',
+                completedAt: result.metadata.analysisCompletedAt,
+                file: fileName,
+                // The model actually used (the provider default when none was picked)
+                model: result.metadata.model,
+                prompt: result.metadata.prompt,
+                summary: {
+                    painPointsFound: result.structured.painPoints.length,
+                    hypothesesGenerated: result.structured.hypotheses.length,
+                    hallucinationRate: result.quoteVerification.summary.hallucinationRate
+                },
+                usage: result.metadata.usage
+            });
+        } catch (err) {
+            if (!this.jobs.has(job.id)) return; // Job deleted mid-run
+            this._updateVariant(job, variant, signal.aborted
+                ? { status: 'cancelled', message: 'Variant cancelled.' }
+                : { status: 'failed', message: err.message, error: err.message });
+        }
+    }
+
+    /**
+     * Internal: Apply changes to a variant record and broadcast it
+     */
+    _updateVariant(job, variant, changes) {
+        Object.assign(variant, changes);
+        this._recordEvent(job, 'variant', { variant: { ...variant } });
+        this._persist();
+    }
+
+    /**
+     * Get a variant record with its stored analysis (null if not found)
+     */
+    async getVariant(jobId, variantId) {
+        const variant = this.jobs.get(jobId)?.variants?.find(v => v.id === variantId);
+        if (!variant) return null;
+        if (!variant.file) return { ...variant, result: null };
+
+        const data = await fs.readFile(path.join(this.dataDir, variant.file), 'utf-8');
+        return { ...variant, result: JSON.parse(data) };
+    }
+
+    /**
+     * Cancel a queued or running variant
+     */
+    cancelVariant(jobId, variantId) {
+        const job = this.jobs.get(jobId);
+        const variant = job?.variants?.find(v => v.id === variantId);
+        if (!variant) throw new Error('Variant not found');
+
+        if (variant.status === 'queued') {
+            this._dequeue(jobId, variantId);
+            this._updateVariant(job, variant, { status: 'cancelled', message: 'Variant cancelled.' });
+        } else if (variant.status === 'running') {
+            this._abort(variantId, 'cancel');
+        } else {
+            throw new Error(`Variant is ${variant.status}, not queued or running`);
+        }
+        return variant;
+    }
+
+    /**
+     * Compare a job's main analysis and/or completed variants side by side.
+     * `ids` picks analyses by id ('main' for the main analysis); by default the
+     * main analysis and every completed variant are compared.
+     * Resolves to analysisComparison.compareAnalyses output.
+     */
+    async compareJobAnalyses(jobId, ids = null) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+
+        const completed = (job.variants || []).filter(v => v.status === 'completed');
+        const selected = [...new Set(ids || [
+            ...(job.analysisFile ? [MAIN_ANALYSIS_ID] : []),
+            ...completed.map(v => v.id)
+        ])];
+        if (selected.length < 2) {
+            throw new Error('Need at least two finished analyses to compare');
+        }
+
+        const entries = [];
+        for (const id of selected) {
+            if (id === MAIN_ANALYSIS_ID) {
+                const analysis = await this.getAnalysisResult(jobId);
+                if (!analysis) throw new Error('The job has no main analysis');
+                entries.push({ id, label: 'Main analysis', analysis });
+                continue;
+            }
+
+            const variant = completed.find(v => v.id === id);
+            if (!variant) throw new Error(`Variant ${id} not found or not completed`);
+            const { result } = await this.getVariant(jobId, id);
+            entries.push({ id, label: variant.label || this._variantLabel(variant), analysis: result });
+        }
+
+        return compareAnalyses(entries);
+    }
+
+    /**
+     * Internal: Default label of a variant - its model and prompt
+     */
+    _variantLabel(variant) {
+        const model = variant.model || variant.provider || 'default model';
+        const prompt = variant.prompt?.name
+            ? `${variant.prompt.name}${variant.prompt.version ? ` v${variant.prompt.version}` : ''}`
+            : 'built-in prompt';
+        return `${model} / ${prompt}`;
+    }
+
+    /**
+     * Clear a job's follow-up chat
+     */
+    async clearChat(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) throw new Error('Job not found');
+
+        job.chatHistory = [];
+        await this._persist();
+    }
+
     /**
      * Export analysis to various formats
      */
@@ -349,6 +1480,18 @@ class JobManager {
         const job = this.jobs.get(jobId);
         if (!job) return false;
 
+        this._dequeue(jobId);
+        this._abort(jobId, 'cancel');
+        for (const sibling of [...(job.subAnalyses || []), ...(job.variants || [])]) {
+            this._dequeue(jobId, sibling.id);
+            this._abort(sibling.id, 'cancel');
+            if (sibling.file) {
+                try {
+                    await fs.unlink(path.join(this.dataDir, sibling.file));
+                } catch (e) { /* ignore */ }
+            }
+        }
+
         // Delete files
         if (job.dataFile) {
             try {
@@ -360,8 +1503,21 @@ class JobManager {
                 await fs.unlink(path.join(this.dataDir, job.analysisFile));
             } catch (e) { /* ignore */ }
         }
+        if (job.redactionFile) {
+            await this.redactionWrites.get(jobId)?.catch(() => {});
+            try {
+                await fs.unlink(path.join(this.dataDir, job.redactionFile));
+            } catch (e) { /* ignore */ }
+        }
+        this.redactionMappings.delete(jobId);
+        this.redactionWrites.delete(jobId);
+        await this._removeCheckpoint(job);
 
+        this._recordEvent(job, 'deleted');
         this.jobs.delete(jobId);
+        this.changedEventLogs.delete(jobId);
+        await jobStore.removeEvents(jobId);
+        await this._persist();
         return true;
     }
 }
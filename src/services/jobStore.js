@@ -0,0 +1,125 @@
+/**
+ * Job Store - Persists job records to a local JSON file
+ * Survives server restarts so scrape/analysis files in data/ stay reachable
+ *
+ * Each job's event log lives in its own file (data/events_<jobId>.json), so a
+ * progress tick only rewrites the small job records and that one job's log.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class JobStore {
+    constructor() {
+        this.filePath = path.join(__dirname, '../../data/jobs.json');
+        this.writers = new Map(); // file path -> { pending, writing }
+    }
+
+    /**
+     * Load all persisted job records, each with its event log
+     */
+    async load() {
+        let jobs;
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf-8');
+            const parsed = JSON.parse(raw);
+            jobs = Array.isArray(parsed.jobs) ? parsed.jobs : [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('Failed to load job store:', err.message);
+            return [];
+        }
+
+        for (const job of jobs) {
+            if (Array.isArray(job.events)) {
+                // Saved before event logs had their own files - move it out
+                this.saveEvents(job.id, job.events);
+            } else {
+                job.events = await this._loadEvents(job.id);
+            }
+        }
+        return jobs;
+    }
+
+    /**
+     * Save job records, without their event logs (see saveEvents)
+     */
+    save(jobs) {
+        const records = jobs.map(({ events, ...job }) => job);
+        return this._write(this.filePath, JSON.stringify({ savedAt: new Date().toISOString(), jobs: records }, null, 2));
+    }
+
+    /**
+     * Save one job's event log
+     */
+    saveEvents(jobId, events) {
+        return this._write(this._eventsPath(jobId), JSON.stringify({ jobId, events }, null, 2));
+    }
+
+    /**
+     * Delete a job's event log file
+     */
+    async removeEvents(jobId) {
+        const filePath = this._eventsPath(jobId);
+        await this.writers.get(filePath)?.writing;
+        try {
+            await fs.unlink(filePath);
+        } catch (e) { /* ignore */ }
+    }
+
+    /**
+     * Internal: A job's event log file
+     */
+    _eventsPath(jobId) {
+        return path.join(path.dirname(this.filePath), `events_${jobId}.json`);
+    }
+
+    /**
+     * Internal: Read a job's event log ([] if it has none)
+     */
+    async _loadEvents(jobId) {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this._eventsPath(jobId), 'utf-8'));
+            return Array.isArray(parsed.events) ? parsed.events : [];
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error(`Failed to load events of job ${jobId}:`, err.message);
+            return [];
+        }
+    }
+
+    /**
+     * Internal: Write a file. Writes are coalesced per file so frequent
+     * progress updates only ever have one write in flight.
+     */
+    _write(filePath, snapshot) {
+        let writer = this.writers.get(filePath);
+        if (!writer) this.writers.set(filePath, writer = { pending: null, writing: null });
+
+        writer.pending = snapshot;
+        if (!writer.writing) {
+            writer.writing = this._flush(filePath, writer);
+        }
+        return writer.writing;
+    }
+
+    /**
+     * Internal: Write the latest snapshot atomically (tmp file + rename)
+     */
+    async _flush(filePath, writer) {
+        try {
+            while (writer.pending) {
+                const snapshot = writer.pending;
+                writer.pending = null;
+                const tmpPath = `${filePath}.tmp`;
+                await fs.writeFile(tmpPath, snapshot);
+                await fs.rename(tmpPath, filePath);
+            }
+        } catch (err) {
+            console.error(`Failed to save ${path.basename(filePath)}:`, err.message);
+        } finally {
+            writer.writing = null;
+            this.writers.delete(filePath);
+        }
+    }
+}
+
+module.exports = new JobStore();
@@ -0,0 +1,309 @@
+/**
+ * Keyword Query - Boolean query language for post/comment filtering
+ *
+ * Syntax:
+ *   bloating OR gas            either term
+ *   bloating gas               both terms (AND is implied between terms)
+ *   NOT keto                   exclude a term
+ *   (bloating OR gas) AND NOT keto
+ *   "blood sugar"              exact phrase
+ *   bloat*                     wildcard stem (bloat, bloated, bloating...)
+ *
+ * Operators must be uppercase (as in Reddit search); lowercase and/or/not
+ * are treated as ordinary words. Terms match whole words only, so "gas"
+ * does not match "Vegas".
+ */
+
+class QueryParseError extends Error {
+    constructor(message, position, query) {
+        super(message);
+        this.name = 'QueryParseError';
+        this.position = position;
+        this.query = query;
+    }
+}
+
+const OPERATORS = ['AND', 'OR', 'NOT'];
+const WORD_CHAR = '[\\p{L}\\p{N}_]';
+
+/**
+ * Internal: Split a query into tokens, tracking each token's position
+ */
+function tokenize(input) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (ch === '(' || ch === ')') {
+            tokens.push({ type: ch, position: i });
+            i++;
+            continue;
+        }
+
+        if (ch === '"') {
+            const end = input.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new QueryParseError('Unterminated quoted phrase', i, input);
+            }
+            tokens.push({ type: 'phrase', value: input.slice(i + 1, end), position: i });
+            i = end + 1;
+            continue;
+        }
+
+        const start = i;
+        while (i < input.length && !/[\s()"]/.test(input[i])) {
+            i++;
+        }
+        const value = input.slice(start, i);
+        tokens.push(OPERATORS.includes(value)
+            ? { type: value, position: start }
+            : { type: 'word', value, position: start });
+    }
+
+    return tokens;
+}
+
+/**
+ * Internal: Build a term node, validating wildcard placement
+ */
+function termNode(value, position, query) {
+    const wildcard = value.endsWith('*');
+    const stem = wildcard ? value.slice(0, -1) : value;
+
+    if (stem.includes('*')) {
+        throw new QueryParseError('Wildcards are only allowed at the end of a term', position + stem.indexOf('*'), query);
+    }
+    if (stem.length === 0) {
+        throw new QueryParseError('Wildcard needs a stem, e.g. bloat*', position, query);
+    }
+
+    return { type: 'term', value: stem.toLowerCase(), wildcard };
+}
+
+/**
+ * Internal: Recursive-descent parser
+ *   or      := and ("OR" and)*
+ *   and     := unary (["AND"] unary)*
+ *   unary   := "NOT" unary | primary
+ *   primary := "(" or ")" | phrase | word
+ */
+function parseTokens(tokens, query) {
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const endPosition = () => query.length;
+    const startsOperand = token => token && ['word', 'phrase', '(', 'NOT'].includes(token.type);
+
+    function parseOr() {
+        const children = [parseAnd()];
+        while (peek()?.type === 'OR') {
+            pos++;
+            children.push(parseAnd());
+        }
+        return children.length === 1 ? children[0] : { type: 'or', children };
+    }
+
+    function parseAnd() {
+        const children = [parseUnary()];
+        while (peek()?.type === 'AND' || startsOperand(peek())) {
+            if (peek().type === 'AND') pos++;
+            children.push(parseUnary());
+        }
+        return children.length === 1 ? children[0] : { type: 'and', children };
+    }
+
+    function parseUnary() {
+        if (peek()?.type === 'NOT') {
+            pos++;
+            return { type: 'not', child: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = peek();
+
+        if (!token) {
+            const prev = tokens[pos - 1];
+            throw new QueryParseError(
+                prev ? `Expected a term after ${prev.type}` : 'Query is empty',
+                endPosition(),
+                query
+            );
+        }
+
+        switch (token.type) {
+            case '(': {
+                pos++;
+                if (peek()?.type === ')') {
+                    throw new QueryParseError('Empty parentheses', token.position, query);
+                }
+                const node = parseOr();
+                if (peek()?.type !== ')') {
+                    throw new QueryParseError('Missing closing parenthesis', token.position, query);
+                }
+                pos++;
+                return node;
+            }
+            case 'phrase': {
+                pos++;
+                const words = token.value.trim().split(/\s+/).filter(Boolean);
+                if (words.length === 0) {
+                    throw new QueryParseError('Empty quoted phrase', token.position, query);
+                }
+                // Offsets are approximate within the phrase, but point at the right quote
+                const terms = words.map(w => termNode(w, token.position + 1, query));
+                return terms.length === 1 ? terms[0] : { type: 'phrase', terms };
+            }
+            case 'word':
+                pos++;
+                return termNode(token.value, token.position, query);
+            case ')':
+                throw new QueryParseError('Unexpected closing parenthesis', token.position, query);
+            default:
+                throw new QueryParseError(`Expected a term before ${token.type}`, token.position, query);
+        }
+    }
+
+    const ast = parseOr();
+    if (pos < tokens.length) {
+        const token = tokens[pos];
+        throw new QueryParseError(
+            token.type === ')' ? 'Unexpected closing parenthesis' : `Unexpected ${token.type}`,
+            token.position,
+            query
+        );
+    }
+    return ast;
+}
+
+/**
+ * Internal: Whether a node can match on its own (a bare NOT can't be searched)
+ */
+function hasPositiveTerm(node) {
+    switch (node.type) {
+        case 'term':
+        case 'phrase':
+            return true;
+        case 'not':
+            return false;
+        case 'and':
+            return node.children.some(hasPositiveTerm);
+        case 'or':
+            return node.children.every(hasPositiveTerm);
+    }
+    return false;
+}
+
+/**
+ * Parse a query string into an AST. Throws QueryParseError with the
+ * character position of the problem.
+ */
+function parseQuery(query) {
+    if (typeof query !== 'string' || query.trim().length === 0) {
+        throw new QueryParseError('Query is empty', 0, query || '');
+    }
+
+    const ast = parseTokens(tokenize(query), query);
+    if (!hasPositiveTerm(ast)) {
+        throw new QueryParseError('Query needs at least one term that is not negated', 0, query);
+    }
+    return ast;
+}
+
+/**
+ * Convert a legacy keyword list + matchAll flag into query syntax
+ */
+function keywordsToQuery(keywords, matchAll = false) {
+    const terms = (keywords || [])
+        .map(k => String(k).replace(/"/g, '').trim())
+        .filter(k => k.length > 0)
+        .map(k => /[\s()]/.test(k) || OPERATORS.includes(k) ? `"${k}"` : k);
+    return terms.join(matchAll ? ' AND ' : ' OR ');
+}
+
+/**
+ * Internal: Regex source for a single term
+ */
+function termPattern(term) {
+    const escaped = term.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return term.wildcard ? `${escaped}${WORD_CHAR}*` : escaped;
+}
+
+/**
+ * Internal: Regex for a term or phrase, anchored on word boundaries
+ */
+function nodeRegex(node) {
+    if (!node.regex) {
+        const terms = node.type === 'phrase' ? node.terms : [node];
+        const body = terms.map(termPattern).join(`(?:[^\\p{L}\\p{N}_]+)`);
+        Object.defineProperty(node, 'regex', {
+            value: new RegExp(`(?<!${WORD_CHAR})${body}(?!${WORD_CHAR})`, 'iu'),
+            enumerable: false
+        });
+    }
+    return node.regex;
+}
+
+/**
+ * Evaluate a parsed query against a piece of text
+ */
+function matchesQuery(ast, text) {
+    if (!ast) return true;
+    text = text || '';
+
+    switch (ast.type) {
+        case 'term':
+        case 'phrase':
+            return nodeRegex(ast).test(text);
+        case 'not':
+            return !matchesQuery(ast.child, text);
+        case 'and':
+            return ast.children.every(child => matchesQuery(child, text));
+        case 'or':
+            return ast.children.some(child => matchesQuery(child, text));
+    }
+    return false;
+}
+
+/**
+ * Compile a parsed query to Reddit search syntax. Wildcards are sent as
+ * their stem - Reddit search is fuzzy and results are re-checked locally.
+ */
+function toSearchQuery(ast) {
+    switch (ast.type) {
+        case 'term':
+            return /[\s()"]/.test(ast.value) || OPERATORS.includes(ast.value.toUpperCase())
+                ? `"${ast.value}"`
+                : ast.value;
+        case 'phrase':
+            return `"${ast.terms.map(t => t.value).join(' ')}"`;
+        case 'not':
+            return `NOT ${wrap(ast.child)}`;
+        case 'and':
+            return ast.children.map(wrap).join(' AND ');
+        case 'or':
+            return ast.children.map(wrap).join(' OR ');
+    }
+    return '';
+
+    function wrap(child) {
+        const compiled = toSearchQuery(child);
+        return child.type === 'and' || child.type === 'or' ? `(${compiled})` : compiled;
+    }
+}
+
+module.exports = {
+    QueryParseError,
+    parseQuery,
+    keywordsToQuery,
+    matchesQuery,
+    toSearchQuery
+};
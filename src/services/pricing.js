@@ -0,0 +1,32 @@
+/**
+ * Model Pricing - USD per million tokens for cost estimates
+ * Update when list prices change; unknown models (e.g. self-hosted ones) get no cost.
+ */
+
+const MODEL_PRICING = {
+    'claude-opus-4-20250514': { input: 15, output: 75 },
+    'claude-sonnet-4-20250514': { input: 3, output: 15 },
+    'claude-3-7-sonnet-20250219': { input: 3, output: 15 },
+    'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+    'mock-research-v1': { input: 0, output: 0 }
+};
+
+/**
+ * Get the price entry for a model, or null if we don't know it
+ */
+function getPricing(model) {
+    return MODEL_PRICING[model] || null;
+}
+
+/**
+ * Cost in USD for a number of input/output tokens (null for unknown models)
+ */
+function estimateCost(model, inputTokens, outputTokens) {
+    const pricing = getPricing(model);
+    if (!pricing) return null;
+
+    const cost = (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+    return Math.round(cost * 10000) / 10000;
+}
+
+module.exports = { MODEL_PRICING, getPricing, estimateCost };
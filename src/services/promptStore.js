@@ -0,0 +1,229 @@
+/**
+ * Prompt Store - User-editable extraction prompt templates, persisted to data/prompts.json
+ *
+ * Templates use {{variables}} (see PROMPT_VARIABLES in extractionPrompt).
+ * Every edit of a template's body adds a new version; versions are never
+ * changed or removed, and deleting a template only hides it, so an analysis
+ * can always be traced back to the exact prompt it ran with.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { templateVariables, PROMPT_VARIABLES } = require('./extractionPrompt');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_BODY_LENGTH = 200000;
+
+/**
+ * A template or version request that can't be saved (bad name, body or variables)
+ */
+class PromptTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PromptTemplateError';
+    }
+}
+
+class PromptStore {
+    constructor() {
+        this.filePath = path.join(__dirname, '../../data/prompts.json');
+        this.templates = new Map();
+        this.writing = Promise.resolve();
+    }
+
+    /**
+     * Load persisted templates
+     */
+    async init() {
+        try {
+            const parsed = JSON.parse(await fs.readFile(this.filePath, 'utf-8'));
+            for (const template of parsed.templates || []) {
+                this.templates.set(template.id, template);
+            }
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                console.error('Failed to load prompt store:', err.message);
+            }
+        }
+    }
+
+    /**
+     * Templates without their version bodies, newest first (deleted ones are left out)
+     */
+    listTemplates() {
+        return Array.from(this.templates.values())
+            .filter(template => !template.deletedAt)
+            .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+            .map(template => this._summary(template));
+    }
+
+    /**
+     * A template with all of its versions (null if unknown)
+     */
+    getTemplate(id) {
+        return this.templates.get(id) || null;
+    }
+
+    /**
+     * One version of a template - the latest when `version` is omitted.
+     * Resolves deleted templates too, for tracing old analyses.
+     * Returns { id, name, version, body, hash } or null.
+     */
+    getVersion(id, version = null) {
+        const template = this.templates.get(id);
+        if (!template) return null;
+
+        const entry = version
+            ? template.versions.find(v => v.version === Number(version))
+            : template.versions[template.versions.length - 1];
+        if (!entry) return null;
+
+        return { id: template.id, name: template.name, version: entry.version, body: entry.body, hash: entry.hash };
+    }
+
+    /**
+     * Create a template with its first version.
+     * data: { name, description?, body, note? }
+     */
+    async createTemplate(data) {
+        const name = this._validateName(data.name);
+        const body = this._validateBody(data.body);
+        const now = new Date().toISOString();
+
+        const template = {
+            id: uuidv4(),
+            name,
+            description: typeof data.description === 'string' ? data.description.trim() : '',
+            createdAt: now,
+            updatedAt: now,
+            deletedAt: null,
+            versions: [this._version(1, body, data.note, now)]
+        };
+
+        this.templates.set(template.id, template);
+        await this._persist();
+        return template;
+    }
+
+    /**
+     * Update a template. A changed body is saved as a new version; name and
+     * description are plain metadata. Returns null for unknown templates.
+     * data: { name?, description?, body?, note? }
+     */
+    async updateTemplate(id, data) {
+        const template = this.templates.get(id);
+        if (!template || template.deletedAt) return null;
+
+        const name = data.name !== undefined ? this._validateName(data.name) : template.name;
+        const body = data.body !== undefined ? this._validateBody(data.body) : null;
+        const now = new Date().toISOString();
+
+        template.name = name;
+        if (typeof data.description === 'string') {
+            template.description = data.description.trim();
+        }
+
+        const latest = template.versions[template.versions.length - 1];
+        if (body !== null && body !== latest.body) {
+            template.versions.push(this._version(latest.version + 1, body, data.note, now));
+        }
+
+        template.updatedAt = now;
+        await this._persist();
+        return template;
+    }
+
+    /**
+     * Hide a template from the list; its versions stay resolvable.
+     * Returns false for unknown templates.
+     */
+    async deleteTemplate(id) {
+        const template = this.templates.get(id);
+        if (!template || template.deletedAt) return false;
+
+        template.deletedAt = new Date().toISOString();
+        await this._persist();
+        return true;
+    }
+
+    /**
+     * Internal: Template metadata for listings
+     */
+    _summary(template) {
+        const latest = template.versions[template.versions.length - 1];
+        return {
+            id: template.id,
+            name: template.name,
+            description: template.description,
+            createdAt: template.createdAt,
+            updatedAt: template.updatedAt,
+            latestVersion: latest.version,
+            versionCount: template.versions.length
+        };
+    }
+
+    /**
+     * Internal: A new immutable version record
+     */
+    _version(version, body, note, createdAt) {
+        return {
+            version,
+            body,
+            hash: crypto.createHash('sha256').update(body).digest('hex'),
+            note: typeof note === 'string' ? note.trim() : '',
+            createdAt
+        };
+    }
+
+    _validateName(name) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new PromptTemplateError('Template name required');
+        }
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            throw new PromptTemplateError(`Template name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+        return name.trim();
+    }
+
+    /**
+     * Internal: The body must be non-empty, send the scraped data ({{posts}})
+     * and only use known variables
+     */
+    _validateBody(body) {
+        if (typeof body !== 'string' || !body.trim()) {
+            throw new PromptTemplateError('Template body required');
+        }
+        if (body.length > MAX_BODY_LENGTH) {
+            throw new PromptTemplateError(`Template body must be at most ${MAX_BODY_LENGTH} characters`);
+        }
+
+        const variables = templateVariables(body);
+        const unknown = variables.filter(name => !PROMPT_VARIABLES[name]);
+        if (unknown.length > 0) {
+            throw new PromptTemplateError(`Unknown variable(s): ${unknown.map(name => `{{${name}}}`).join(', ')}. Available: ${Object.keys(PROMPT_VARIABLES).map(name => `{{${name}}}`).join(', ')}`);
+        }
+        if (!variables.includes('posts')) {
+            throw new PromptTemplateError('Template must include {{posts}} - otherwise the scraped data is never sent');
+        }
+        return body;
+    }
+
+    /**
+     * Internal: Write all templates atomically (tmp file + rename), one write at a time
+     */
+    _persist() {
+        const snapshot = JSON.stringify({ savedAt: new Date().toISOString(), templates: Array.from(this.templates.values()) }, null, 2);
+        // A failed write mustn't block the ones after it
+        this.writing = this.writing.catch(() => {}).then(async () => {
+            await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            await fs.writeFile(tmpPath, snapshot);
+            await fs.rename(tmpPath, this.filePath);
+        });
+        return this.writing;
+    }
+}
+
+module.exports = { promptStore: new PromptStore(), PromptTemplateError, MAX_BODY_LENGTH };
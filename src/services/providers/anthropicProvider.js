@@ -0,0 +1,162 @@
+/**
+ * Anthropic Provider - Claude via the Messages API (api.anthropic.com)
+ */
+
+const https = require('https');
+
+class AnthropicProvider {
+    constructor() {
+        this.name = 'anthropic';
+        this.label = 'Anthropic Claude';
+        // Load API key from environment variable (for deployment)
+        // Falls back to session-based key if env var not set
+        // Trim to remove any whitespace/newlines that cause header errors
+        this.apiKey = process.env.ANTHROPIC_API_KEY?.trim() || null;
+        this.defaultModel = 'claude-sonnet-4-20250514'; // Latest Sonnet model
+        this.models = [
+            'claude-sonnet-4-20250514',
+            'claude-opus-4-20250514',
+            'claude-3-7-sonnet-20250219',
+            'claude-3-5-haiku-20241022'
+        ];
+        this.configHint = 'Claude API key not configured. Set ANTHROPIC_API_KEY environment variable.';
+    }
+
+    /**
+     * Reload API key from environment (useful after .env changes)
+     */
+    reloadFromEnv() {
+        if (process.env.ANTHROPIC_API_KEY) {
+            this.apiKey = process.env.ANTHROPIC_API_KEY.trim();
+        }
+    }
+
+    /**
+     * Check if API key is configured
+     */
+    isConfigured() {
+        return !!this.apiKey;
+    }
+
+    /**
+     * Set API key
+     */
+    setApiKey(key) {
+        this.apiKey = key?.trim() || null;
+    }
+
+    /**
+     * Run one completion. Pass signal to abort the in-flight request when a job is cancelled.
+     * With json ({ name, description, schema }) the model is forced to call a tool
+     * whose input is the schema, and the tool input comes back as `json`.
+     * Resolves to { text, json, stopReason, usage: { inputTokens, outputTokens }, model }
+     */
+    async complete({ system = null, messages, maxTokens, model = this.defaultModel, signal = null, json = null }) {
+        const response = await this._makeRequest({
+            model,
+            max_tokens: maxTokens,
+            messages,
+            ...(system ? { system } : {}),
+            ...(json ? this._toolRequest(json) : {})
+        }, signal);
+
+        const content = response.content || [];
+        const toolUse = json ? content.find(block => block.type === 'tool_use') : null;
+        const text = toolUse
+            ? JSON.stringify(toolUse.input)
+            : content.filter(block => block.type === 'text').map(block => block.text).join('');
+
+        return {
+            text,
+            json: toolUse ? toolUse.input : null,
+            stopReason: response.stop_reason || null,
+            usage: {
+                inputTokens: response.usage?.input_tokens || 0,
+                outputTokens: response.usage?.output_tokens || 0
+            },
+            model: response.model || model
+        };
+    }
+
+    /**
+     * Internal: Tool definition + forced tool choice for structured output
+     */
+    _toolRequest({ name, description = '', schema }) {
+        // input_schema takes the schema body only, not the document identifiers
+        const { $schema, $id, ...inputSchema } = schema;
+        return {
+            tools: [{ name, description, input_schema: inputSchema }],
+            tool_choice: { type: 'tool', name }
+        };
+    }
+
+    /**
+     * Internal: POST /v1/messages
+     */
+    _makeRequest(requestBody, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+
+            const postData = JSON.stringify(requestBody);
+
+            const options = {
+                hostname: 'api.anthropic.com',
+                port: 443,
+                path: '/v1/messages',
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': this.apiKey,
+                    'anthropic-version': '2023-06-01',
+                    'Content-Length': Buffer.byteLength(postData)
+                }
+            };
+
+            const req = https.request(options, (res) => {
+                let data = '';
+                res.on('data', chunk => data += chunk);
+                res.on('end', () => {
+                    try {
+                        const response = JSON.parse(data);
+                        if (res.statusCode === 200) {
+                            resolve(response);
+                        } else {
+                            const err = new Error(response.error?.message || `API Error: ${res.statusCode}`);
+                            err.status = res.statusCode;
+                            err.retryAfter = res.headers['retry-after'] || null;
+                            reject(err);
+                        }
+                    } catch (e) {
+                        // Usually an HTML error page from a proxy - worth retrying
+                        const err = new Error('Failed to parse API response');
+                        err.status = res.statusCode;
+                        err.code = 'EBADRESPONSE';
+                        reject(err);
+                    }
+                });
+            });
+
+            req.on('error', reject);
+            req.setTimeout(300000, () => { // 5 minute timeout for long analyses
+                req.destroy();
+                const err = new Error('Request timeout');
+                err.code = 'ETIMEDOUT';
+                reject(err);
+            });
+
+            if (signal) {
+                const onAbort = () => {
+                    req.destroy();
+                    reject(signal.reason);
+                };
+                signal.addEventListener('abort', onAbort, { once: true });
+                req.on('close', () => signal.removeEventListener('abort', onAbort));
+            }
+
+            req.write(postData);
+            req.end();
+        });
+    }
+}
+
+module.exports = new AnthropicProvider();
@@ -0,0 +1,65 @@
+/**
+ * LLM Providers - Registry of completion backends used by the analysis service
+ *
+ * Every provider exposes:
+ *   name, label, defaultModel, models, configHint
+ *   isConfigured()
+ *   reloadFromEnv()
+ *   complete({ system, messages, maxTokens, model, signal, json })
+ *     -> { text, json, stopReason: 'end_turn' | 'max_tokens', usage: { inputTokens, outputTokens }, model }
+ *
+ * Passing json ({ name, description, schema }) asks for a structured reply
+ * (tool use / JSON mode); the parsed object comes back as `json`, or null if
+ * the reply couldn't be parsed. Callers still validate it against the schema.
+ *
+ * Failed requests reject with an Error carrying `status` (HTTP status, if any),
+ * `code` (network/timeout/unparseable response) and `retryAfter` (raw header).
+ * A trailing assistant message is treated as a prefill to continue from.
+ */
+
+const anthropicProvider = require('./anthropicProvider');
+const openaiProvider = require('./openaiProvider');
+const mockProvider = require('./mockProvider');
+
+const providers = {
+    [anthropicProvider.name]: anthropicProvider,
+    [openaiProvider.name]: openaiProvider,
+    [mockProvider.name]: mockProvider
+};
+
+/**
+ * Look up a provider by name (undefined if unknown)
+ */
+function getProvider(name) {
+    return providers[name];
+}
+
+/**
+ * Provider used when a job doesn't pick one (LLM_PROVIDER, else Anthropic)
+ */
+function getDefaultProviderName() {
+    const name = process.env.LLM_PROVIDER?.trim();
+    return providers[name] ? name : anthropicProvider.name;
+}
+
+/**
+ * Summaries for the settings endpoint
+ */
+function listProviders() {
+    return Object.values(providers).map(provider => ({
+        name: provider.name,
+        label: provider.label,
+        configured: provider.isConfigured(),
+        defaultModel: provider.defaultModel,
+        models: provider.models
+    }));
+}
+
+/**
+ * Re-read provider configuration from the environment
+ */
+function reloadFromEnv() {
+    Object.values(providers).forEach(provider => provider.reloadFromEnv());
+}
+
+module.exports = { getProvider, getDefaultProviderName, listProviders, reloadFromEnv };
@@ -0,0 +1,212 @@
+/**
+ * Mock Provider - Deterministic canned responses for offline testing
+ * Full extraction/synthesis prompts get a PHASE 1-7 report that the
+ * analysis parsers of every framework understand; batch prompts get short
+ * batch notes; structured (json) requests get a schema-valid analysis
+ * document; chat turns quote the retrieved excerpts.
+ * No network calls, no key needed, same output for the same prompt.
+ */
+
+const { estimateTokens } = require('../tokenEstimator');
+
+class MockProvider {
+    constructor() {
+        this.name = 'mock';
+        this.label = 'Mock (offline)';
+        this.defaultModel = 'mock-research-v1';
+        this.models = [this.defaultModel];
+        this.configHint = 'Mock provider is always available.';
+    }
+
+    reloadFromEnv() {}
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete({ system = null, messages, model = this.defaultModel, signal = null, json = null }) {
+        signal?.throwIfAborted();
+
+        const prompt = messages.map(m => m.content).join('\n');
+        const niche = prompt.match(/^NICHE: (.*)$/m)?.[1]?.trim() || 'this niche';
+        const document = json ? this._document(prompt) : null;
+        let text;
+        const lastMessage = messages[messages.length - 1]?.content || '';
+        if (document) {
+            text = JSON.stringify(document);
+        } else if (lastMessage.includes('=== EXCERPTS ===')) {
+            text = this._chatReply(lastMessage);
+        } else if (prompt.includes('=== PHASE 1:')) {
+            text = this._report(niche, prompt);
+        } else {
+            text = this._batchNotes(niche, prompt);
+        }
+
+        return {
+            text,
+            json: document,
+            stopReason: 'end_turn',
+            usage: {
+                inputTokens: estimateTokens(`${system || ''}${prompt}`),
+                outputTokens: estimateTokens(text)
+            },
+            model
+        };
+    }
+
+    /**
+     * Internal: POST #s (or Source #s, in a report) present in the prompt,
+     * so references point at real sources
+     */
+    _postNumbers(prompt) {
+        const numbers = [...prompt.matchAll(/(?:POST|Source) #(\d+)/g)].map(m => parseInt(m[1]));
+        const unique = [...new Set(numbers)];
+        return unique.length > 0 ? unique : [1];
+    }
+
+    _batchNotes(niche, prompt) {
+        const [first, second = first] = this._postNumbers(prompt);
+
+        return `=== PAIN POINTS ===
+- Constant bloating (clinical: abdominal distension) - POST #${first}, #${second}. VOLUME SCORE: 7. EMOTIONAL CHARGE SCORE: 8.
+
+=== SYMPTOMS ===
+- "my stomach looks six months pregnant by dinner" (POST #${first}, Constant bloating)
+
+=== MECHANISM MATERIAL ===
+- Believes ${niche} problems start in the gut; probiotics stopped working after a month (POST #${second})
+
+=== LANGUAGE ===
+- Desire: "I just want to wear jeans without unbuttoning them" (POST #${first})
+
+=== SUBREDDITS ===
+- Primary discussion subreddit for ${niche}
+
+=== NOTABLE THREADS ===
+- POST #${first}: richest symptom language`;
+    }
+
+    _report(niche, prompt) {
+        const [first, second = first] = this._postNumbers(prompt);
+        // Hypotheses are labelled the way the prompt's framework asks for
+        const hypothesis = prompt.match(/^([A-Z ]+ HYPOTHESIS) #\[X\]$/m)?.[1] || 'MECHANISM HYPOTHESIS';
+
+        return `=== PHASE 1: SUBREDDIT MAPPING ===
+- Primary: subreddits dedicated to ${niche}
+- Skeptic: threads where people say supplements did nothing
+
+=== PHASE 2: PAIN POINT & SYMPTOM EXTRACTION ===
+### PAIN POINT #1: Constant bloating
+- Common name: "the bloat"
+- VOLUME SCORE: 8
+- EMOTIONAL CHARGE SCORE: 9
+- PAIN POINT PRIORITY SCORE: 8.6
+- Verbatim: "my stomach looks six months pregnant by dinner" (Source #${first})
+
+### PAIN POINT #2: Afternoon energy crash
+- Common name: "the 3pm wall"
+- VOLUME SCORE: 6
+- EMOTIONAL CHARGE SCORE: 7
+- PAIN POINT PRIORITY SCORE: 6.6
+- Verbatim: "I could fall asleep at my desk every day" (Source #${second})
+
+=== PHASE 3: MECHANISM EXTRACTION ===
+- Root cause belief: gut bacteria imbalance nobody tests for (Source #${first})
+- Why past solutions failed: probiotics "worked for a month then stopped" (Source #${second})
+
+=== PHASE 4: LANGUAGE MINING ===
+- Symptom: "six months pregnant by dinner"
+- Desire: "I just want to wear jeans without unbuttoning them"
+
+=== PHASE 5: SYNTHESIS & PRIORITIZATION ===
+| Rank | Pain Point | Priority Score |
+|------|------------|----------------|
+| 1    | Constant bloating | 8.6 |
+| 2    | Afternoon energy crash | 6.6 |
+
+=== PHASE 6: HYPOTHESIS OUTPUT ===
+${hypothesis} #1
+- Name: The Fermentation Backlog
+- Type: Unspoken
+- TARGET PAIN POINT(S): Constant bloating
+- KEY SYMPTOMS IT EXPLAINS: evening bloating, gas, tight waistband
+- Sample Hook: Why your stomach grows all day - and it isn't what you ate
+- Sample "Do You Experience..." Lead: Do you experience bloating that gets worse as the day goes on?
+- Key Source Threads: ${first}, ${second}
+
+${hypothesis} #2
+- Name: The Sugar-Crash Loop
+- Type: Existing
+- TARGET PAIN POINT(S): Afternoon energy crash
+- KEY SYMPTOMS IT EXPLAINS: 3pm fatigue, cravings, brain fog
+- Sample Hook: The 3pm wall starts at breakfast
+- Sample "Do You Experience..." Lead: Do you experience an energy crash every afternoon?
+- Key Source Threads: ${second}
+
+=== PHASE 7: OUTPUT SOURCE LOG ===
+SOURCE LOG:
+${first}. Mock source | Value: Symptom
+${second}. Mock source | Value: Mechanism
+
+TOP PRIORITY THREADS:
+- SYMPTOM LANGUAGE: #${first}
+- MECHANISM EVIDENCE: #${second}`;
+    }
+
+    /**
+     * Internal: Answer a chat turn by quoting the first sentence of up to three excerpts
+     */
+    _chatReply(turnPrompt) {
+        const excerpts = [...turnPrompt.matchAll(/^\[POST #(\d+) [^\n]*\]\n([^\n]+)/gm)].slice(0, 3);
+        if (excerpts.length === 0) {
+            return 'None of the scraped posts or comments match that question. Try asking with the words people would use on Reddit.';
+        }
+
+        const quotes = excerpts.map(m => {
+            const sentence = m[2].match(/^.*?[.!?](?=\s|$)/)?.[0] || m[2];
+            return `- "${sentence.trim()}" (POST #${m[1]})`;
+        });
+        return `Here is what people said about that:\n\n${quotes.join('\n')}`;
+    }
+
+    /**
+     * Internal: The canned report as a structured analysis document
+     */
+    _document(prompt) {
+        const [first, second = first] = this._postNumbers(prompt);
+
+        return {
+            painPoints: [
+                { name: 'Constant bloating', clinicalName: 'Abdominal distension', alternateNames: ['the bloat'], volumeScore: 8, emotionalScore: 9, priorityScore: 8.6, threadCount: 2, summary: 'Bloating that builds through the day', sources: [first, second] },
+                { name: 'Afternoon energy crash', clinicalName: null, alternateNames: ['the 3pm wall'], volumeScore: 6, emotionalScore: 7, priorityScore: 6.6, threadCount: 1, summary: 'Daily fatigue after lunch', sources: [second] }
+            ],
+            symptoms: [
+                { description: 'Stomach visibly distended by evening', type: 'physical', painPoint: 'Constant bloating', frequency: 'daily', quotes: [{ text: 'my stomach looks six months pregnant by dinner', source: first, painPoint: 'Constant bloating' }] },
+                { description: 'Falling asleep at work', type: 'lifestyle', painPoint: 'Afternoon energy crash', frequency: 'daily', quotes: [{ text: 'I could fall asleep at my desk every day', source: second, painPoint: 'Afternoon energy crash' }] }
+            ],
+            clusters: [
+                { name: 'Evening gut distress', symptoms: ['bloating', 'gas', 'tight waistband'], frequency: 'common', sources: [first] }
+            ],
+            mechanisms: [
+                { side: 'problem', name: 'Gut bacteria imbalance', type: null, painPoints: ['Constant bloating'], description: 'Root cause belief: gut bacteria imbalance nobody tests for', evidence: null, believability: 7, sources: [first] },
+                { side: 'solution', name: 'The Fermentation Backlog', type: 'Unspoken', painPoints: ['Constant bloating'], description: 'Food ferments before it is digested, so bloating builds all day', evidence: 'probiotics "worked for a month then stopped"', believability: 8, sources: [second] }
+            ],
+            copyBank: {
+                symptomPhrases: [{ text: 'six months pregnant by dinner', source: first, painPoint: 'Constant bloating' }],
+                problemPhrases: [],
+                desirePhrases: [{ text: 'I just want to wear jeans without unbuttoning them', source: first, painPoint: 'Constant bloating' }],
+                objections: []
+            },
+            hypotheses: [
+                { number: 1, name: 'The Fermentation Backlog', type: 'Unspoken', targetPainPoints: ['Constant bloating'], keySymptoms: ['evening bloating', 'gas', 'tight waistband'], problemSide: null, solutionSide: null, knowledgeGap: null, proofStrategy: null, productType: null, sampleHook: 'Why your stomach grows all day - and it isn\'t what you ate', sampleLead: 'Do you experience bloating that gets worse as the day goes on?', sources: [first, second] },
+                { number: 2, name: 'The Sugar-Crash Loop', type: 'Existing', targetPainPoints: ['Afternoon energy crash'], keySymptoms: ['3pm fatigue', 'cravings', 'brain fog'], problemSide: null, solutionSide: null, knowledgeGap: null, proofStrategy: null, productType: null, sampleHook: 'The 3pm wall starts at breakfast', sampleLead: 'Do you experience an energy crash every afternoon?', sources: [second] }
+            ],
+            priorityThreads: { symptomLanguage: [first], mechanismEvidence: [second] },
+            sourceLog: [...new Set([first, second])].map(index => ({
+                index, url: null, subreddit: null, title: 'Mock source', value: index === first ? 'Symptom' : 'Mechanism', keyInsight: null
+            }))
+        };
+    }
+}
+
+module.exports = new MockProvider();
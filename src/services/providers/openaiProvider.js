@@ -0,0 +1,164 @@
+/**
+ * OpenAI-Compatible Provider - Any server exposing POST /chat/completions
+ * Works with OpenAI itself or a self-hosted model (Ollama, vLLM, llama.cpp,
+ * LM Studio...) by pointing OPENAI_BASE_URL at it. Local servers usually
+ * need no API key.
+ */
+
+// Chat completions can't prefill the assistant's reply, so a cut-off reply is
+// sent back as a finished turn followed by this request
+const CONTINUE_PROMPT = 'Your reply was cut off. Continue exactly where it stopped, mid-sentence if need be. Do not repeat anything you already wrote and do not add any introduction.';
+const MAX_OVERLAP = 2000; // Characters of repeated text looked for at the start of a continuation
+const MIN_OVERLAP = 10;
+const ANCHOR_LENGTH = 200; // Tail of the prefill looked for in a reply that started over
+
+class OpenAIProvider {
+    constructor() {
+        this.name = 'openai';
+        this.label = 'OpenAI-compatible';
+        this.configHint = 'OpenAI-compatible provider not configured. Set OPENAI_BASE_URL (and OPENAI_API_KEY if the server needs one).';
+        this.timeout = 300000; // Local models can be slow on long prompts
+        this.reloadFromEnv();
+    }
+
+    /**
+     * Reload endpoint, key and model from environment
+     */
+    reloadFromEnv() {
+        this.baseUrl = (process.env.OPENAI_BASE_URL?.trim() || 'https://api.openai.com/v1').replace(/\/+$/, '');
+        this.apiKey = process.env.OPENAI_API_KEY?.trim() || null;
+        this.defaultModel = process.env.OPENAI_MODEL?.trim() || 'gpt-4o';
+        this.models = [this.defaultModel];
+        // A custom base URL alone is enough - self-hosted servers often skip auth
+        this.configured = !!(this.apiKey || process.env.OPENAI_BASE_URL?.trim());
+    }
+
+    isConfigured() {
+        return this.configured;
+    }
+
+    /**
+     * Run one completion. Resolves to { text, json, stopReason, usage, model }
+     * with stopReason normalized to Anthropic's names (end_turn / max_tokens).
+     * With json ({ name, schema }) the request uses JSON mode and `json` is the
+     * parsed reply (null if it isn't valid JSON). The prompt must describe the schema.
+     * A trailing assistant message is emulated as a prefill: the model is asked
+     * to continue it and `text` is only the new part, with repeated text removed.
+     */
+    async complete({ system = null, messages, maxTokens, model = this.defaultModel, signal = null, json = null }) {
+        signal?.throwIfAborted();
+
+        const last = messages[messages.length - 1];
+        const prefill = last?.role === 'assistant' ? last.content : null;
+        if (prefill) {
+            messages = [...messages, { role: 'user', content: CONTINUE_PROMPT }];
+        }
+
+        // Own controller so both the job signal and our timeout can abort the fetch
+        const controller = new AbortController();
+        const onAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', onAbort, { once: true });
+        const timer = setTimeout(() => {
+            const err = new Error('Request timeout');
+            err.code = 'ETIMEDOUT';
+            controller.abort(err);
+        }, this.timeout);
+
+        try {
+            const response = await fetch(`${this.baseUrl}/chat/completions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    max_tokens: maxTokens,
+                    messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+                    ...(json ? { response_format: { type: 'json_object' } } : {})
+                }),
+                signal: controller.signal
+            });
+
+            let data;
+            try {
+                data = await response.json();
+            } catch (e) {
+                const err = new Error(`Failed to parse API response (HTTP ${response.status})`);
+                err.status = response.status;
+                err.code = 'EBADRESPONSE';
+                throw err;
+            }
+
+            if (!response.ok) {
+                const err = new Error(data.error?.message || `API Error: ${response.status}`);
+                err.status = response.status;
+                err.retryAfter = response.headers.get('retry-after');
+                throw err;
+            }
+
+            const choice = data.choices?.[0] || {};
+            const reply = choice.message?.content || '';
+            const text = prefill ? this._stripOverlap(prefill, reply) : reply;
+            return {
+                text,
+                json: json ? this._parseJson(text) : null,
+                stopReason: choice.finish_reason === 'length' ? 'max_tokens' : 'end_turn',
+                usage: {
+                    inputTokens: data.usage?.prompt_tokens || 0,
+                    outputTokens: data.usage?.completion_tokens || 0
+                },
+                model: data.model || model
+            };
+        } catch (err) {
+            // Surface the job's abort reason / timeout rather than fetch's generic AbortError
+            if (controller.signal.aborted) throw controller.signal.reason;
+            // fetch reports connection failures as TypeError('fetch failed') with the cause attached
+            if (err instanceof TypeError && !err.code) err.code = err.cause?.code || 'ENETWORK';
+            throw err;
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+
+    /**
+     * Internal: The part of a continuation that follows the prefill. Models
+     * often start over from the beginning (sometimes with small changes) or
+     * repeat the last few lines before continuing; both are cut off.
+     */
+    _stripOverlap(prefill, text) {
+        const head = prefill.trimEnd();
+        const continuation = text.trimStart();
+        if (continuation.startsWith(head)) {
+            return continuation.slice(head.length);
+        }
+
+        for (let length = Math.min(MAX_OVERLAP, head.length, continuation.length); length >= MIN_OVERLAP; length--) {
+            if (head.endsWith(continuation.slice(0, length))) {
+                return continuation.slice(length);
+            }
+        }
+
+        // Started over with changes - pick up after the prefill's last lines
+        if (head.length >= ANCHOR_LENGTH) {
+            const anchor = head.slice(-ANCHOR_LENGTH);
+            const at = continuation.lastIndexOf(anchor);
+            if (at !== -1) return continuation.slice(at + anchor.length);
+        }
+        return text;
+    }
+
+    /**
+     * Internal: Parse a JSON-mode reply, tolerating a surrounding code fence
+     */
+    _parseJson(text) {
+        try {
+            return JSON.parse(text.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, ''));
+        } catch (e) {
+            return null;
+        }
+    }
+}
+
+module.exports = new OpenAIProvider();
@@ -0,0 +1,216 @@
+/**
+ * Quote Verifier - Checks that quotes in an analysis really appear in the scraped data
+ *
+ * Every quoted string in the pain point, copy bank and hypothesis sections
+ * (plus the quotes in the JSON document) is fuzzy-matched against the post
+ * titles, bodies and comments of the scrape:
+ *   verified   - the quote's words appear contiguously in one post or comment
+ *   close      - at least CLOSE_THRESHOLD of its words appear in order nearby
+ *                (paraphrased, trimmed or stitched quotes)
+ *   unverified - nothing similar was found (likely hallucinated)
+ * Matching ignores case, punctuation and apostrophes.
+ */
+
+const { tokenize, buildCorpus } = require('./corpus');
+
+const CLOSE_THRESHOLD = 0.8;
+const MIN_QUOTE_WORDS = 3; // Shorter quoted strings are usually labels ("the bloat"), not quotes
+const MAX_POSTINGS = 2000; // Skip very common words when looking for candidate locations
+const MAX_CANDIDATES = 10;
+const WINDOW_SLACK = 3; // Extra words either side of a candidate to allow insertions/deletions
+
+// Quoted strings in the markdown report, in straight or curly quotes
+const QUOTE_REGEX = /["“]([^"“”\n]+)["”]/g;
+
+// Quoted text that belongs to the framework's own headings, not to Reddit
+const FRAMEWORK_PHRASES = [/"Do You Experience\.\.\."/gi];
+
+// Report sections (from _parseAnalysis) that carry verbatim quotes
+const QUOTE_SECTIONS = {
+    painPointsAndSymptoms: 'painPoints',
+    languageMining: 'copyBank',
+    hypotheses: 'hypotheses'
+};
+
+/**
+ * Internal: word -> [[unitIndex, position], ...]
+ */
+function buildIndex(units) {
+    const index = new Map();
+    units.forEach((unit, u) => {
+        unit.tokens.forEach((token, p) => {
+            let postings = index.get(token.word);
+            if (!postings) index.set(token.word, postings = []);
+            postings.push([u, p]);
+        });
+    });
+    return index;
+}
+
+/**
+ * Internal: Quotes to check, from the markdown sections and the JSON document,
+ * de-duplicated on their normalized words
+ */
+function collectQuotes(analysis) {
+    const quotes = new Map();
+    const add = (text, section, claimedSource = null) => {
+        const words = tokenize(text).map(token => token.word);
+        if (words.length < MIN_QUOTE_WORDS) return;
+        const key = words.join(' ');
+        if (!quotes.has(key)) {
+            quotes.set(key, { text: text.trim(), words, section, claimedSource });
+        } else if (claimedSource && !quotes.get(key).claimedSource) {
+            quotes.get(key).claimedSource = claimedSource;
+        }
+    };
+
+    const sections = analysis.structured?.sections || {};
+    for (const [sectionKey, section] of Object.entries(QUOTE_SECTIONS)) {
+        const text = FRAMEWORK_PHRASES.reduce((result, phrase) => result.replace(phrase, ''), sections[sectionKey] || '');
+        for (const match of text.matchAll(QUOTE_REGEX)) {
+            add(match[1], section);
+        }
+    }
+
+    const document = analysis.document;
+    if (document) {
+        for (const symptom of document.symptoms || []) {
+            for (const quote of symptom.quotes || []) add(quote.text, 'painPoints', quote.source);
+        }
+        for (const phrases of Object.values(document.copyBank || {})) {
+            for (const quote of phrases || []) add(quote.text, 'copyBank', quote.source);
+        }
+    }
+
+    return [...quotes.values()];
+}
+
+/**
+ * Internal: Longest common subsequence of two word lists, returning its
+ * length and the matched positions in `b`
+ */
+function lcs(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const table = new Uint16Array(rows * cols);
+
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            table[i * cols + j] = a[i - 1] === b[j - 1]
+                ? table[(i - 1) * cols + j - 1] + 1
+                : Math.max(table[(i - 1) * cols + j], table[i * cols + j - 1]);
+        }
+    }
+
+    const matched = [];
+    for (let i = a.length, j = b.length; i > 0 && j > 0;) {
+        if (a[i - 1] === b[j - 1]) {
+            matched.unshift(j - 1);
+            i--;
+            j--;
+        } else if (table[(i - 1) * cols + j] >= table[i * cols + j - 1]) {
+            i--;
+        } else {
+            j--;
+        }
+    }
+
+    return { length: table[a.length * cols + b.length], matched };
+}
+
+/**
+ * Internal: Best location for a quote - candidates come from word votes on
+ * an alignment start, then each candidate window is scored by LCS
+ */
+function findBestMatch(words, units, index) {
+    const postingLists = words.map(word => index.get(word) || []);
+    const useAll = postingLists.every(postings => postings.length === 0 || postings.length > MAX_POSTINGS);
+
+    const votes = new Map();
+    postingLists.forEach((postings, i) => {
+        if (!useAll && postings.length > MAX_POSTINGS) return;
+        for (const [u, p] of postings) {
+            const key = `${u}:${p - i}`;
+            votes.set(key, (votes.get(key) || 0) + 1);
+        }
+    });
+
+    const candidates = [...votes.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, MAX_CANDIDATES)
+        .map(([key]) => key.split(':').map(Number));
+
+    let best = null;
+    for (const [u, start] of candidates) {
+        const unit = units[u];
+        const exact = start >= 0 && words.every((word, i) => unit.tokens[start + i]?.word === word);
+        if (exact) {
+            return { unit, score: 1, exact: true, from: start, to: start + words.length - 1 };
+        }
+
+        const windowStart = Math.max(0, start - WINDOW_SLACK);
+        const window = unit.tokens.slice(windowStart, start + words.length + WINDOW_SLACK).map(token => token.word);
+        const { length, matched } = lcs(words, window);
+        const score = length / words.length;
+        if (!best || score > best.score) {
+            best = { unit, score, exact: false, from: windowStart + matched[0], to: windowStart + matched[matched.length - 1] };
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Verify the quotes of an analysis result against the scrape it came from.
+ * Returns { verifiedAt, summary: { total, verified, close, unverified, hallucinationRate }, quotes }
+ * where each quote carries its status, similarity score and matching post/comment.
+ */
+function verifyQuotes(analysis, scrapedData) {
+    const units = buildCorpus(scrapedData.posts || []);
+    const index = buildIndex(units);
+
+    const quotes = collectQuotes(analysis).map(quote => {
+        const best = findBestMatch(quote.words, units, index);
+        let status = 'unverified';
+        if (best?.exact) {
+            status = 'verified';
+        } else if (best && best.score >= CLOSE_THRESHOLD) {
+            status = 'close';
+        }
+
+        const unit = best?.unit;
+        return {
+            text: quote.text,
+            section: quote.section,
+            status,
+            score: best ? Math.round(best.score * 100) / 100 : 0,
+            claimedSource: quote.claimedSource,
+            match: status === 'unverified' ? null : {
+                type: unit.type,
+                postIndex: unit.postIndex,
+                postId: unit.postId,
+                commentId: unit.commentId || null,
+                author: unit.author || null,
+                permalink: unit.permalink,
+                excerpt: unit.text.slice(unit.tokens[best.from].start, unit.tokens[best.to].end)
+            }
+        };
+    });
+
+    const count = status => quotes.filter(quote => quote.status === status).length;
+    const unverified = count('unverified');
+
+    return {
+        verifiedAt: new Date().toISOString(),
+        summary: {
+            total: quotes.length,
+            verified: count('verified'),
+            close: count('close'),
+            unverified,
+            hallucinationRate: quotes.length > 0 ? Math.round(unverified / quotes.length * 1000) / 1000 : 0
+        },
+        quotes
+    };
+}
+
+module.exports = { verifyQuotes };
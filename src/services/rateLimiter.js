@@ -0,0 +1,79 @@
+/**
+ * Rate Limiter - Spaces out requests shared by every running job
+ * Each caller reserves the next free slot, so concurrent jobs queue up
+ * behind one another instead of each sleeping on its own timer.
+ * Pacing adapts to the server's rate-limit headers when it sends them.
+ */
+
+class RateLimiter {
+    constructor({ interval = 2000, minInterval = 1000, maxInterval = 60000 } = {}) {
+        this.defaultInterval = interval;
+        this.interval = interval;
+        this.minInterval = minInterval;
+        this.maxInterval = maxInterval;
+        this.nextSlot = 0;
+    }
+
+    /**
+     * Wait for the next request slot (rejects early if the signal aborts)
+     */
+    async acquire(signal = null) {
+        signal?.throwIfAborted();
+
+        const now = Date.now();
+        const slot = Math.max(now, this.nextSlot);
+        this.nextSlot = slot + this.interval;
+
+        const wait = slot - now;
+        if (wait > 0) {
+            await this._sleep(wait, signal);
+        }
+    }
+
+    /**
+     * Hold every caller until the given time (e.g. after a 429)
+     */
+    pauseUntil(timestamp) {
+        this.nextSlot = Math.max(this.nextSlot, timestamp);
+    }
+
+    /**
+     * Adapt pacing to x-ratelimit-remaining / x-ratelimit-reset headers.
+     * The remaining budget is spread evenly over the time until reset.
+     */
+    updateFromHeaders(headers) {
+        const remaining = parseFloat(headers?.get?.('x-ratelimit-remaining'));
+        const resetSeconds = parseFloat(headers?.get?.('x-ratelimit-reset'));
+        if (Number.isNaN(remaining) || Number.isNaN(resetSeconds)) return;
+
+        const resetMs = resetSeconds * 1000;
+        if (remaining < 1) {
+            // Budget exhausted - nobody goes until the window resets
+            this.pauseUntil(Date.now() + resetMs);
+            return;
+        }
+
+        const spread = resetMs / remaining;
+        this.interval = Math.min(this.maxInterval, Math.max(this.minInterval, Math.round(spread)));
+    }
+
+    /**
+     * Internal: Abortable sleep
+     */
+    _sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+}
+
+module.exports = RateLimiter;
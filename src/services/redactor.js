@@ -0,0 +1,204 @@
+/**
+ * Redactor - Removes personal data from scraped posts before they reach an LLM
+ *
+ * Options (each on or off, see REDACTION_OPTIONS):
+ *   authors   - post/comment authors, u/ mentions and bare mentions of the
+ *               scrape's usernames become stable pseudonyms: "user_" + 8 hex
+ *               chars of an HMAC of the username keyed with a per-job secret
+ *               salt, so one person keeps one handle across every prompt of a
+ *               job but handles can't be looked up by name
+ *   emails, phones, urls, addresses - replaced with a placeholder
+ * Thread URLs, permalinks and ids are kept, so SOURCE LOG numbers, quote
+ * matches and deep dives still point at the real threads - only /u/ and /user/
+ * segments in them are pseudonymized with the authors. The handle ->
+ * username mapping is returned to the caller and must stay on the server.
+ */
+
+const crypto = require('crypto');
+
+const REDACTION_OPTIONS = {
+    authors: 'Pseudonymize usernames (stable hashed handles)',
+    emails: 'Strip email addresses',
+    phones: 'Strip phone numbers',
+    urls: 'Strip links in titles, posts and comments',
+    addresses: 'Strip street addresses'
+};
+
+// Applied in this order - links first so digits and @s inside them aren't
+// mistaken for phone numbers or emails
+const PATTERNS = [
+    { option: 'urls', placeholder: '[url]', regex: /\b(?:https?:\/\/|www\.)[^\s<>()[\]"']+/gi },
+    { option: 'emails', placeholder: '[email]', regex: /[\w.%+-]+@[\w-]+(?:\.[\w-]+)*\.[a-z]{2,}/gi },
+    // Digit groups with an optional country code and area code in brackets,
+    // "+1 (555) 123-4567", "020 7946 0958" - at least 9 digits in all
+    {
+        option: 'phones',
+        placeholder: '[phone]',
+        regex: /(?<![\w+])(?:\+\d{1,3}[\s.-]?)?\(?\d{2,5}\)?[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?!\w)/g,
+        accept: (match) => match.replace(/\D/g, '').length >= 9
+    },
+    // "221B Baker Street", "1600 Pennsylvania Ave NW, Apt 4" - capitalized street names only
+    { option: 'addresses', placeholder: '[address]', regex: /\b\d{1,6}[A-Z]?\s+(?:[A-Z][a-zA-Z.'-]*\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl|Terrace|Circle|Parkway|Pkwy|Highway|Hwy)\b\.?(?:\s+(?:[NS][EW]?|[EW])\b)?(?:,?\s*(?:Apt|Suite|Unit|#)\.?\s*[\w-]+)?/g }
+];
+
+// "u/name", "/u/name" and "/user/name" - also in profile links, which would give the name away
+const MENTION_REGEX = /(?<!\w)(\/?u|(?<=\/)user)\/([\w-]{3,20})\b/g;
+
+// Profile segments of a post's own url/permalink ("/user/name/comments/...")
+const USER_PATH_REGEX = /\/(u|user)\/([\w-]{3,20})(?=[/?#]|$)/gi;
+
+// Usernames replaced where they appear bare in text ("thanks JaneDoe") or in
+// links (".../user/JaneDoe"): only ones that can't be ordinary words - with a
+// digit, _ or -, or camelCase
+const DISTINCTIVE_NAME_REGEX = /[\d_-]|[a-z][A-Z]/;
+
+// Placeholder authors Reddit uses for removed accounts - nothing to hide
+const ANONYMOUS_AUTHORS = ['[deleted]', '[removed]'];
+
+/**
+ * Normalize a redaction setting from a request or job config: `true` turns
+ * every option on, an object picks options. Returns null when nothing is
+ * redacted; throws on unknown options.
+ */
+function normalizeRedaction(value) {
+    if (!value) return null;
+    if (value === true) {
+        return Object.fromEntries(Object.keys(REDACTION_OPTIONS).map(option => [option, true]));
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('redaction must be true or an object of options');
+    }
+
+    const unknown = Object.keys(value).filter(option => !REDACTION_OPTIONS[option]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown redaction option(s): ${unknown.join(', ')}. Available: ${Object.keys(REDACTION_OPTIONS).join(', ')}`);
+    }
+
+    const options = Object.fromEntries(Object.keys(REDACTION_OPTIONS).map(option => [option, Boolean(value[option])]));
+    return Object.values(options).some(Boolean) ? options : null;
+}
+
+/**
+ * A new random salt for a job's pseudonyms
+ */
+function createSalt() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Internal: Regex matching the scrape's distinctive usernames as whole words
+ * (case-insensitive), or null when there are none
+ */
+function bareNameRegex(posts) {
+    const names = new Set();
+    const walk = (comments) => {
+        for (const comment of comments || []) {
+            names.add(comment.author);
+            walk(comment.replies);
+        }
+    };
+    for (const post of posts) {
+        names.add(post.author);
+        walk(post.comments);
+    }
+
+    const distinctive = [...names]
+        .filter(name => name && name.length >= 3 && !ANONYMOUS_AUTHORS.includes(name) && DISTINCTIVE_NAME_REGEX.test(name))
+        .sort((a, b) => b.length - a.length)
+        .map(name => name.replace(/[.*+?^${}()|[\]\\-]/g, '\\$&'));
+    return distinctive.length > 0 ? new RegExp(`(?<![\\w-])(?:${distinctive.join('|')})(?![\\w-])`, 'gi') : null;
+}
+
+/**
+ * Redact a list of posts with their comment trees.
+ * Returns { posts, authors: { handle: username }, counts } - `posts` are
+ * copies; `counts` has the replacements per option (distinct usernames for authors).
+ */
+function redactPosts(posts, options, salt) {
+    const authors = {};
+    const counts = Object.fromEntries(Object.keys(REDACTION_OPTIONS).map(option => [option, 0]));
+
+    const pseudonym = (name) => {
+        const handle = `user_${crypto.createHmac('sha256', salt).update(name.toLowerCase()).digest('hex').slice(0, 8)}`;
+        if (!authors[handle]) {
+            counts.authors++;
+            authors[handle] = name;
+        }
+        return handle;
+    };
+    const redactAuthor = (name) => options.authors && name && !ANONYMOUS_AUTHORS.includes(name)
+        ? pseudonym(name)
+        : name;
+
+    const bareNames = options.authors ? bareNameRegex(posts) : null;
+
+    const redactText = (text) => {
+        if (!text) return text;
+        let result = text;
+        for (const { option, placeholder, regex, accept } of PATTERNS) {
+            if (!options[option]) continue;
+            result = result.replace(regex, (match) => {
+                if (accept && !accept(match)) return match;
+                counts[option]++;
+                return placeholder;
+            });
+        }
+        if (options.authors) {
+            result = result.replace(MENTION_REGEX, (match, prefix, name) => `${prefix}/${pseudonym(name)}`);
+            if (bareNames) {
+                result = result.replace(bareNames, (name) => pseudonym(name));
+            }
+        }
+        return result;
+    };
+
+    const redactLink = (link) => options.authors && link
+        ? link.replace(USER_PATH_REGEX, (match, segment, name) => `/${segment}/${pseudonym(name)}`)
+        : link;
+
+    const redactComment = (comment) => ({
+        ...comment,
+        author: redactAuthor(comment.author),
+        body: redactText(comment.body),
+        replies: (comment.replies || []).map(redactComment)
+    });
+
+    const redacted = posts.map(post => ({
+        ...post,
+        author: redactAuthor(post.author),
+        url: redactLink(post.url),
+        permalink: redactLink(post.permalink),
+        title: redactText(post.title),
+        selftext: redactText(post.selftext),
+        comments: (post.comments || []).map(redactComment)
+    }));
+
+    return { posts: redacted, authors, counts };
+}
+
+/**
+ * Redact a whole scrape (posts and the source log titles).
+ * Returns { data, authors, counts } like redactPosts.
+ */
+function redactScrape(scrapedData, options, salt) {
+    const { posts, authors, counts } = redactPosts(scrapedData.posts || [], options, salt);
+    const data = { ...scrapedData, posts };
+    if (scrapedData.sourceLog) {
+        // Titles and urls are the posts', already redacted above
+        data.sourceLog = scrapedData.sourceLog.map(entry => ({
+            ...entry,
+            url: posts[entry.index - 1]?.url ?? entry.url,
+            title: posts[entry.index - 1]?.title ?? entry.title
+        }));
+    }
+    return { data, authors, counts };
+}
+
+/**
+ * The username behind a pseudonym (anything else is returned unchanged)
+ */
+function unmaskAuthor(author, authors) {
+    return (author && authors?.[author]) || author;
+}
+
+module.exports = { REDACTION_OPTIONS, normalizeRedaction, createSalt, redactPosts, redactScrape, unmaskAuthor };
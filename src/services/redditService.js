@@ -1,42 +1,313 @@
 /**
  * Reddit Service - Handles all Reddit API interactions
- * Uses public JSON endpoints (no API key required)
+ * Uses public JSON endpoints by default (no API key required), or the
+ * OAuth API (oauth.reddit.com) when REDDIT_CLIENT_ID/SECRET are set
  */
 
+const fs = require('fs').promises;
+const RateLimiter = require('./rateLimiter');
+const { parseQuery, matchesQuery, toSearchQuery } = require('./keywordQuery');
+
+// Responses worth retrying: rate limits and transient server trouble
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+// Reddit's `t` windows from narrowest to widest, with their length in days
+const TIME_FILTERS = [['hour', 1 / 24], ['day', 1], ['week', 7], ['month', 31], ['year', 366], ['all', Infinity]];
+
 class RedditService {
     constructor() {
-        this.baseUrl = 'https://www.reddit.com';
-        this.delay = 2000; // 2 seconds between requests
+        this.publicBaseUrl = 'https://www.reddit.com';
+        this.oauthBaseUrl = 'https://oauth.reddit.com';
+        this.tokenUrl = 'https://www.reddit.com/api/v1/access_token';
+        this.baseUrl = this.publicBaseUrl;
+        this.delay = 2000; // Starting gap between requests, adapted from rate-limit headers
+        // One limiter for the whole process so concurrent jobs share the request budget
+        this.rateLimiter = new RateLimiter({ interval: this.delay });
+        this.maxRetries = 5;
+        this.backoffBase = 2000; // First retry waits ~2s, doubling each attempt
+        this.backoffMax = 60000;
         this.userAgent = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+        // App-only OAuth (client credentials) - enabled by reloadFromEnv()
+        this.clientId = null;
+        this.clientSecret = null;
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+        this.tokenPromise = null;
+        this.reloadFromEnv();
+    }
+
+    /**
+     * Reload OAuth credentials from environment (useful after .env changes)
+     */
+    reloadFromEnv() {
+        this.clientId = process.env.REDDIT_CLIENT_ID?.trim() || null;
+        this.clientSecret = process.env.REDDIT_CLIENT_SECRET?.trim() || null;
+        this.accessToken = null;
+        this.tokenExpiresAt = 0;
+
+        if (this.isOAuthEnabled()) {
+            this.baseUrl = this.oauthBaseUrl;
+            // Reddit requires a descriptive user agent for API clients
+            this.apiUserAgent = process.env.REDDIT_USER_AGENT?.trim() ||
+                'nodejs:reddit-market-research-app:v1.0.0';
+            // OAuth clients get ~100 requests/minute; headers fine-tune from there
+            this.rateLimiter.minInterval = 600;
+            this.rateLimiter.interval = 1000;
+        } else {
+            this.baseUrl = this.publicBaseUrl;
+            this.rateLimiter.minInterval = 1000;
+            this.rateLimiter.interval = this.delay;
+        }
+    }
+
+    /**
+     * Check if OAuth API mode is configured
+     */
+    isOAuthEnabled() {
+        return !!(this.clientId && this.clientSecret);
     }
 
     /**
-     * Make a request with rate limiting
+     * Current API mode, for settings display
      */
-    async _makeRequest(url) {
-        const response = await fetch(url, {
-            method: 'GET',
+    getMode() {
+        return this.isOAuthEnabled() ? 'oauth' : 'public';
+    }
+
+    /**
+     * Get an app-only access token, refreshing it a minute before it expires.
+     * Concurrent callers share one in-flight token request.
+     */
+    async _getAccessToken(signal = null) {
+        if (this.accessToken && Date.now() < this.tokenExpiresAt - 60000) {
+            return this.accessToken;
+        }
+
+        if (!this.tokenPromise) {
+            this.tokenPromise = this._requestAccessToken(signal).finally(() => {
+                this.tokenPromise = null;
+            });
+        }
+        return this.tokenPromise;
+    }
+
+    /**
+     * Internal: Request a new client-credentials token from Reddit
+     */
+    async _requestAccessToken(signal) {
+        const credentials = Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64');
+        const response = await fetch(this.tokenUrl, {
+            method: 'POST',
+            signal,
             headers: {
-                'User-Agent': this.userAgent,
-                'Accept': 'application/json, text/plain, */*',
-                'Accept-Language': 'en-US,en;q=0.9',
-            }
+                'Authorization': `Basic ${credentials}`,
+                'Content-Type': 'application/x-www-form-urlencoded',
+                'User-Agent': this.apiUserAgent
+            },
+            body: 'grant_type=client_credentials'
         });
 
-        if (response.status === 200) {
-            return await response.json();
-        } else if (response.status === 429) {
-            throw new Error('Rate limited by Reddit. Please wait a moment.');
-        } else {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        const data = await response.json().catch(() => ({}));
+        if (response.status !== 200 || !data.access_token) {
+            const error = new Error(`Reddit OAuth token request failed: ${data.error || `HTTP ${response.status}`}`);
+            error.status = response.status;
+            error.retryable = response.status >= 500;
+            throw error;
+        }
+
+        this.accessToken = data.access_token;
+        this.tokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000;
+        return this.accessToken;
+    }
+
+    /**
+     * Internal: Request headers for the current mode
+     */
+    async _requestHeaders(signal) {
+        if (this.isOAuthEnabled()) {
+            const token = await this._getAccessToken(signal);
+            return {
+                'Authorization': `Bearer ${token}`,
+                'User-Agent': this.apiUserAgent,
+                'Accept': 'application/json'
+            };
+        }
+
+        return {
+            'User-Agent': this.userAgent,
+            'Accept': 'application/json, text/plain, */*',
+            'Accept-Language': 'en-US,en;q=0.9',
+        };
+    }
+
+    /**
+     * Make a request with rate limiting, retrying 429/5xx and network errors
+     * with exponential backoff. Pass options.signal to abort the request when
+     * a job is cancelled, and options.stats to count retries and failures.
+     */
+    async _makeRequest(url, options = {}) {
+        const { signal = null, stats = null } = options;
+
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.acquire(signal);
+            if (stats) stats.requests++;
+
+            let error;
+            let retryAfterMs = null;
+
+            try {
+                const response = await fetch(url, {
+                    method: 'GET',
+                    signal,
+                    headers: await this._requestHeaders(signal)
+                });
+
+                this.rateLimiter.updateFromHeaders(response.headers);
+
+                if (response.status === 200) {
+                    return await response.json();
+                }
+
+                // Token revoked or expired early - drop it so the retry fetches a fresh one
+                const tokenRejected = response.status === 401 && this.isOAuthEnabled();
+                if (tokenRejected) {
+                    this.accessToken = null;
+                }
+
+                error = response.status === 429
+                    ? new Error('Rate limited by Reddit. Please wait a moment.')
+                    : new Error(`HTTP ${response.status}: ${response.statusText}`);
+                error.status = response.status;
+                error.retryable = tokenRejected || RETRYABLE_STATUSES.includes(response.status);
+                retryAfterMs = this._parseRetryAfter(response.headers.get('retry-after'));
+            } catch (e) {
+                if (signal?.aborted) throw signal.reason;
+                // Network errors and truncated bodies are transient
+                error = e;
+                error.retryable = e.retryable ?? true;
+            }
+
+            if (!error.retryable || attempt >= this.maxRetries) {
+                if (stats) stats.failures++;
+                throw error;
+            }
+
+            const wait = retryAfterMs ?? this._backoffDelay(attempt);
+            if (stats) stats.retries++;
+            console.warn(`Reddit request failed (${error.message}), retry ${attempt + 1}/${this.maxRetries} in ${Math.round(wait / 1000)}s: ${url}`);
+
+            if (error.status === 429) {
+                // Everyone sharing the limiter backs off, not just this caller
+                this.rateLimiter.pauseUntil(Date.now() + wait);
+            }
+            await this._sleep(wait, signal);
+        }
+    }
+
+    /**
+     * Exponential backoff with jitter: a random wait in [delay/2, delay]
+     */
+    _backoffDelay(attempt) {
+        const delay = Math.min(this.backoffMax, this.backoffBase * Math.pow(2, attempt));
+        return Math.round(delay / 2 + Math.random() * delay / 2);
+    }
+
+    /**
+     * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+     */
+    _parseRetryAfter(value) {
+        if (!value) return null;
+        const seconds = Number(value);
+        if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Fresh per-subreddit request counters for scrape metadata
+     */
+    _createStats(subreddit) {
+        return { subreddit, requests: 0, retries: 0, failures: 0, errors: [], excluded: {} };
+    }
+
+    /**
+     * Internal: Build a post filter from date-range and engagement options.
+     * Returns null when no filter is set, otherwise a function that returns
+     * the name of the first filter a post fails (or null if it passes).
+     */
+    _buildPostFilter({ startDate = null, endDate = null, minScore = null, minComments = null, minUpvoteRatio = null } = {}) {
+        const checks = [];
+
+        if (startDate) {
+            const start = Date.parse(startDate) / 1000;
+            checks.push(['startDate', post => post.createdUtc >= start]);
+        }
+        if (endDate) {
+            // A bare date means "through the end of that day"
+            const endMs = Date.parse(endDate) + (/^\d{4}-\d{2}-\d{2}$/.test(endDate) ? 24 * 60 * 60 * 1000 : 0);
+            checks.push(['endDate', post => post.createdUtc < endMs / 1000]);
+        }
+        if (minScore != null) {
+            checks.push(['minScore', post => post.score >= minScore]);
         }
+        if (minComments != null) {
+            checks.push(['minComments', post => post.numComments >= minComments]);
+        }
+        if (minUpvoteRatio != null) {
+            checks.push(['minUpvoteRatio', post => post.upvoteRatio >= minUpvoteRatio]);
+        }
+
+        if (checks.length === 0) return null;
+
+        return post => {
+            const failed = checks.find(([, passes]) => !passes(post));
+            return failed ? failed[0] : null;
+        };
+    }
+
+    /**
+     * Internal: Run a post through the filter, counting exclusions on stats
+     */
+    _excludedBy(post, filter, stats) {
+        const reason = filter ? filter(post) : null;
+        if (reason && stats) {
+            stats.excluded = stats.excluded || {};
+            stats.excluded[reason] = (stats.excluded[reason] || 0) + 1;
+        }
+        return reason;
     }
 
     /**
-     * Sleep helper for rate limiting
+     * Internal: Widen a `t` window so it reaches back to startDate
      */
-    _sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    _timeFilterCovering(timeFilter, startDate) {
+        if (!startDate) return timeFilter;
+
+        const daysBack = (Date.now() - Date.parse(startDate)) / (24 * 60 * 60 * 1000);
+        const current = TIME_FILTERS.findIndex(([name]) => name === timeFilter);
+        const needed = TIME_FILTERS.findIndex(([, days]) => days >= daysBack);
+        return TIME_FILTERS[Math.max(current, needed)][0];
+    }
+
+    /**
+     * Sleep helper for rate limiting (rejects early if the signal aborts)
+     */
+    _sleep(ms, signal = null) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) return reject(signal.reason);
+
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(signal.reason);
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
@@ -74,8 +345,6 @@ class RedditService {
             console.error('Subreddit search error:', e.message);
         }
 
-        await this._sleep(this.delay);
-
         // Strategy 2: Search posts and extract subreddits they're in
         try {
             const postSearchUrl = `${this.baseUrl}/search.json?q=${encodeURIComponent(topic)}&limit=100&sort=relevance`;
@@ -202,175 +471,321 @@ class RedditService {
 
     /**
      * Get posts from a subreddit
+     * Throws once retries are exhausted rather than returning a partial list
      */
     async getPosts(subreddit, options = {}) {
         const {
             sort = 'top',
-            timeFilter = 'year',
-            limit = 50
+            limit = 50,
+            maxPages = 10, // Only reached when filters discard most of each page
+            signal = null,
+            stats = null
         } = options;
 
+        const filter = this._buildPostFilter(options);
+        const timeFilter = this._timeFilterCovering(options.timeFilter || 'year', options.startDate);
         const posts = [];
         let after = null;
-        let fetched = 0;
+        let pages = 0;
 
-        while (fetched < limit) {
-            const batchLimit = Math.min(100, limit - fetched);
+        while (posts.length < limit && pages < maxPages) {
+            // Over-fetch when filtering since some of each page will be dropped
+            const batchLimit = filter ? 100 : Math.min(100, limit - posts.length);
             let url = `${this.baseUrl}/r/${subreddit}/${sort}.json?t=${timeFilter}&limit=${batchLimit}`;
 
             if (after) {
                 url += `&after=${after}`;
             }
 
-            try {
-                await this._sleep(this.delay);
-                const data = await this._makeRequest(url);
+            const data = await this._makeRequest(url, { signal, stats });
+            pages++;
 
-                if (!data?.data?.children?.length) {
-                    break;
-                }
+            if (!data?.data?.children?.length) {
+                break;
+            }
 
-                for (const child of data.data.children) {
-                    const post = child.data;
-                    posts.push({
-                        id: post.id,
-                        title: post.title,
-                        selftext: post.selftext || '',
-                        score: post.score || 0,
-                        upvoteRatio: post.upvote_ratio || 0,
-                        numComments: post.num_comments || 0,
-                        createdUtc: post.created_utc,
-                        author: post.author,
-                        permalink: post.permalink,
-                        url: `https://www.reddit.com${post.permalink}`,
-                        subreddit: subreddit,
-                        flair: post.link_flair_text,
-                        comments: []
-                    });
-                    fetched++;
-                    if (fetched >= limit) break;
+            let reachedStart = false;
+            for (const child of data.data.children) {
+                const post = this._mapPost(child.data, subreddit);
+                const reason = this._excludedBy(post, filter, stats);
+                if (reason) {
+                    // The "new" listing is newest-first, so nothing further back can match
+                    if (reason === 'startDate' && sort === 'new') {
+                        reachedStart = true;
+                        break;
+                    }
+                    continue;
                 }
 
-                after = data.data.after;
-                if (!after) break;
-
-            } catch (e) {
-                console.error(`Error fetching posts from r/${subreddit}:`, e.message);
-                break;
+                posts.push(post);
+                if (posts.length >= limit) break;
             }
+
+            after = data.data.after;
+            if (!after || reachedStart) break;
         }
 
         return posts;
     }
 
     /**
-     * Get comments for a post
+     * Internal: Convert a Reddit listing post into our post shape
      */
-    async getComments(permalink, limit = 50) {
-        const url = `${this.baseUrl}${permalink}.json?limit=${limit}&sort=top`;
+    _mapPost(post, subreddit) {
+        return {
+            id: post.id,
+            title: post.title,
+            selftext: post.selftext || '',
+            score: post.score || 0,
+            upvoteRatio: post.upvote_ratio || 0,
+            numComments: post.num_comments || 0,
+            createdUtc: post.created_utc,
+            author: post.author,
+            permalink: post.permalink,
+            url: `https://www.reddit.com${post.permalink}`,
+            subreddit: subreddit,
+            flair: post.link_flair_text,
+            comments: []
+        };
+    }
 
-        try {
-            await this._sleep(this.delay);
-            const data = await this._makeRequest(url);
+    /**
+     * Search a subreddit server-side (/r/{sub}/search.json?restrict_sr=1),
+     * paginating until `limit` posts that really match the query are found.
+     * Reddit's search is fuzzy, so every result is re-checked locally.
+     * `query` uses the keyword query syntax (see keywordQuery.js).
+     */
+    async searchPosts(subreddit, query, options = {}) {
+        const {
+            sort = 'top',
+            limit = 50,
+            maxPages = 10, // Reddit stops paginating search around 1000 results
+            signal = null,
+            stats = null
+        } = options;
+
+        const filter = this._buildPostFilter(options);
+        const timeFilter = this._timeFilterCovering(options.timeFilter || 'year', options.startDate);
+        const ast = parseQuery(query);
+        const searchQuery = toSearchQuery(ast);
+        const posts = [];
+        let scanned = 0;
+        let after = null;
+        let pages = 0;
 
-            if (!data || data.length < 2) {
-                return [];
+        while (posts.length < limit && pages < maxPages) {
+            let url = `${this.baseUrl}/r/${subreddit}/search.json?q=${encodeURIComponent(searchQuery)}` +
+                `&restrict_sr=1&type=link&sort=${sort}&t=${timeFilter}&limit=100`;
+            if (after) {
+                url += `&after=${after}`;
             }
 
-            const comments = [];
-            const commentData = data[1]?.data?.children || [];
-
-            for (const child of commentData) {
-                if (child.kind !== 't1') continue;
-
-                const c = child.data;
-                const comment = {
-                    id: c.id,
-                    body: c.body || '',
-                    score: c.score || 0,
-                    author: c.author,
-                    createdUtc: c.created_utc,
-                    replies: []
-                };
-
-                // Get nested replies (one level)
-                if (c.replies?.data?.children) {
-                    for (const reply of c.replies.data.children.slice(0, 5)) {
-                        if (reply.kind !== 't1') continue;
-                        const r = reply.data;
-                        comment.replies.push({
-                            id: r.id,
-                            body: r.body || '',
-                            score: r.score || 0,
-                            author: r.author
-                        });
-                    }
-                }
+            const data = await this._makeRequest(url, { signal, stats });
+            pages++;
+
+            const children = data?.data?.children || [];
+            for (const child of children) {
+                scanned++;
+                const post = this._mapPost(child.data, subreddit);
+                if (!matchesQuery(ast, `${post.title} ${post.selftext}`)) continue;
+                if (this._excludedBy(post, filter, stats)) continue;
 
-                comments.push(comment);
-                if (comments.length >= limit) break;
+                posts.push(post);
+                if (posts.length >= limit) break;
             }
 
-            return comments;
-        } catch (e) {
-            console.error('Error fetching comments:', e.message);
+            after = data?.data?.after;
+            if (!after || children.length === 0) break;
+        }
+
+        return {
+            query: searchQuery,
+            posts,
+            scanned,
+            // True when we stopped because of limit/maxPages rather than running out of results
+            moreAvailable: !!after
+        };
+    }
+
+    /**
+     * Get the comment tree for a post
+     * Returns top-level comments with nested `replies`; every node carries its
+     * Reddit `parentId` fullname (t3_ = the post, t1_ = a comment) and `depth`
+     * (0 = top-level). "more" stubs are resolved through /api/morechildren.
+     * Throws once retries are exhausted so callers can tell "no comments" from "failed"
+     */
+    async getComments(permalink, limit = 50, options = {}) {
+        const {
+            signal = null,
+            stats = null,
+            depth = 4,          // Reply levels kept below each top-level comment
+            replyLimit = 10,    // Replies kept per comment
+            expandMore = true,  // Resolve "load more comments" stubs
+            maxMoreRequests = 5 // Cap on morechildren calls per post
+        } = options;
+
+        const url = `${this.baseUrl}${permalink}.json?limit=${limit}&depth=${depth + 1}&sort=top`;
+        const data = await this._makeRequest(url, { signal, stats });
+
+        if (!data || data.length < 2) {
             return [];
         }
+
+        const limits = { maxDepth: depth, replyLimit, topLevelLimit: limit };
+        const linkId = data[0]?.data?.children?.[0]?.data?.name;
+        const comments = [];
+        const index = new Map(); // fullname -> node, for attaching morechildren results
+        const moreStubs = [];
+
+        for (const child of data[1]?.data?.children || []) {
+            this._addCommentThing(child, linkId, comments, index, moreStubs, limits);
+        }
+
+        if (expandMore && linkId && moreStubs.length > 0) {
+            await this._expandMoreStubs(linkId, comments, index, moreStubs, limits, maxMoreRequests, { signal, stats });
+        }
+
+        return comments;
     }
 
     /**
-     * Check if text matches keywords based on match mode
+     * Internal: Add a listing "thing" (t1 comment or more stub) to the tree
      */
-    _matchesKeywords(text, keywords, matchAll = false) {
-        if (!keywords || keywords.length === 0) return true;
+    _addCommentThing(thing, parentFullname, siblings, index, moreStubs, limits) {
+        if (thing.kind === 'more') {
+            // Empty "continue this thread" stubs have no ids to resolve
+            if (thing.data?.children?.length) {
+                moreStubs.push({ parentId: parentFullname, depth: thing.data.depth ?? 0, ids: thing.data.children });
+            }
+            return;
+        }
+        if (thing.kind !== 't1') return;
+
+        const c = thing.data;
+        const depth = c.depth ?? 0;
+        const siblingLimit = depth === 0 ? limits.topLevelLimit : limits.replyLimit;
+        if (depth > limits.maxDepth || siblings.length >= siblingLimit || index.has(c.name)) return;
+
+        const node = {
+            id: c.id,
+            parentId: c.parent_id || parentFullname,
+            depth,
+            body: c.body || '',
+            score: c.score || 0,
+            author: c.author,
+            createdUtc: c.created_utc,
+            replies: []
+        };
+        siblings.push(node);
+        index.set(c.name || `t1_${c.id}`, node);
 
-        const textLower = text.toLowerCase();
-        const keywordsLower = keywords.map(k => k.toLowerCase().trim());
+        for (const reply of c.replies?.data?.children || []) {
+            this._addCommentThing(reply, c.name, node.replies, index, moreStubs, limits);
+        }
+    }
 
-        if (matchAll) {
-            // AND mode - must match ALL keywords
-            return keywordsLower.every(keyword => textLower.includes(keyword));
-        } else {
-            // OR mode - must match ANY keyword
-            return keywordsLower.some(keyword => textLower.includes(keyword));
+    /**
+     * Internal: Resolve "more" stubs via /api/morechildren, shallowest first
+     */
+    async _expandMoreStubs(linkId, comments, index, moreStubs, limits, maxRequests, requestOptions) {
+        let requests = 0;
+
+        while (moreStubs.length > 0 && requests < maxRequests) {
+            moreStubs.sort((a, b) => a.depth - b.depth);
+            const stub = moreStubs.shift();
+            if (stub.depth > limits.maxDepth) continue;
+
+            // The endpoint accepts up to 100 ids per call
+            const ids = stub.ids.slice(0, 100);
+            if (stub.ids.length > 100) {
+                moreStubs.push({ ...stub, ids: stub.ids.slice(100) });
+            }
+
+            const url = `${this.baseUrl}/api/morechildren.json?api_type=json&link_id=${linkId}` +
+                `&children=${ids.join(',')}&sort=top&limit_children=false`;
+            requests++;
+
+            let data;
+            try {
+                data = await this._makeRequest(url, requestOptions);
+            } catch (e) {
+                if (requestOptions.signal?.aborted) throw e;
+                // A failed expansion only loses the extra replies - keep the rest of the tree
+                requestOptions.stats?.errors.push({ stage: 'morechildren', linkId, message: e.message });
+                continue;
+            }
+
+            // Things come back flat and parent-first, so parents are indexed before children
+            for (const thing of data?.json?.data?.things || []) {
+                const parentId = thing.data?.parent_id;
+                const siblings = parentId === linkId ? comments : index.get(parentId)?.replies;
+                if (!siblings) continue;
+
+                if (thing.kind === 'more') {
+                    this._addCommentThing(thing, parentId, siblings, index, moreStubs, limits);
+                } else {
+                    // morechildren returns replies without nesting; add the node alone
+                    this._addCommentThing({ kind: 't1', data: { ...thing.data, replies: '' } }, parentId, siblings, index, moreStubs, limits);
+                }
+            }
         }
     }
 
     /**
-     * Preview keyword matches across subreddits (quick scan)
+     * Flatten a comment tree into a list (depth-first)
+     */
+    flattenComments(comments) {
+        const flat = [];
+        const walk = (nodes) => {
+            for (const node of nodes || []) {
+                flat.push(node);
+                walk(node.replies);
+            }
+        };
+        walk(comments);
+        return flat;
+    }
+
+    /**
+     * Preview keyword matches across subreddits using server-side search.
+     * Counts are capped at `maxMatches` per subreddit to keep previews quick;
+     * `moreAvailable` flags subreddits with matches beyond the cap.
      */
-    async previewKeywordMatches(subreddits, keywords, options = {}) {
-        const { matchAll = false, sort = 'top', timeFilter = 'year' } = options;
+    async previewKeywordMatches(subreddits, query, options = {}) {
+        const { maxMatches = 300, ...searchOptions } = options;
         const results = [];
         let totalMatches = 0;
 
         for (const subreddit of subreddits) {
-            await this._sleep(this.delay);
-
-            // Fetch a batch of posts to scan
-            const posts = await this.getPosts(subreddit, { sort, timeFilter, limit: 100 });
-
-            // Filter posts that match keywords
-            const matchingPosts = posts.filter(post => {
-                const text = `${post.title} ${post.selftext}`;
-                return this._matchesKeywords(text, keywords, matchAll);
-            });
+            const stats = this._createStats(subreddit);
+            let search;
+            try {
+                search = await this.searchPosts(subreddit, query, {
+                    ...searchOptions, limit: maxMatches, maxPages: Math.ceil(maxMatches / 100), stats
+                });
+            } catch (e) {
+                console.error(`Preview error for r/${subreddit}:`, e.message);
+                results.push({ subreddit, totalScanned: 0, matchingPosts: 0, moreAvailable: false, sampleTitles: [], error: e.message });
+                continue;
+            }
 
             results.push({
                 subreddit,
-                totalScanned: posts.length,
-                matchingPosts: matchingPosts.length,
-                sampleTitles: matchingPosts.slice(0, 3).map(p =>
+                totalScanned: search.scanned,
+                matchingPosts: search.posts.length,
+                moreAvailable: search.moreAvailable,
+                excluded: stats.excluded,
+                sampleTitles: search.posts.slice(0, 3).map(p =>
                     p.title.length > 60 ? p.title.substring(0, 60) + '...' : p.title
                 )
             });
 
-            totalMatches += matchingPosts.length;
+            totalMatches += search.posts.length;
         }
 
         return {
-            keywords,
-            matchAll,
+            query,
+            searchQuery: toSearchQuery(parseQuery(query)),
             totalMatches,
             subredditResults: results
         };
@@ -397,7 +812,33 @@ class RedditService {
     }
 
     /**
-     * Full scrape of multiple subreddits with optional keyword filtering
+     * Load a scrape checkpoint from disk (null if none exists yet)
+     */
+    async _loadCheckpoint(checkpointPath) {
+        try {
+            const raw = await fs.readFile(checkpointPath, 'utf-8');
+            return JSON.parse(raw);
+        } catch (err) {
+            if (err.code === 'ENOENT') return null;
+            console.error('Ignoring unreadable checkpoint:', err.message);
+            return null;
+        }
+    }
+
+    /**
+     * Write a scrape checkpoint atomically (tmp file + rename)
+     */
+    async _saveCheckpoint(checkpointPath, state) {
+        state.updatedAt = new Date().toISOString();
+        const tmpPath = `${checkpointPath}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(state));
+        await fs.rename(tmpPath, checkpointPath);
+    }
+
+    /**
+     * Full scrape of multiple subreddits with optional keyword, date-range
+     * and engagement filtering. When options.checkpointPath is set, progress is checkpointed after every
+     * post so an interrupted scrape can pick up where it left off.
      */
     async scrapeSubreddits(subreddits, options = {}, progressCallback = null) {
         const {
@@ -405,45 +846,103 @@ class RedditService {
             timeFilter = 'year',
             postLimit = 50,
             commentLimit = 50,
-            keywords = [],
-            matchAll = false
+            commentDepth = 4,
+            replyLimit = 10,
+            expandMore = true,
+            query = null,
+            startDate = null,
+            endDate = null,
+            minScore = null,
+            minComments = null,
+            minUpvoteRatio = null,
+            checkpointPath = null,
+            signal = null
         } = options;
 
-        const hasKeywordFilter = keywords && keywords.length > 0;
+        const filters = { startDate, endDate, minScore, minComments, minUpvoteRatio };
+
+        const hasKeywordFilter = !!query;
+        const queryAst = hasKeywordFilter ? parseQuery(query) : null;
         const allPosts = [];
-        const sourceLog = [];
+        const subredditStats = [];
         let totalProgress = 0;
 
-        // If filtering by keywords, we need to fetch more posts to find enough matches
-        const fetchLimit = hasKeywordFilter ? Math.min(postLimit * 3, 100) : postLimit;
+        // Checkpoint state: per-subreddit post list plus how far comment fetching got
+        const checkpoint = checkpointPath ? await this._loadCheckpoint(checkpointPath) : null;
+        const state = checkpoint || { startedAt: new Date().toISOString(), subreddits: {} };
+        const resumed = !!checkpoint;
+        const saveState = () => checkpointPath ? this._saveCheckpoint(checkpointPath, state) : Promise.resolve();
+
         const totalWork = subreddits.length * postLimit;
 
         for (const subreddit of subreddits) {
-            if (progressCallback) {
-                progressCallback({
-                    phase: 'posts',
-                    subreddit,
-                    message: hasKeywordFilter
-                        ? `Searching r/${subreddit} for keyword matches...`
-                        : `Fetching posts from r/${subreddit}...`,
-                    progress: Math.round((totalProgress / totalWork) * 100)
-                });
+            signal?.throwIfAborted();
+            let entry = state.subreddits[subreddit];
+            if (entry && !entry.stats) {
+                entry.stats = this._createStats(subreddit);
             }
 
-            let posts = await this.getPosts(subreddit, { sort, timeFilter, limit: fetchLimit });
+            // Completed on a previous run - reuse as-is
+            if (entry?.complete) {
+                subredditStats.push(entry.stats);
+                allPosts.push(...entry.posts);
+                totalProgress += entry.posts.length;
+                continue;
+            }
+
+            if (!entry) {
+                if (progressCallback) {
+                    progressCallback({
+                        phase: 'posts',
+                        subreddit,
+                        message: hasKeywordFilter
+                            ? `Searching r/${subreddit} for keyword matches...`
+                            : `Fetching posts from r/${subreddit}...`,
+                        progress: Math.round((totalProgress / totalWork) * 100)
+                    });
+                }
+
+                const stats = this._createStats(subreddit);
+                let posts;
+                try {
+                    if (hasKeywordFilter) {
+                        // Server-side search finds matches beyond the first page of the listing
+                        const search = await this.searchPosts(subreddit, query, {
+                            ...filters, sort, timeFilter, limit: postLimit, signal, stats
+                        });
+                        posts = search.posts;
+                        stats.searchQuery = search.query;
+                        stats.searchScanned = search.scanned;
+                    } else {
+                        posts = await this.getPosts(subreddit, {
+                            ...filters, sort, timeFilter, limit: postLimit, signal, stats
+                        });
+                    }
+                } catch (e) {
+                    // Transient failures fail the job (resumable from the checkpoint);
+                    // a missing/private subreddit is recorded and skipped
+                    if (signal?.aborted || e.retryable) throw e;
+                    stats.errors.push({ stage: 'posts', message: e.message });
+                    console.error(`Skipping r/${subreddit}:`, e.message);
+                    posts = [];
+                }
 
-            // Filter posts by keywords if specified
-            if (hasKeywordFilter) {
-                posts = posts.filter(post => {
-                    const text = `${post.title} ${post.selftext}`;
-                    return this._matchesKeywords(text, keywords, matchAll);
+                entry = { posts, nextPostIndex: 0, complete: false, stats };
+                state.subreddits[subreddit] = entry;
+                await saveState();
+            } else if (progressCallback) {
+                progressCallback({
+                    phase: 'resuming',
+                    subreddit,
+                    message: `Resuming r/${subreddit} at post ${entry.nextPostIndex + 1}/${entry.posts.length}...`,
+                    progress: Math.round(((totalProgress + entry.nextPostIndex) / totalWork) * 100)
                 });
-                // Limit to requested amount after filtering
-                posts = posts.slice(0, postLimit);
             }
 
-            let matchedPostCount = 0;
-            for (let i = 0; i < posts.length; i++) {
+            const posts = entry.posts;
+            totalProgress += entry.nextPostIndex;
+
+            for (let i = entry.nextPostIndex; i < posts.length; i++) {
                 const post = posts[i];
 
                 if (progressCallback) {
@@ -457,46 +956,82 @@ class RedditService {
                     });
                 }
 
-                let comments = await this.getComments(post.permalink, commentLimit);
+                let comments;
+                try {
+                    comments = await this.getComments(post.permalink, commentLimit, {
+                        signal,
+                        stats: entry.stats,
+                        depth: commentDepth,
+                        replyLimit,
+                        expandMore
+                    });
+                } catch (e) {
+                    if (signal?.aborted || e.retryable) throw e;
+                    // e.g. the post was removed after listing - keep the post, note the failure
+                    entry.stats.errors.push({ stage: 'comments', postId: post.id, message: e.message });
+                    comments = [];
+                }
 
-                // Filter comments by keywords if specified
+                // Keep comment threads that match the query
                 if (hasKeywordFilter) {
                     comments = comments.filter(comment => {
-                        const commentText = comment.body + ' ' + (comment.replies || []).map(r => r.body).join(' ');
-                        return this._matchesKeywords(commentText, keywords, matchAll);
+                        const commentText = this.flattenComments([comment]).map(c => c.body).join(' ');
+                        return matchesQuery(queryAst, commentText);
                     });
                 }
 
                 post.comments = comments;
-
-                sourceLog.push({
-                    index: sourceLog.length + 1,
-                    url: post.url,
-                    subreddit: `r/${subreddit}`,
-                    title: post.title.length > 80 ? post.title.substring(0, 80) + '...' : post.title,
-                    score: post.score,
-                    numComments: post.numComments,
-                    value: this.assessPostValue(post),
-                    keywordMatched: hasKeywordFilter
-                });
+                entry.nextPostIndex = i + 1;
+                await saveState();
 
                 totalProgress++;
-                matchedPostCount++;
             }
 
+            entry.complete = true;
+            await saveState();
+            subredditStats.push(entry.stats);
             allPosts.push(...posts);
         }
 
+        // Build the source log from the final post order so indices stay stable across resumes
+        const sourceLog = allPosts.map((post, i) => ({
+            index: i + 1,
+            url: post.url,
+            subreddit: `r/${post.subreddit}`,
+            title: post.title.length > 80 ? post.title.substring(0, 80) + '...' : post.title,
+            score: post.score,
+            numComments: post.numComments,
+            value: this.assessPostValue(post),
+            keywordMatched: hasKeywordFilter
+        }));
+
+        // Posts dropped by each filter across all subreddits (a post counts
+        // against the first filter it fails)
+        const excludedByFilter = {};
+        for (const stats of subredditStats) {
+            for (const [name, count] of Object.entries(stats.excluded || {})) {
+                excludedByFilter[name] = (excludedByFilter[name] || 0) + count;
+            }
+        }
+
         return {
             metadata: {
                 scrapedAt: new Date().toISOString(),
                 subreddits,
                 sort,
-                timeFilter,
-                keywords: hasKeywordFilter ? keywords : null,
-                matchAll: hasKeywordFilter ? matchAll : null,
+                timeFilter: this._timeFilterCovering(timeFilter, startDate),
+                query: hasKeywordFilter ? query : null,
+                filters: Object.fromEntries(Object.entries(filters).filter(([, value]) => value != null)),
+                excludedByFilter,
+                commentDepth,
+                replyLimit,
                 totalPosts: allPosts.length,
-                totalComments: allPosts.reduce((sum, p) => sum + p.comments.length, 0)
+                totalComments: allPosts.reduce((sum, p) => sum + this.flattenComments(p.comments).length, 0),
+                resumedFromCheckpoint: resumed,
+                subredditStats: subredditStats.map(stats => ({
+                    ...stats,
+                    postsFetched: allPosts.filter(p => p.subreddit === stats.subreddit).length
+                }))
             },
             posts: allPosts,
             sourceLog
@@ -0,0 +1,86 @@
+/**
+ * Schema Validator - Minimal JSON Schema checker for LLM output
+ * Supports the subset our schemas use: type (single or list), enum, required,
+ * properties, items, minimum/maximum and local $refs (#/$defs/...).
+ * Unknown properties are allowed so extra fields from the model don't fail validation.
+ */
+
+/**
+ * JSON type name of a value ('integer' values also count as 'number')
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema $ref: ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node?.[key], root);
+}
+
+function validateNode(root, schema, value, path, errors) {
+    if (schema.$ref) {
+        schema = resolveRef(root, schema.$ref);
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push({ path, message: `expected ${types.join(' or ')}, got ${typeOf(value)}` });
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+        return;
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) {
+                errors.push({ path: `${path}.${key}`, message: 'is required' });
+            }
+        }
+        for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+            if (value[key] !== undefined) {
+                validateNode(root, propertySchema, value[key], `${path}.${key}`, errors);
+            }
+        }
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) => validateNode(root, schema.items, item, `${path}[${i}]`, errors));
+    }
+}
+
+/**
+ * Validate a value against a schema.
+ * Returns a list of { path, message } errors - empty when valid.
+ * Paths look like $.painPoints[2].volumeScore
+ */
+function validate(schema, value) {
+    const errors = [];
+    validateNode(schema, schema, value, '$', errors);
+    return errors;
+}
+
+module.exports = { validate };
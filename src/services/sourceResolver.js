@@ -0,0 +1,203 @@
+/**
+ * Source Resolver - Ties SOURCE LOG references in an analysis back to the scrape
+ *
+ * The framework asks the model to cite SOURCE LOG numbers (the POST # of the
+ * prompt). References in the hypotheses, mechanisms and copy bank - plus the
+ * model's own source log - are resolved to the scrape's sourceLog entries.
+ * Numbers outside the scrape and URLs of threads that weren't scraped are
+ * flagged as invalid.
+ */
+
+// "Source #3", "POST #3, #7", "SOURCE LOG #3 and 5", "Key Source Threads: 1, 2, 5".
+// A bare number needs a citation marker (#, SOURCE LOG or a "Sources:" label),
+// so "failed in 2023 threads 2024" cites nothing.
+const NUMBER_REF_REGEX = /\b(?:source log\s*(?:numbers?)?\s*:?\s*#?|(?:sources?|posts?|threads?)\s*(?:numbers?\s*)?(?:#|:\s*#?))\s*(\d+)((?:\s*(?:,|&|and)\s*#?\d+)*)/gi;
+const URL_REGEX = /https?:\/\/[^\s)\]>"'|]+/g;
+
+/**
+ * Internal: Lookup tables for the scrape's sources by number and by Reddit post id
+ */
+function buildLookup(scrapedData) {
+    const posts = scrapedData.posts || [];
+    // Older scrapes may lack a sourceLog; the numbering is the post order either way
+    const entries = scrapedData.sourceLog || posts.map((post, i) => ({
+        index: i + 1,
+        url: post.url,
+        subreddit: `r/${post.subreddit}`,
+        title: post.title,
+        score: post.score,
+        numComments: post.numComments
+    }));
+
+    const byIndex = new Map(entries.map(entry => [entry.index, entry]));
+    const byPostId = new Map();
+    entries.forEach(entry => {
+        const id = postIdFromUrl(entry.url);
+        if (id) byPostId.set(id, entry);
+    });
+
+    return { byIndex, byPostId };
+}
+
+/**
+ * Internal: Reddit post id from a thread or comment URL
+ */
+function postIdFromUrl(url) {
+    return url?.match(/reddit\.com\/(?:r\/[^/]+\/)?comments\/([a-z0-9]+)/i)?.[1]?.toLowerCase() || null;
+}
+
+/**
+ * Internal: Source numbers and URLs cited in a piece of report text
+ */
+function findRefs(text) {
+    const refs = [];
+    const addNumbers = (list) => {
+        for (const m of list.matchAll(/\d+/g)) refs.push(parseInt(m[0]));
+    };
+
+    for (const m of text.matchAll(NUMBER_REF_REGEX)) addNumbers(`${m[1]} ${m[2]}`);
+    for (const m of text.matchAll(URL_REGEX)) refs.push(m[0].replace(/[.,;]+$/, ''));
+
+    return [...new Set(refs)];
+}
+
+/**
+ * Internal: Resolve one reference (a source number or a URL) against the scrape
+ */
+function resolveRef(ref, lookup) {
+    const entry = typeof ref === 'number'
+        ? lookup.byIndex.get(ref)
+        : lookup.byPostId.get(postIdFromUrl(ref));
+
+    if (!entry) {
+        return { ref, valid: false, index: null, url: typeof ref === 'string' ? ref : null };
+    }
+    return {
+        ref,
+        valid: true,
+        index: entry.index,
+        url: entry.url,
+        title: entry.title,
+        subreddit: entry.subreddit,
+        score: entry.score,
+        numComments: entry.numComments
+    };
+}
+
+/**
+ * Internal: Items that cite sources, taken from the JSON document
+ */
+function itemsFromDocument(document) {
+    const items = { hypotheses: [], mechanisms: [], copyBank: [], sourceLog: [] };
+
+    for (const hypothesis of document.hypotheses || []) {
+        items.hypotheses.push({ number: hypothesis.number, label: hypothesis.name, refs: hypothesis.sources || [] });
+    }
+    for (const mechanism of document.mechanisms || []) {
+        items.mechanisms.push({ group: mechanism.side, label: mechanism.name, text: mechanism.description, refs: mechanism.sources || [] });
+    }
+    for (const [category, phrases] of Object.entries(document.copyBank || {})) {
+        for (const quote of phrases || []) {
+            items.copyBank.push({ group: category, label: quote.text, refs: quote.source ? [quote.source] : [] });
+        }
+    }
+    for (const entry of document.sourceLog || []) {
+        // The model's own log: both its number and its URL must point at a scraped thread
+        const refs = [entry.index];
+        if (entry.url) refs.push(entry.url);
+        items.sourceLog.push({ label: entry.title || `Source #${entry.index}`, refs });
+    }
+
+    return items;
+}
+
+/**
+ * Internal: Items that cite sources, scraped from the markdown sections
+ */
+function itemsFromMarkdown(sections, hypotheses) {
+    const lines = (text) => (text || '').split('\n')
+        .map(line => line.replace(/^\s*(?:[-*]|\d+\.)\s*/, '').trim())
+        .filter(Boolean);
+    const label = (line) => line.length > 120 ? line.slice(0, 117) + '...' : line;
+
+    return {
+        hypotheses: hypotheses.map(hypothesis => ({
+            number: hypothesis.number,
+            label: hypothesis.name,
+            refs: findRefs(hypothesis.content)
+        })),
+        mechanisms: lines(sections.mechanismExtraction)
+            .map(line => ({ group: /fail/i.test(line) ? 'failed' : 'problem', label: label(line), refs: findRefs(line) }))
+            .filter(item => item.refs.length > 0),
+        copyBank: lines(sections.languageMining)
+            .map(line => ({ group: null, label: label(line), refs: findRefs(line) }))
+            .filter(item => item.refs.length > 0),
+        // Numbered log lines: "3. https://... | r/sub | "Title" | ..."
+        sourceLog: [...(sections.sourceLog || '').matchAll(/^\s*(\d+)\.\s+(.+)$/gm)].map(m => {
+            const refs = [parseInt(m[1])];
+            const url = m[2].match(URL_REGEX)?.[0];
+            if (url) refs.push(url);
+            return { label: label(m[2]), refs };
+        })
+    };
+}
+
+/**
+ * Resolve the source references of a parsed analysis.
+ * `structured` is the output of claudeService._parseAnalysis (sections +
+ * hypotheses); `document` the validated JSON document, preferred when present.
+ * Returns { summary: { total, resolved, invalid }, hypotheses, mechanisms,
+ * copyBank, sourceLog, invalid } where every item lists its resolved `sources`.
+ */
+function resolveSources(structured, document, scrapedData) {
+    const lookup = buildLookup(scrapedData);
+    const items = document
+        ? itemsFromDocument(document)
+        : itemsFromMarkdown(structured.sections, structured.hypotheses);
+
+    const result = { summary: { total: 0, resolved: 0, invalid: 0 }, invalid: [] };
+    for (const [section, sectionItems] of Object.entries(items)) {
+        result[section] = sectionItems.map(({ refs, ...item }) => {
+            const sources = refs.map(ref => resolveRef(ref, lookup));
+            for (const source of sources) {
+                result.summary.total++;
+                if (source.valid) {
+                    result.summary.resolved++;
+                } else {
+                    result.summary.invalid++;
+                    result.invalid.push({ section, label: item.label, ref: source.ref });
+                }
+            }
+            return { ...item, sources };
+        });
+    }
+
+    return result;
+}
+
+/**
+ * Threads PHASE 7 flags for deep-dive analysis, as source numbers:
+ * { symptomLanguage: [...], mechanismEvidence: [...] }
+ * Each list is read from the text after its heading ("TOP 5 for SYMPTOM LANGUAGE")
+ * up to the other heading.
+ */
+function extractPriorityThreads(sourceLogText) {
+    const text = sourceLogText || '';
+    const symptomAt = text.search(/SYMPTOM LANGUAGE/i);
+    const mechanismAt = text.search(/MECHANISM EVIDENCE/i);
+
+    const numbersBetween = (start, otherStart) => {
+        if (start < 0) return [];
+        const segment = text.slice(start, otherStart > start ? otherStart : undefined);
+        const numbers = [...segment.matchAll(/#(\d+)|\b(?:sources?|posts?|threads?)\s+(\d+)/gi)]
+            .map(m => parseInt(m[1] || m[2]));
+        return [...new Set(numbers)];
+    };
+
+    return {
+        symptomLanguage: numbersBetween(symptomAt, mechanismAt),
+        mechanismEvidence: numbersBetween(mechanismAt, symptomAt)
+    };
+}
+
+module.exports = { resolveSources, extractPriorityThreads };
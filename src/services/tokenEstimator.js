@@ -0,0 +1,17 @@
+/**
+ * Token Estimator - Rough token counts for budgeting Claude prompts
+ * Claude averages roughly 3.5 characters per token on English text; we
+ * round up so budgets err on the side of smaller prompts.
+ */
+
+const CHARS_PER_TOKEN = 3.5;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ */
+function estimateTokens(text) {
+    if (!text) return 0;
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+module.exports = { estimateTokens, CHARS_PER_TOKEN };
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { compareAnalyses, spearman } = require('../src/services/analysisComparison');
+
+/**
+ * An entry for compareAnalyses from [name, priorityScore] pain points and hypothesis names
+ */
+function entry(id, painPoints, hypotheses = []) {
+    return {
+        id,
+        label: id.toUpperCase(),
+        analysis: {
+            structured: {
+                painPoints: painPoints.map(([name, priorityScore]) => ({ name, priorityScore })),
+                hypotheses: hypotheses.map((name, i) => ({ name, number: i + 1 }))
+            },
+            metadata: { provider: 'mock', model: 'm' }
+        }
+    };
+}
+
+describe('spearman', () => {
+    it('is 1 for the same order and -1 for the reverse', () => {
+        assert.equal(spearman([1, 2, 3, 4], [10, 20, 30, 40]), 1);
+        assert.equal(spearman([1, 2, 3], [3, 2, 1]), -1);
+    });
+
+    it('gives tied values their average rank', () => {
+        assert.equal(spearman([1, 1, 2], [5, 6, 7]), 0.866);
+    });
+
+    it('is null without enough pairs or variation', () => {
+        assert.equal(spearman([1], [2]), null);
+        assert.equal(spearman([3, 3, 3], [1, 2, 3]), null);
+    });
+});
+
+describe('compareAnalyses', () => {
+    const comparison = compareAnalyses([
+        entry('a', [['Morning Bloating', 9], ['Afternoon energy crash', 7], ['Brain fog', 5]], ['Gut Clock']),
+        entry('b', [['Bloated mornings', 8], ['Brain-fog at work', 6], ['Energy crashes in the afternoon', 4], ['Poor sleep', 3]], ['The Gut Clock', 'Sleep Debt'])
+    ]);
+
+    it('matches differently worded names', () => {
+        const matched = comparison.painPoints.rows
+            .filter(row => row.foundIn === 2)
+            .map(row => row.cells.map(cell => cell.name));
+        assert.deepEqual(matched, [
+            ['Morning Bloating', 'Bloated mornings'],
+            ['Afternoon energy crash', 'Energy crashes in the afternoon'],
+            ['Brain fog', 'Brain-fog at work']
+        ]);
+    });
+
+    it('keeps unmatched items in rows of their own', () => {
+        const last = comparison.painPoints.rows[comparison.painPoints.rows.length - 1];
+        assert.equal(last.name, 'Poor sleep');
+        assert.deepEqual(last.cells.map(Boolean), [false, true]);
+    });
+
+    it('reports pair overlap and rank correlation', () => {
+        assert.deepEqual(comparison.painPoints.pairs, [
+            { a: 0, b: 1, matched: 3, onlyA: 0, onlyB: 1, sharedShare: 0.75, rankCorrelation: 0.5 }
+        ]);
+        assert.equal(comparison.painPoints.foundByAllShare, 0.75);
+        assert.deepEqual(comparison.hypotheses.pairs, [
+            { a: 0, b: 1, matched: 1, onlyA: 0, onlyB: 1, sharedShare: 0.5 }
+        ]);
+    });
+
+    it('matches an item at most once per analysis', () => {
+        const result = compareAnalyses([
+            entry('a', [['Bloating', 5]]),
+            entry('b', [['Bloating', 5], ['Bloating pain', 4]])
+        ]);
+        assert.equal(result.painPoints.rows.length, 2);
+        assert.equal(result.painPoints.pairs[0].matched, 1);
+    });
+
+    it('summarizes each analysis', () => {
+        assert.deepEqual(comparison.analyses.map(a => [a.id, a.label, a.painPointsFound, a.hypothesesGenerated]), [
+            ['a', 'A', 3, 1],
+            ['b', 'B', 4, 2]
+        ]);
+    });
+});
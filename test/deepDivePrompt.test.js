@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { generateDeepDivePrompt } = require('../src/services/extractionPrompt');
+const { extractPriorityThreads } = require('../src/services/sourceResolver');
+const frameworks = require('../src/services/frameworks');
+
+const scrapedData = {
+    metadata: { subreddits: ['productivity'], totalPosts: 1, totalComments: 1, scrapedAt: '2026-01-01T00:00:00.000Z' },
+    posts: []
+};
+
+const threads = [{
+    number: 3,
+    post: {
+        url: 'https://www.reddit.com/r/productivity/comments/abc/syncing/',
+        subreddit: 'productivity',
+        title: 'Our calendar sync keeps breaking',
+        selftext: 'Every Monday the team calendar is out of date.',
+        score: 40,
+        numComments: 1,
+        comments: [{ id: 'c1', author: 'pm_anna', body: 'We gave up and use a spreadsheet now.', score: 5, replies: [] }]
+    }
+}];
+
+// Wording that only makes sense for health research
+const HEALTH_WORDING = [/physically/i, /body location/i, /Physical \/ Emotional/i, /do you experience/i, /symptom/i];
+
+const prompt = (frameworkName, focus) =>
+    generateDeepDivePrompt(scrapedData, 'team calendars', focus, threads, frameworks.getFramework(frameworkName));
+
+describe('deep-dive focuses', () => {
+    const names = frameworks.listFrameworks().map(framework => framework.name);
+    const flagLists = Object.keys(extractPriorityThreads(''));
+
+    it('gives every framework both focuses, each defaulting to a PHASE 7 flag list', () => {
+        for (const name of names) {
+            const focuses = frameworks.getFramework(name).deepDiveFocuses;
+            assert.deepEqual(Object.keys(focuses), ['symptoms', 'mechanisms'], name);
+            for (const focus of Object.values(focuses)) {
+                assert.ok(focus.label && focus.instructions, name);
+                assert.ok(flagLists.includes(focus.priorityThreads), `${name}: ${focus.priorityThreads}`);
+            }
+        }
+    });
+
+    it('keeps health wording out of non-health deep dives', () => {
+        for (const name of ['software', 'consumer-products']) {
+            for (const focus of ['symptoms', 'mechanisms']) {
+                const text = prompt(name, focus);
+                for (const wording of HEALTH_WORDING) {
+                    assert.doesNotMatch(text, wording, `${name} / ${focus}`);
+                }
+            }
+        }
+    });
+
+    it('uses the framework\'s own focus in the prompt', () => {
+        const text = prompt('software', 'symptoms');
+        assert.match(text, /DEEP DIVE: WORKFLOW PAIN LANGUAGE/);
+        assert.match(text, /flagged as top priority for workflow pain language/);
+        assert.match(text, /We gave up and use a spreadsheet now\./);
+    });
+
+    it('keeps the symptom prompt for supplement research', () => {
+        const text = prompt('supplements', 'symptoms');
+        assert.match(text, /DEEP DIVE: SYMPTOM LANGUAGE/);
+        assert.match(text, /Body location/);
+    });
+});
@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    QueryParseError,
+    parseQuery,
+    keywordsToQuery,
+    matchesQuery,
+    toSearchQuery
+} = require('../src/services/keywordQuery');
+
+const matches = (query, text) => matchesQuery(parseQuery(query), text);
+
+/**
+ * Assert that parsing fails with a QueryParseError at `position`
+ */
+function assertParseError(query, position, message) {
+    assert.throws(() => parseQuery(query), (err) => {
+        assert.ok(err instanceof QueryParseError);
+        assert.equal(err.position, position);
+        assert.equal(err.query, query);
+        if (message) assert.match(err.message, message);
+        return true;
+    });
+}
+
+describe('parseQuery', () => {
+    it('parses a single term', () => {
+        assert.deepEqual(parseQuery('Bloating'), { type: 'term', value: 'bloating', wildcard: false });
+    });
+
+    it('implies AND between terms', () => {
+        assert.deepEqual(parseQuery('bloating gas'), parseQuery('bloating AND gas'));
+        assert.equal(parseQuery('bloating gas').type, 'and');
+    });
+
+    it('binds AND tighter than OR', () => {
+        const ast = parseQuery('a OR b c');
+        assert.equal(ast.type, 'or');
+        assert.equal(ast.children[0].value, 'a');
+        assert.equal(ast.children[1].type, 'and');
+    });
+
+    it('binds NOT to the next operand only', () => {
+        const ast = parseQuery('NOT keto bloating');
+        assert.equal(ast.type, 'and');
+        assert.equal(ast.children[0].type, 'not');
+        assert.equal(ast.children[0].child.value, 'keto');
+    });
+
+    it('groups with parentheses', () => {
+        const ast = parseQuery('(a OR b) AND NOT c');
+        assert.equal(ast.type, 'and');
+        assert.equal(ast.children[0].type, 'or');
+        assert.equal(ast.children[1].type, 'not');
+    });
+
+    it('parses phrases and wildcards', () => {
+        assert.deepEqual(parseQuery('"blood sugar"'), {
+            type: 'phrase',
+            terms: [
+                { type: 'term', value: 'blood', wildcard: false },
+                { type: 'term', value: 'sugar', wildcard: false }
+            ]
+        });
+        assert.deepEqual(parseQuery('bloat*'), { type: 'term', value: 'bloat', wildcard: true });
+    });
+
+    it('treats lowercase operators as words', () => {
+        assert.deepEqual(parseQuery('salt and pepper'), parseQuery('salt AND and AND pepper'));
+    });
+});
+
+describe('parseQuery errors', () => {
+    it('rejects empty queries', () => {
+        assertParseError('', 0, /empty/);
+        assertParseError('   ', 0, /empty/);
+    });
+
+    it('reports unbalanced parentheses', () => {
+        assertParseError('(a OR b', 0, /Missing closing parenthesis/);
+        assertParseError('a OR b)', 6, /Unexpected closing parenthesis/);
+        assertParseError('a ()', 2, /Empty parentheses/);
+    });
+
+    it('reports dangling and leading operators', () => {
+        assertParseError('a OR', 4, /Expected a term after OR/);
+        assertParseError('AND a', 0, /Expected a term before AND/);
+        assertParseError('a AND OR b', 6, /Expected a term before OR/);
+    });
+
+    it('reports bad phrases and wildcards', () => {
+        assertParseError('a "blood sugar', 2, /Unterminated/);
+        assertParseError('""', 0, /Empty quoted phrase/);
+        assertParseError('bl*oat', 2, /only allowed at the end/);
+        assertParseError('a *', 2, /needs a stem/);
+    });
+
+    it('rejects queries without a positive term', () => {
+        assertParseError('NOT keto', 0, /not negated/);
+        assertParseError('NOT a OR b', 0, /not negated/);
+    });
+});
+
+describe('matchesQuery', () => {
+    it('matches whole words only, case-insensitively', () => {
+        assert.ok(matches('gas', 'So much GAS today'));
+        assert.ok(!matches('gas', 'Trip to Vegas'));
+    });
+
+    it('evaluates AND, OR and NOT', () => {
+        assert.ok(matches('(bloating OR gas) AND NOT keto', 'gas after lunch'));
+        assert.ok(!matches('(bloating OR gas) AND NOT keto', 'keto gas'));
+        assert.ok(!matches('bloating gas', 'only bloating'));
+    });
+
+    it('matches phrases across punctuation but not reordered', () => {
+        assert.ok(matches('"blood sugar"', 'my blood-sugar spikes'));
+        assert.ok(!matches('"blood sugar"', 'sugar in my blood'));
+    });
+
+    it('expands wildcards to word endings', () => {
+        assert.ok(matches('bloat*', 'bloated all day'));
+        assert.ok(matches('bloat*', 'bloat'));
+        assert.ok(!matches('bloat*', 'unbloated'));
+    });
+
+    it('matches everything without a query', () => {
+        assert.ok(matchesQuery(null, 'anything'));
+    });
+});
+
+describe('toSearchQuery', () => {
+    it('compiles to Reddit search syntax with groups', () => {
+        assert.equal(toSearchQuery(parseQuery('(bloating OR gas) NOT keto')), '(bloating OR gas) AND NOT keto');
+        assert.equal(toSearchQuery(parseQuery('"blood sugar" OR bloat*')), '"blood sugar" OR bloat');
+    });
+
+    it('round-trips through the parser', () => {
+        const ast = parseQuery('a (b OR "c d") NOT e');
+        assert.deepEqual(parseQuery(toSearchQuery(ast)), ast);
+    });
+});
+
+describe('keywordsToQuery', () => {
+    it('joins keywords with OR or AND and quotes multi-word ones', () => {
+        assert.equal(keywordsToQuery(['bloating', 'blood sugar']), 'bloating OR "blood sugar"');
+        assert.equal(keywordsToQuery(['a', ' b ', ''], true), 'a AND b');
+        assert.equal(keywordsToQuery(['NOT']), '"NOT"');
+        assert.equal(keywordsToQuery([]), '');
+    });
+});
@@ -0,0 +1,75 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const openaiProvider = require('../src/services/providers/openaiProvider');
+
+const originalFetch = global.fetch;
+
+/**
+ * Stub fetch with one chat completion reply, recording the request body
+ */
+function stubFetch(content, finishReason = 'stop') {
+    const requests = [];
+    global.fetch = async (url, init) => {
+        requests.push(JSON.parse(init.body));
+        return {
+            ok: true,
+            status: 200,
+            headers: new Map(),
+            json: async () => ({ choices: [{ message: { content }, finish_reason: finishReason }], usage: {} })
+        };
+    };
+    return requests;
+}
+
+describe('openaiProvider prefill emulation', () => {
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('asks for a continuation after a trailing assistant message', async () => {
+        const requests = stubFetch('and the rest.');
+        const response = await openaiProvider.complete({
+            messages: [{ role: 'user', content: 'Write a report' }, { role: 'assistant', content: 'The report starts' }],
+            maxTokens: 100
+        });
+
+        const sent = requests[0].messages;
+        assert.equal(sent.length, 3);
+        assert.equal(sent[1].role, 'assistant');
+        assert.equal(sent[2].role, 'user');
+        assert.equal(response.text, 'and the rest.');
+    });
+
+    it('leaves ordinary requests alone', async () => {
+        const requests = stubFetch('Hello', 'length');
+        const response = await openaiProvider.complete({ messages: [{ role: 'user', content: 'Hi' }], maxTokens: 5 });
+
+        assert.equal(requests[0].messages.length, 1);
+        assert.equal(response.text, 'Hello');
+        assert.equal(response.stopReason, 'max_tokens');
+    });
+});
+
+describe('openaiProvider._stripOverlap', () => {
+    const prefill = '## PHASE 1\nSubreddits are mapped here.\n## PHASE 2\nPain point one is';
+
+    it('drops a reply that starts over from the beginning', () => {
+        assert.equal(openaiProvider._stripOverlap(prefill, `${prefill} morning bloating.`), ' morning bloating.');
+    });
+
+    it('drops repeated lines at the start of the continuation', () => {
+        assert.equal(openaiProvider._stripOverlap(prefill, '## PHASE 2\nPain point one is morning bloating.'), ' morning bloating.');
+    });
+
+    it('finds the prefill tail in a reply that started over with changes', () => {
+        const long = `${'Intro line.\n'.repeat(30)}${prefill}`;
+        const rewritten = `${'Intro sentence.\n'.repeat(30)}${long.slice(-250)} morning bloating.`;
+        assert.equal(openaiProvider._stripOverlap(long, rewritten), ' morning bloating.');
+    });
+
+    it('keeps a genuine continuation as is', () => {
+        assert.equal(openaiProvider._stripOverlap(prefill, ' morning bloating.'), ' morning bloating.');
+        // Short coincidental overlaps are not treated as repeats
+        assert.equal(openaiProvider._stripOverlap('It was bad', 'bad weather'), 'bad weather');
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { verifyQuotes } = require('../src/services/quoteVerifier');
+
+const POST_URL = 'https://www.reddit.com/r/Supplements/comments/abc123/bloated_every_morning/';
+
+const scrapedData = {
+    posts: [
+        {
+            id: 'abc123',
+            url: POST_URL,
+            subreddit: 'Supplements',
+            author: 'op_user',
+            title: 'Anyone else wake up bloated every single morning?',
+            selftext: 'It does not matter what I eat the night before.',
+            comments: [
+                {
+                    id: 'c1',
+                    author: 'gut_guy',
+                    body: 'Magnesium glycinate did nothing for me. I still feel wired but tired at night.',
+                    replies: [
+                        { id: 'c2', author: 'foggy', body: "Same here, my brain feels like mush by 3pm and coffee doesn't help.", replies: [] }
+                    ]
+                }
+            ]
+        }
+    ]
+};
+
+/**
+ * An analysis result whose copy bank section quotes each of `quotes`
+ */
+function analysisQuoting(...quotes) {
+    return {
+        structured: {
+            sections: { languageMining: quotes.map(quote => `- "${quote}"`).join('\n') }
+        }
+    };
+}
+
+const verify = (...quotes) => verifyQuotes(analysisQuoting(...quotes), scrapedData).quotes;
+
+describe('verifyQuotes', () => {
+    it('verifies a quote that appears word for word', () => {
+        const [quote] = verify('wired but tired at night');
+        assert.equal(quote.status, 'verified');
+        assert.equal(quote.score, 1);
+        assert.equal(quote.section, 'copyBank');
+    });
+
+    it('ignores case, punctuation and apostrophes', () => {
+        const [quote] = verify('Coffee DOESNT help!');
+        assert.equal(quote.status, 'verified');
+    });
+
+    it('reports the matching comment with its permalink and excerpt', () => {
+        const [quote] = verify('my brain feels like mush');
+        assert.deepEqual(quote.match, {
+            type: 'comment',
+            postIndex: 1,
+            postId: 'abc123',
+            commentId: 'c2',
+            author: 'foggy',
+            permalink: `${POST_URL}c2/`,
+            excerpt: 'my brain feels like mush'
+        });
+    });
+
+    it('links a match in the post itself to the thread', () => {
+        const [quote] = verify('wake up bloated every single morning');
+        assert.equal(quote.match.type, 'post');
+        assert.equal(quote.match.commentId, null);
+        assert.equal(quote.match.permalink, POST_URL);
+        assert.equal(quote.match.excerpt, 'wake up bloated every single morning');
+    });
+
+    it('counts a quote with CLOSE_THRESHOLD of its words in order as close', () => {
+        // 4 of 5 words
+        const [quote] = verify('my brain feels like glue');
+        assert.equal(quote.status, 'close');
+        assert.equal(quote.score, 0.8);
+        assert.equal(quote.match.commentId, 'c2');
+        assert.equal(quote.match.excerpt, 'my brain feels like');
+    });
+
+    it('counts a trimmed quote with a word left out as close', () => {
+        const [quote] = verify('I still feel wired and tired');
+        assert.equal(quote.status, 'close');
+        assert.equal(quote.score, 0.83);
+        assert.equal(quote.match.excerpt, 'I still feel wired but tired');
+    });
+
+    it('leaves a quote just under CLOSE_THRESHOLD unverified', () => {
+        // 3 of 5 words
+        const [quote] = verify('my brain is like glue');
+        assert.equal(quote.status, 'unverified');
+        assert.equal(quote.score, 0.6);
+        assert.equal(quote.match, null);
+    });
+
+    it('leaves an invented quote unverified', () => {
+        const [quote] = verify('collagen cured my joint pain overnight');
+        assert.equal(quote.status, 'unverified');
+        assert.equal(quote.match, null);
+    });
+
+    it('reads curly quotes and skips quotes under 3 words and framework phrases', () => {
+        const analysis = {
+            structured: {
+                sections: {
+                    painPointsAndSymptoms: '"Do You Experience..." list: “wake up bloated every single morning”, "the bloat", “mush”',
+                    hypotheses: 'Evidence: "wired but tired"'
+                }
+            }
+        };
+        const { quotes } = verifyQuotes(analysis, scrapedData);
+        assert.deepEqual(quotes.map(quote => [quote.text, quote.section, quote.status]), [
+            ['wake up bloated every single morning', 'painPoints', 'verified'],
+            ['wired but tired', 'hypotheses', 'verified']
+        ]);
+    });
+
+    it('checks document quotes once, keeping the claimed source', () => {
+        const analysis = {
+            ...analysisQuoting('wired but tired at night'),
+            document: {
+                symptoms: [{ quotes: [{ text: 'Wired but tired at night.', source: 1 }] }],
+                copyBank: { objections: [{ text: 'magnesium did nothing', source: 1 }] }
+            }
+        };
+        const { quotes } = verifyQuotes(analysis, scrapedData);
+        assert.deepEqual(quotes.map(quote => [quote.text, quote.claimedSource, quote.status]), [
+            ['wired but tired at night', 1, 'verified'],
+            ['magnesium did nothing', 1, 'close']
+        ]);
+    });
+
+    it('summarizes the statuses and the hallucination rate', () => {
+        const { summary } = verifyQuotes(analysisQuoting(
+            'wired but tired at night',
+            'my brain feels like glue',
+            'collagen cured my joint pain overnight',
+            'I feel like a brand new person'
+        ), scrapedData);
+        assert.deepEqual(summary, { total: 4, verified: 1, close: 1, unverified: 2, hallucinationRate: 0.5 });
+    });
+
+    it('has a zero hallucination rate when there is nothing to check', () => {
+        const { summary } = verifyQuotes(analysisQuoting(), { posts: [] });
+        assert.deepEqual(summary, { total: 0, verified: 0, close: 0, unverified: 0, hallucinationRate: 0 });
+    });
+});
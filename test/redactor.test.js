@@ -0,0 +1,189 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    REDACTION_OPTIONS,
+    normalizeRedaction,
+    redactPosts,
+    redactScrape,
+    unmaskAuthor
+} = require('../src/services/redactor');
+
+const ALL = normalizeRedaction(true);
+const SALT = 'test-salt';
+
+/**
+ * Redact one post body with the given options
+ */
+function redactText(text, options = ALL, authors = []) {
+    const post = {
+        id: 'p1',
+        author: 'op',
+        title: '',
+        selftext: text,
+        comments: authors.map((author, i) => ({ id: `c${i}`, author, body: '', replies: [] }))
+    };
+    return redactPosts([post], options, SALT).posts[0].selftext;
+}
+
+describe('normalizeRedaction', () => {
+    it('turns everything on for true and nothing for falsy values', () => {
+        assert.deepEqual(Object.keys(ALL), Object.keys(REDACTION_OPTIONS));
+        assert.ok(Object.values(ALL).every(Boolean));
+        assert.equal(normalizeRedaction(false), null);
+        assert.equal(normalizeRedaction(undefined), null);
+        assert.equal(normalizeRedaction({ emails: false }), null);
+    });
+
+    it('fills in missing options as off', () => {
+        assert.deepEqual(normalizeRedaction({ emails: true }), { authors: false, emails: true, phones: false, urls: false, addresses: false });
+    });
+
+    it('rejects unknown options and other types', () => {
+        assert.throws(() => normalizeRedaction({ names: true }), /Unknown redaction option\(s\): names/);
+        assert.throws(() => normalizeRedaction('yes'), /must be true or an object/);
+        assert.throws(() => normalizeRedaction(['emails']), /must be true or an object/);
+    });
+});
+
+describe('redactPosts patterns', () => {
+    it('strips emails', () => {
+        assert.equal(redactText('Mail me at jane.doe+shop@mail.example.co.uk today'), 'Mail me at [email] today');
+        assert.equal(redactText('An @mention is not an email'), 'An @mention is not an email');
+    });
+
+    it('strips phone numbers with at least 9 digits', () => {
+        assert.equal(redactText('Call +1 (555) 123-4567 now'), 'Call [phone] now');
+        assert.equal(redactText('UK: 020 7946 0958'), 'UK: [phone]');
+        assert.equal(redactText('Ring 555.123.4567'), 'Ring [phone]');
+    });
+
+    it('leaves short numbers, dates and doses alone', () => {
+        for (const text of ['Took 500 mg for 30 days', 'Since 2021-03-04', 'Lost 12 lbs in 3 weeks', 'Order #123-456']) {
+            assert.equal(redactText(text), text);
+        }
+    });
+
+    it('strips links before looking for emails or phones inside them', () => {
+        assert.equal(redactText('See https://shop.example.com/p/5551234567?ref=a@b.co and www.example.org.'), 'See [url] and [url]');
+    });
+
+    it('strips capitalized street addresses', () => {
+        assert.equal(redactText('Send it to 221B Baker Street please'), 'Send it to [address] please');
+        assert.equal(redactText('We are at 1600 Pennsylvania Ave NW, Apt 4.'), 'We are at [address].');
+        assert.equal(redactText('I walked 3 miles down the road'), 'I walked 3 miles down the road');
+    });
+
+    it('only applies the options that are on', () => {
+        const options = normalizeRedaction({ urls: true });
+        assert.equal(redactText('jane@example.com https://x.io', options), 'jane@example.com [url]');
+    });
+
+    it('counts replacements per option', () => {
+        const { counts } = redactPosts([{ author: 'op', title: 'a@b.co', selftext: 'c@d.co https://x.io', comments: [] }], ALL, SALT);
+        assert.deepEqual(counts, { authors: 1, emails: 2, phones: 0, urls: 1, addresses: 0 });
+    });
+});
+
+describe('redactPosts usernames', () => {
+    const posts = [{
+        id: 'p1',
+        author: 'Jane_Doe42',
+        title: 'Help',
+        selftext: 'Asking for u/bobTheGut',
+        comments: [
+            { id: 'c1', author: 'bobTheGut', body: 'Thanks jane_doe42, and /u/someone_else too', replies: [
+                { id: 'c2', author: '[deleted]', body: 'deleted reply', replies: [] }
+            ] },
+            { id: 'c3', author: 'pickle', body: 'I like pickle juice', replies: [] }
+        ]
+    }];
+    const { posts: [post], authors } = redactPosts(posts, normalizeRedaction({ authors: true }), SALT);
+
+    it('gives authors stable pseudonyms and maps them back', () => {
+        assert.match(post.author, /^user_[0-9a-f]{8}$/);
+        assert.equal(authors[post.author], 'Jane_Doe42');
+        assert.equal(post.comments[0].author, redactPosts(posts, ALL, SALT).posts[0].comments[0].author);
+        assert.notEqual(post.author, redactPosts(posts, ALL, 'other-salt').posts[0].author);
+        assert.equal(unmaskAuthor(post.author, authors), 'Jane_Doe42');
+        assert.equal(unmaskAuthor('someone', authors), 'someone');
+    });
+
+    it('replaces u/ and /u/ mentions and distinctive bare names in any case', () => {
+        assert.equal(post.selftext, `Asking for u/${post.comments[0].author}`);
+        assert.equal(post.comments[0].body, `Thanks ${post.author}, and /u/${Object.keys(authors).find(handle => authors[handle] === 'someone_else')} too`);
+    });
+
+    it('keeps ordinary-word usernames in text and deleted authors', () => {
+        assert.equal(post.comments[1].body, 'I like pickle juice');
+        assert.match(post.comments[1].author, /^user_/);
+        assert.equal(post.comments[0].replies[0].author, '[deleted]');
+    });
+
+    it('replaces usernames in profile links when links are kept', () => {
+        const options = normalizeRedaction({ authors: true });
+        assert.match(redactText('Profile: https://reddit.com/u/bobTheGut', options), /^Profile: https:\/\/reddit\.com\/u\/user_[0-9a-f]{8}$/);
+        assert.match(redactText('See reddit.com/user/bobTheGut', options, ['bobTheGut']), /^See reddit\.com\/user\/user_[0-9a-f]{8}$/);
+    });
+
+    it('replaces any /user/ segment in links, not just the scrape\'s usernames', () => {
+        const options = normalizeRedaction({ authors: true });
+        assert.match(redactText('Ask https://www.reddit.com/user/quiet/comments/x/ or /user/quiet', options),
+            /^Ask https:\/\/www\.reddit\.com\/user\/(user_[0-9a-f]{8})\/comments\/x\/ or \/user\/\1$/);
+        assert.equal(redactText('The user/admin split', options), 'The user/admin split');
+    });
+
+    it('pseudonymizes profile segments of post urls and permalinks but keeps the thread', () => {
+        const profilePost = {
+            id: 'abc12',
+            author: 'Jane_Doe42',
+            title: 'My log',
+            selftext: '',
+            permalink: '/user/Jane_Doe42/comments/abc12/my_log/',
+            url: 'https://www.reddit.com/user/Jane_Doe42/comments/abc12/my_log/',
+            comments: []
+        };
+        const threadPost = { ...profilePost, permalink: '/r/Supplements/comments/def34/my_log/', url: 'https://www.reddit.com/r/Supplements/comments/def34/my_log/' };
+        const { posts: [profile, thread], authors } = redactPosts([profilePost, threadPost], normalizeRedaction({ authors: true }), SALT);
+
+        assert.equal(profile.permalink, `/user/${profile.author}/comments/abc12/my_log/`);
+        assert.equal(profile.url, `https://www.reddit.com/user/${profile.author}/comments/abc12/my_log/`);
+        assert.equal(authors[profile.author], 'Jane_Doe42');
+        assert.equal(thread.url, threadPost.url);
+        assert.equal(profilePost.url, 'https://www.reddit.com/user/Jane_Doe42/comments/abc12/my_log/');
+    });
+
+    it('leaves links alone when authors are not redacted', () => {
+        const post = { author: 'a', title: '', selftext: '', url: 'https://www.reddit.com/u/someone/comments/x/', comments: [] };
+        assert.equal(redactPosts([post], normalizeRedaction({ emails: true }), SALT).posts[0].url, post.url);
+    });
+
+    it('does not modify the input posts', () => {
+        assert.equal(posts[0].author, 'Jane_Doe42');
+        assert.equal(posts[0].comments[0].body, 'Thanks jane_doe42, and /u/someone_else too');
+    });
+});
+
+describe('redactScrape', () => {
+    it('redacts source log titles with the post titles', () => {
+        const scrape = {
+            metadata: { totalPosts: 1 },
+            posts: [{ id: 'p1', author: 'a', title: 'Email jane@example.com', selftext: '', comments: [] }],
+            sourceLog: [{ index: 1, title: 'Email jane@example.com', url: 'https://www.reddit.com/r/s/comments/p1/' }]
+        };
+        const { data } = redactScrape(scrape, ALL, SALT);
+        assert.equal(data.sourceLog[0].title, 'Email [email]');
+        assert.equal(data.sourceLog[0].url, scrape.sourceLog[0].url);
+        assert.equal(data.metadata, scrape.metadata);
+    });
+
+    it('uses the redacted post urls in the source log', () => {
+        const url = 'https://www.reddit.com/user/Jane_Doe42/comments/p1/x/';
+        const scrape = {
+            posts: [{ id: 'p1', author: 'Jane_Doe42', title: 'x', selftext: '', url, comments: [] }],
+            sourceLog: [{ index: 1, title: 'x', url }]
+        };
+        const { data } = redactScrape(scrape, ALL, SALT);
+        assert.equal(data.sourceLog[0].url, data.posts[0].url);
+        assert.doesNotMatch(data.sourceLog[0].url, /Jane_Doe42/);
+    });
+});
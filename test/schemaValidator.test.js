@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../src/services/schemaValidator');
+const analysisDocumentSchema = require('../src/schemas/analysisDocument.schema.json');
+
+const schema = {
+    type: 'object',
+    required: ['name', 'score'],
+    properties: {
+        name: { type: 'string' },
+        score: { type: 'integer', minimum: 1, maximum: 10 },
+        weight: { type: 'number' },
+        note: { type: ['string', 'null'] },
+        kind: { enum: ['a', 'b'] },
+        tags: { type: 'array', items: { $ref: '#/$defs/tag' } }
+    },
+    $defs: {
+        tag: { type: 'object', required: ['label'], properties: { label: { type: 'string' } } }
+    }
+};
+
+describe('validate', () => {
+    it('accepts a valid value and ignores unknown properties', () => {
+        assert.deepEqual(validate(schema, { name: 'x', score: 5, weight: 1.5, note: null, kind: 'a', tags: [{ label: 't' }], extra: true }), []);
+    });
+
+    it('reports missing required properties', () => {
+        assert.deepEqual(validate(schema, { name: 'x' }), [{ path: '$.score', message: 'is required' }]);
+    });
+
+    it('checks types, counting integers as numbers but not the reverse', () => {
+        assert.deepEqual(validate(schema, { name: 'x', score: 5, weight: 2 }), []);
+        assert.deepEqual(validate(schema, { name: 'x', score: 5.5 }), [{ path: '$.score', message: 'expected integer, got number' }]);
+        assert.deepEqual(validate(schema, { name: 1, score: 5, note: 3 }), [
+            { path: '$.name', message: 'expected string, got integer' },
+            { path: '$.note', message: 'expected string or null, got integer' }
+        ]);
+        assert.deepEqual(validate(schema, []), [{ path: '$', message: 'expected object, got array' }]);
+    });
+
+    it('checks enums and numeric bounds', () => {
+        assert.deepEqual(validate(schema, { name: 'x', score: 11, kind: 'c' }), [
+            { path: '$.score', message: 'must be <= 10' },
+            { path: '$.kind', message: 'must be one of "a", "b"' }
+        ]);
+        assert.deepEqual(validate(schema, { name: 'x', score: 0 }), [{ path: '$.score', message: 'must be >= 1' }]);
+    });
+
+    it('follows local $refs into array items with indexed paths', () => {
+        assert.deepEqual(validate(schema, { name: 'x', score: 1, tags: [{ label: 't' }, {}, { label: 2 }] }), [
+            { path: '$.tags[1].label', message: 'is required' },
+            { path: '$.tags[2].label', message: 'expected string, got integer' }
+        ]);
+    });
+
+    it('rejects non-local $refs', () => {
+        assert.throws(() => validate({ $ref: 'other.json#/x' }, {}), /Unsupported schema \$ref/);
+    });
+
+    it('validates against the analysis document schema', () => {
+        const errors = validate(analysisDocumentSchema, {});
+        assert.ok(errors.length > 0);
+        assert.ok(errors.every(error => error.message === 'is required'));
+    });
+});
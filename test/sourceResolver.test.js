@@ -0,0 +1,181 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveSources, extractPriorityThreads } = require('../src/services/sourceResolver');
+
+/**
+ * A scrape of `count` posts with a sourceLog numbered in post order
+ */
+function scrape(count) {
+    const posts = Array.from({ length: count }, (_, i) => ({
+        url: `https://www.reddit.com/r/Supplements/comments/p${i + 1}/thread_${i + 1}/`,
+        subreddit: 'Supplements',
+        title: `Thread ${i + 1}`,
+        score: 10 * (i + 1),
+        numComments: i
+    }));
+    return {
+        posts,
+        sourceLog: posts.map((post, i) => ({
+            index: i + 1,
+            url: post.url,
+            subreddit: `r/${post.subreddit}`,
+            title: post.title,
+            score: post.score,
+            numComments: post.numComments
+        }))
+    };
+}
+
+/**
+ * Parsed markdown analysis (claudeService._parseAnalysis shape) with the given sections
+ */
+function markdown(sections, hypotheses = []) {
+    return { sections, hypotheses };
+}
+
+const refsOf = (items) => items.map(item => item.sources.map(source => source.ref));
+
+describe('resolveSources', () => {
+    describe('markdown references', () => {
+        it('ignores numbers without a citation marker', () => {
+            const result = resolveSources(markdown({
+                mechanismExtraction: '- Gut motility failed in 2023 threads 2024 (Source #1, #7)'
+            }), null, scrape(8));
+
+            assert.deepEqual(refsOf(result.mechanisms), [[1, 7]]);
+            assert.deepEqual(result.invalid, []);
+        });
+
+        it('resolves numbered references to the scraped threads', () => {
+            const result = resolveSources(markdown({
+                mechanismExtraction: '- Magnesium fails for morning grogginess (POST #2, #3)\n- No citation on this line',
+                languageMining: '- "wired but tired" - SOURCE LOG 4 and 5\n- "brain like mush" (Key Source Threads: 1, 2)'
+            }, [{ number: 1, name: 'The Gut Clock', content: 'Evidence: Source #1 & #6' }]), null, scrape(6));
+
+            assert.deepEqual(refsOf(result.hypotheses), [[1, 6]]);
+            assert.deepEqual(refsOf(result.mechanisms), [[2, 3]]);
+            assert.equal(result.mechanisms[0].group, 'failed');
+            assert.deepEqual(refsOf(result.copyBank), [[4, 5], [1, 2]]);
+
+            const source = result.hypotheses[0].sources[1];
+            assert.equal(source.valid, true);
+            assert.equal(source.index, 6);
+            assert.equal(source.url, 'https://www.reddit.com/r/Supplements/comments/p6/thread_6/');
+            assert.equal(source.title, 'Thread 6');
+            assert.equal(source.subreddit, 'r/Supplements');
+            assert.deepEqual(result.summary, { total: 8, resolved: 8, invalid: 0 });
+        });
+
+        it('resolves thread and comment URLs by post id', () => {
+            const result = resolveSources(markdown({
+                mechanismExtraction: '- See https://old.reddit.com/r/Supplements/comments/P3/x/abc123/. and https://reddit.com/comments/p1'
+            }), null, scrape(3));
+
+            const sources = result.mechanisms[0].sources;
+            assert.deepEqual(sources.map(source => source.index), [3, 1]);
+            assert.equal(sources[0].ref, 'https://old.reddit.com/r/Supplements/comments/P3/x/abc123/');
+            assert.ok(sources.every(source => source.valid));
+        });
+
+        it('flags unknown numbers and URLs of threads that were not scraped', () => {
+            const result = resolveSources(markdown({
+                mechanismExtraction: '- Source #2, #9',
+                languageMining: '- "never again" https://www.reddit.com/r/Nootropics/comments/zzz/other/'
+            }), null, scrape(3));
+
+            assert.deepEqual(result.summary, { total: 3, resolved: 1, invalid: 2 });
+            assert.deepEqual(result.invalid, [
+                { section: 'mechanisms', label: 'Source #2, #9', ref: 9 },
+                { section: 'copyBank', label: '"never again" https://www.reddit.com/r/Nootropics/comments/zzz/other/', ref: 'https://www.reddit.com/r/Nootropics/comments/zzz/other/' }
+            ]);
+            const unknownUrl = result.copyBank[0].sources[0];
+            assert.equal(unknownUrl.valid, false);
+            assert.equal(unknownUrl.index, null);
+            assert.equal(unknownUrl.url, 'https://www.reddit.com/r/Nootropics/comments/zzz/other/');
+        });
+
+        it('checks both the number and the URL of the model\'s source log lines', () => {
+            const result = resolveSources(markdown({
+                sourceLog: [
+                    '1. https://www.reddit.com/r/Supplements/comments/p1/thread_1/ | r/Supplements | "Thread 1"',
+                    '7. https://www.reddit.com/r/Supplements/comments/nope/made_up/ | r/Supplements | "Made up"'
+                ].join('\n')
+            }), null, scrape(2));
+
+            assert.deepEqual(result.sourceLog.map(item => item.sources.map(source => source.valid)), [[true, true], [false, false]]);
+            assert.equal(result.summary.invalid, 2);
+        });
+    });
+
+    describe('document references', () => {
+        const document = {
+            hypotheses: [{ number: 1, name: 'The Gut Clock', sources: [1, 4] }],
+            mechanisms: [{ side: 'failed', name: 'Probiotics', description: 'Bloating got worse', sources: [2] }],
+            copyBank: {
+                symptoms: [{ text: 'wired but tired', source: 3 }, { text: 'uncited' }]
+            },
+            sourceLog: [{ index: 2, url: 'https://www.reddit.com/r/Supplements/comments/p2/thread_2/', title: 'Thread 2' }]
+        };
+
+        it('prefers the document over the markdown sections', () => {
+            const result = resolveSources(markdown({
+                mechanismExtraction: '- Source #99'
+            }, [{ number: 1, name: 'The Gut Clock', content: 'Source #3' }]), document, scrape(3));
+
+            assert.deepEqual(refsOf(result.hypotheses), [[1, 4]]);
+            assert.deepEqual(refsOf(result.mechanisms), [[2]]);
+            assert.equal(result.mechanisms[0].group, 'failed');
+            assert.equal(result.mechanisms[0].text, 'Bloating got worse');
+            assert.deepEqual(refsOf(result.copyBank), [[3], []]);
+            assert.equal(result.copyBank[0].group, 'symptoms');
+            assert.deepEqual(refsOf(result.sourceLog), [[2, 'https://www.reddit.com/r/Supplements/comments/p2/thread_2/']]);
+            assert.deepEqual(result.invalid, [{ section: 'hypotheses', label: 'The Gut Clock', ref: 4 }]);
+        });
+    });
+
+    it('numbers sources in post order when the scrape has no sourceLog', () => {
+        const { posts } = scrape(2);
+        const result = resolveSources(markdown({
+            mechanismExtraction: '- Source #2 and https://www.reddit.com/r/Supplements/comments/p1/thread_1/, Source #3'
+        }), null, { posts });
+
+        const sources = result.mechanisms[0].sources;
+        assert.deepEqual(sources.map(source => [source.ref, source.valid]), [
+            [2, true],
+            [3, false],
+            ['https://www.reddit.com/r/Supplements/comments/p1/thread_1/', true]
+        ]);
+        assert.equal(sources[0].title, 'Thread 2');
+        assert.equal(sources[0].subreddit, 'r/Supplements');
+        assert.equal(sources[2].index, 1);
+    });
+});
+
+describe('extractPriorityThreads', () => {
+    it('splits the numbers under each PHASE 7 heading', () => {
+        const text = [
+            'TOP 5 for SYMPTOM LANGUAGE:',
+            '- #3 vivid bloating descriptions',
+            '- Source 7, #3 again',
+            '',
+            'TOP 5 for MECHANISM EVIDENCE:',
+            '- #12 (failed probiotics), thread 4',
+            '- 2023 was the worst year'
+        ].join('\n');
+
+        assert.deepEqual(extractPriorityThreads(text), {
+            symptomLanguage: [3, 7],
+            mechanismEvidence: [12, 4]
+        });
+    });
+
+    it('reads the headings in either order', () => {
+        const text = 'MECHANISM EVIDENCE: #1, #2\nSYMPTOM LANGUAGE: #5';
+        assert.deepEqual(extractPriorityThreads(text), { symptomLanguage: [5], mechanismEvidence: [1, 2] });
+    });
+
+    it('returns empty lists for a missing heading or section', () => {
+        assert.deepEqual(extractPriorityThreads('SYMPTOM LANGUAGE: #2'), { symptomLanguage: [2], mechanismEvidence: [] });
+        assert.deepEqual(extractPriorityThreads(undefined), { symptomLanguage: [], mechanismEvidence: [] });
+    });
+});